@@ -1,11 +1,22 @@
 import { useCallback, useEffect, useState } from 'react';
-import { BrowserRouter, Navigate, Route, Routes, useNavigate } from 'react-router-dom';
-import { Bot, Home, Loader2 } from 'lucide-react';
+import { BrowserRouter, Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
+import { Bot, Home, Loader2, ShieldAlert } from 'lucide-react';
 
 import { Button } from './components/ui/button';
+import AIAuditLog from './components/AIAuditLog';
+import AIServicesPanel from './components/AIServicesPanel';
+import AgentWorkspace from './components/AgentWorkspace';
 import Dashboard from './components/Dashboard';
+import Insights from './components/Insights';
+import KanbanBoard from './components/KanbanBoard';
 import Login from './components/Login';
-import { authAPI, apiUtils, tokenManager } from './services/api';
+import PromptTemplatesAdmin from './components/PromptTemplatesAdmin';
+import Register from './components/Register';
+import TaskDetail from './components/TaskDetail';
+import TelegramSettings from './components/TelegramSettings';
+import { REGISTRATION_ENABLED, authAPI, apiUtils, tokenManager } from './services/api';
+import { startReportScheduler } from './services/report-scheduler';
+import { buildLoginPath, readRedirectPath } from './lib/redirect';
 import './App.css';
 
 function FullPageLoader() {
@@ -21,17 +32,51 @@ function FullPageLoader() {
 }
 
 function ProtectedRoute({ authState, children }) {
+  const location = useLocation();
   if (authState === 'loading') return <FullPageLoader />;
-  if (authState !== 'authenticated') return <Navigate to="/login" replace />;
+  if (authState !== 'authenticated') return <Navigate to={buildLoginPath(location)} replace />;
   return children;
 }
 
 function PublicRoute({ authState, children }) {
+  const location = useLocation();
   if (authState === 'loading') return <FullPageLoader />;
-  if (authState === 'authenticated') return <Navigate to="/dashboard" replace />;
+  if (authState === 'authenticated') return <Navigate to={readRedirectPath(location.search)} replace />;
   return children;
 }
 
+function RoleRoute({ authState, allowed, title, children }) {
+  const navigate = useNavigate();
+  return (
+    <ProtectedRoute authState={authState}>
+      {allowed() ? children : (
+        <main className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+          <section className="w-full max-w-md rounded-2xl border bg-white p-8 text-center shadow-sm">
+            <div className="mx-auto mb-4 flex h-12 w-12 items-center justify-center rounded-xl bg-amber-50">
+              <ShieldAlert className="h-6 w-6 text-amber-600" aria-hidden="true" />
+            </div>
+            <p className="text-sm font-semibold uppercase tracking-wide text-amber-600">403</p>
+            <h1 className="mt-2 text-2xl font-bold text-gray-900">{title}</h1>
+            <p className="mt-2 text-gray-600">Ask an administrator if you need access to this page.</p>
+            <Button className="mt-6" onClick={() => navigate('/dashboard')}>
+              <Home className="mr-2 h-4 w-4" aria-hidden="true" />
+              Return to the dashboard
+            </Button>
+          </section>
+        </main>
+      )}
+    </ProtectedRoute>
+  );
+}
+
+function AdminRoute({ authState, children }) {
+  return <RoleRoute authState={authState} allowed={apiUtils.isAdmin} title="Admins only">{children}</RoleRoute>;
+}
+
+function ManagerRoute({ authState, children }) {
+  return <RoleRoute authState={authState} allowed={apiUtils.isManager} title="Managers only">{children}</RoleRoute>;
+}
+
 function NotFound() {
   const navigate = useNavigate();
   return (
@@ -85,6 +130,11 @@ function App() {
     };
   }, [validateSession]);
 
+  useEffect(() => {
+    if (authState !== 'authenticated' || !apiUtils.isManager()) return undefined;
+    return startReportScheduler();
+  }, [authState]);
+
   return (
     <BrowserRouter>
       <Routes>
@@ -96,6 +146,14 @@ function App() {
             </PublicRoute>
           )}
         />
+        <Route
+          path="/register"
+          element={REGISTRATION_ENABLED ? (
+            <PublicRoute authState={authState}>
+              <Register />
+            </PublicRoute>
+          ) : <Navigate to="/login" replace />}
+        />
         <Route
           path="/dashboard"
           element={(
@@ -104,6 +162,70 @@ function App() {
             </ProtectedRoute>
           )}
         />
+        <Route
+          path="/board"
+          element={(
+            <ProtectedRoute authState={authState}>
+              <KanbanBoard />
+            </ProtectedRoute>
+          )}
+        />
+        <Route
+          path="/agent"
+          element={(
+            <ProtectedRoute authState={authState}>
+              <AgentWorkspace />
+            </ProtectedRoute>
+          )}
+        />
+        <Route
+          path="/insights"
+          element={(
+            <ManagerRoute authState={authState}>
+              <Insights />
+            </ManagerRoute>
+          )}
+        />
+        <Route
+          path="/admin/ai-services"
+          element={(
+            <AdminRoute authState={authState}>
+              <AIServicesPanel />
+            </AdminRoute>
+          )}
+        />
+        <Route
+          path="/admin/prompt-templates"
+          element={(
+            <AdminRoute authState={authState}>
+              <PromptTemplatesAdmin />
+            </AdminRoute>
+          )}
+        />
+        <Route
+          path="/admin/ai-audit"
+          element={(
+            <AdminRoute authState={authState}>
+              <AIAuditLog />
+            </AdminRoute>
+          )}
+        />
+        <Route
+          path="/settings/integrations/telegram"
+          element={(
+            <AdminRoute authState={authState}>
+              <TelegramSettings />
+            </AdminRoute>
+          )}
+        />
+        <Route
+          path="/tasks/:id"
+          element={(
+            <ProtectedRoute authState={authState}>
+              <TaskDetail />
+            </ProtectedRoute>
+          )}
+        />
         <Route
           path="/"
           element={<Navigate to={authState === 'authenticated' ? '/dashboard' : '/login'} replace />}
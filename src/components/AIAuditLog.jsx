@@ -0,0 +1,257 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, Download, RotateCw, ScrollText, X } from 'lucide-react';
+
+import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import AppHeader from './AppHeader';
+import { apiUtils } from '../services/api';
+import { listAiAudit } from '../services/ai-audit';
+import {
+  AUDIT_OPERATIONS,
+  AUDIT_OUTCOMES,
+  auditOutcome,
+  auditUsers,
+  exportAuditEntries,
+  filterAuditEntries,
+} from '../lib/ai-audit';
+
+const ALL = 'all';
+const FILTER_KEYS = ['operation', 'user', 'outcome', 'task', 'entry', 'q'];
+
+const OUTCOME_STYLES = {
+  accepted: 'border-green-200 bg-green-50 text-green-700',
+  rejected: 'border-gray-200 bg-gray-50 text-gray-600',
+  pending: 'border-blue-200 bg-blue-50 text-blue-700',
+  failed: 'border-red-200 bg-red-50 text-red-700',
+};
+
+function downloadJson(content, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const JsonDetails = ({ label, value }) => (
+  <details className="text-xs">
+    <summary className="cursor-pointer text-gray-600 hover:text-gray-900">{label}</summary>
+    <pre className="mt-1 max-h-64 overflow-auto rounded bg-gray-50 p-2 whitespace-pre-wrap break-words">{JSON.stringify(value, null, 2)}</pre>
+  </details>
+);
+
+const FilterSelect = ({ label, value, onChange, options }) => (
+  <Select value={value || ALL} onValueChange={(next) => onChange(next === ALL ? '' : next)}>
+    <SelectTrigger size="sm" className="w-44" aria-label={label}>
+      <SelectValue />
+    </SelectTrigger>
+    <SelectContent>
+      <SelectItem value={ALL}>All {label.toLowerCase()}</SelectItem>
+      {options.map((option) => (
+        <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+const AIAuditLog = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [entries, setEntries] = useState([]);
+  const [available, setAvailable] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const filters = {
+    operation: searchParams.get('operation') || '',
+    userId: searchParams.get('user') || '',
+    outcome: searchParams.get('outcome') || '',
+    taskId: searchParams.get('task') || '',
+    entryId: searchParams.get('entry') || '',
+    search: searchParams.get('q') || '',
+  };
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await listAiAudit();
+      setEntries(result.entries);
+      setAvailable(result.available);
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const setFilter = (key, value) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      if (value) next.set(key, value);
+      else next.delete(key);
+      return next;
+    }, { replace: true });
+  };
+
+  const filtered = filterAuditEntries(entries, filters);
+  const users = useMemo(() => auditUsers(entries), [entries]);
+  const hasFilters = FILTER_KEYS.some((key) => searchParams.get(key));
+
+  const exportEntries = () => {
+    downloadJson(exportAuditEntries(filtered), `ai-audit-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="AI audit trail">
+        <Button variant="outline" size="sm" onClick={loadEntries} disabled={loading}>
+          <RotateCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} aria-hidden="true" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </AppHeader>
+
+      <main className="mx-auto max-w-7xl space-y-6 px-4 py-8 sm:px-6 lg:px-8">
+        <section className="flex flex-col justify-between gap-4 sm:flex-row sm:items-end">
+          <div>
+            <h2 className="text-2xl font-bold tracking-tight text-gray-950">AI audit trail</h2>
+            <p className="mt-2 text-sm text-gray-600">
+              Every task generation, performance analysis and assignee suggestion, with its inputs, outputs and outcome.
+            </p>
+          </div>
+          <Button type="button" variant="outline" onClick={exportEntries} disabled={!filtered.length}>
+            <Download className="mr-2 h-4 w-4" aria-hidden="true" /> Export JSON
+          </Button>
+        </section>
+
+        {error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {!available && (
+          <Alert className="border-amber-200 bg-amber-50 text-amber-900">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertTitle>Audit unavailable</AlertTitle>
+            <AlertDescription className="text-amber-900">
+              The backend has no <code>/api/ai-audit</code> endpoint, so AI operations are not being recorded.
+              Add it to the backend to keep an audit trail.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {available && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ScrollText className="h-5 w-5 text-purple-600" aria-hidden="true" /> Entries
+              </CardTitle>
+              <CardDescription aria-live="polite">
+                {loading ? 'Loading entries…' : `${filtered.length} of ${entries.length} entries`}
+              </CardDescription>
+              <div className="flex flex-wrap items-center gap-2 pt-2">
+                <FilterSelect
+                  label="Operations"
+                  value={filters.operation}
+                  onChange={(value) => setFilter('operation', value)}
+                  options={Object.entries(AUDIT_OPERATIONS).map(([value, label]) => ({ value, label }))}
+                />
+                <FilterSelect
+                  label="Users"
+                  value={filters.userId}
+                  onChange={(value) => setFilter('user', value)}
+                  options={users.map((item) => ({ value: item.id, label: item.label }))}
+                />
+                <FilterSelect
+                  label="Outcomes"
+                  value={filters.outcome}
+                  onChange={(value) => setFilter('outcome', value)}
+                  options={Object.entries(AUDIT_OUTCOMES).map(([value, label]) => ({ value, label }))}
+                />
+                <Input
+                  type="search"
+                  value={filters.search}
+                  onChange={(event) => setFilter('q', event.target.value)}
+                  placeholder="Search inputs and outputs"
+                  aria-label="Search entries"
+                  className="h-8 w-56"
+                />
+                {filters.taskId && <Badge variant="secondary">Created task #{filters.taskId}</Badge>}
+                {filters.entryId && <Badge variant="secondary">Entry {filters.entryId}</Badge>}
+                {hasFilters && (
+                  <Button type="button" variant="ghost" size="sm" onClick={() => setSearchParams({}, { replace: true })}>
+                    <X className="mr-1 h-4 w-4" aria-hidden="true" /> Clear filters
+                  </Button>
+                )}
+              </div>
+            </CardHeader>
+            <CardContent>
+              {filtered.length ? (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>When</TableHead>
+                      <TableHead>Operation</TableHead>
+                      <TableHead>Who</TableHead>
+                      <TableHead>Outcome</TableHead>
+                      <TableHead>Created tasks</TableHead>
+                      <TableHead>Details</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {filtered.map((entry) => {
+                      const outcome = auditOutcome(entry);
+                      return (
+                        <TableRow key={entry.id} id={`audit-${entry.id}`} className={filters.entryId === String(entry.id) ? 'bg-purple-50' : ''}>
+                          <TableCell className="align-top text-sm whitespace-nowrap">{apiUtils.formatDate(entry.createdAt)}</TableCell>
+                          <TableCell className="align-top">{AUDIT_OPERATIONS[entry.operation]}</TableCell>
+                          <TableCell className="align-top">{entry.username || (entry.userId !== null ? `User #${entry.userId}` : 'Unknown')}</TableCell>
+                          <TableCell className="align-top">
+                            <Badge variant="outline" className={OUTCOME_STYLES[outcome]}>{AUDIT_OUTCOMES[outcome]}</Badge>
+                          </TableCell>
+                          <TableCell className="align-top">
+                            {entry.createdTaskIds.length ? (
+                              <div className="flex flex-wrap gap-1">
+                                {entry.createdTaskIds.map((taskId) => (
+                                  <Link key={taskId} to={`/tasks/${taskId}`} className="text-sm text-blue-700 hover:underline">#{taskId}</Link>
+                                ))}
+                              </div>
+                            ) : <span className="text-gray-400">—</span>}
+                          </TableCell>
+                          <TableCell className="max-w-md space-y-1 align-top whitespace-normal">
+                            {entry.error && <p className="text-xs break-words text-red-700">{entry.error}</p>}
+                            <JsonDetails label="Input" value={entry.input} />
+                            {entry.output !== null && <JsonDetails label="Output" value={entry.output} />}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              ) : (
+                <p className="py-6 text-center text-sm text-gray-500">
+                  {loading ? 'Loading entries…' : entries.length ? 'No entries match these filters.' : 'No AI operations have been recorded yet.'}
+                </p>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AIAuditLog;
@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  AlertCircle,
+  CheckCircle2,
+  Clock,
+  Loader2,
+  RotateCw,
+  Stethoscope,
+  XCircle,
+} from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import AppHeader from './AppHeader';
+import { apiUtils, chatAPI } from '../services/api';
+import {
+  SERVICE_POLL_INTERVAL_MS,
+  SERVICE_STATES,
+  mergeServiceStatus,
+  normalizeDiagnostics,
+  normalizeServiceStatus,
+  overallServiceState,
+} from '../lib/service-health';
+
+function formatLatency(latencyMs) {
+  if (latencyMs === null) return '—';
+  return latencyMs >= 1000 ? `${(latencyMs / 1000).toFixed(1)} s` : `${latencyMs} ms`;
+}
+
+const StateBadge = ({ state }) => (
+  <Badge variant="outline" className={SERVICE_STATES[state].className}>{SERVICE_STATES[state].label}</Badge>
+);
+
+const AIServicesPanel = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const [services, setServices] = useState([]);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [polling, setPolling] = useState(true);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [diagnosing, setDiagnosing] = useState(false);
+  const [diagnosticsError, setDiagnosticsError] = useState('');
+  const requestInFlight = useRef(false);
+
+  const loadStatus = useCallback(async () => {
+    if (requestInFlight.current) return;
+    requestInFlight.current = true;
+    setLoading(true);
+    try {
+      const response = await chatAPI.getServiceStatus();
+      if (response.status !== 'success') throw new Error(response.message || 'Service status is unavailable.');
+      const now = new Date();
+      setServices((current) => mergeServiceStatus(current, normalizeServiceStatus(response), now));
+      setCheckedAt(now);
+      setError('');
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      requestInFlight.current = false;
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  useEffect(() => {
+    if (!polling) return undefined;
+    const interval = window.setInterval(() => {
+      if (document.visibilityState === 'visible') loadStatus();
+    }, SERVICE_POLL_INTERVAL_MS);
+    return () => window.clearInterval(interval);
+  }, [loadStatus, polling]);
+
+  const runDiagnostics = async () => {
+    setDiagnosing(true);
+    setDiagnosticsError('');
+    try {
+      const response = await chatAPI.testServices();
+      if (response.status !== 'success') throw new Error(response.message || 'Diagnostics could not be run.');
+      setDiagnostics({ results: normalizeDiagnostics(response), ranAt: new Date() });
+      loadStatus();
+    } catch (requestError) {
+      setDiagnosticsError(apiUtils.handleError(requestError).message);
+    } finally {
+      setDiagnosing(false);
+    }
+  };
+
+  const overall = overallServiceState(services);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="AI services">
+        <Button variant="outline" size="sm" onClick={loadStatus} disabled={loading}>
+          <RotateCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} aria-hidden="true" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </AppHeader>
+
+      <main className="mx-auto max-w-5xl space-y-6 px-4 py-8 sm:px-6 lg:px-8">
+        <section className="flex flex-col justify-between gap-4 sm:flex-row sm:items-end">
+          <div>
+            <div className="flex items-center gap-3">
+              <h2 className="text-2xl font-bold tracking-tight text-gray-950">AI services health</h2>
+              {services.length > 0 && <StateBadge state={overall} />}
+            </div>
+            <p className="mt-2 text-sm text-gray-600" aria-live="polite">
+              {checkedAt ? `Last checked ${apiUtils.formatDate(checkedAt)}` : 'Checking services…'}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Switch id="service-polling" checked={polling} onCheckedChange={setPolling} />
+            <Label htmlFor="service-polling" className="font-normal">
+              Refresh every {SERVICE_POLL_INTERVAL_MS / 1000} seconds
+            </Label>
+          </div>
+        </section>
+
+        {error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Services</CardTitle>
+            <CardDescription>State and latency as reported by the backend. The last error stays visible after a service recovers.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {services.length ? (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Service</TableHead>
+                    <TableHead>State</TableHead>
+                    <TableHead className="text-right">Latency</TableHead>
+                    <TableHead>Last error</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {services.map((service) => (
+                    <TableRow key={service.name}>
+                      <TableCell>
+                        <p className="font-medium text-gray-900">{service.label}</p>
+                        {service.model && <p className="text-xs text-gray-500">{service.model}</p>}
+                      </TableCell>
+                      <TableCell><StateBadge state={service.state} /></TableCell>
+                      <TableCell className="text-right tabular-nums">{formatLatency(service.latencyMs)}</TableCell>
+                      <TableCell className="max-w-xs whitespace-normal text-sm">
+                        {service.lastError ? (
+                          <>
+                            <p className="break-words text-red-700">{service.lastError}</p>
+                            {service.lastErrorAt && <p className="text-xs text-gray-500">{apiUtils.formatDate(service.lastErrorAt)}</p>}
+                          </>
+                        ) : <span className="text-gray-400">None</span>}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <p className="py-6 text-center text-sm text-gray-500">
+                {loading ? 'Loading service status…' : 'The backend did not report any AI services.'}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex-row items-start justify-between gap-4">
+            <div>
+              <CardTitle>Diagnostics</CardTitle>
+              <CardDescription className="mt-1.5">Sends a test request to every service. This may take a while and uses provider quota.</CardDescription>
+            </div>
+            <Button type="button" onClick={runDiagnostics} disabled={diagnosing}>
+              {diagnosing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Stethoscope className="mr-2 h-4 w-4" aria-hidden="true" />}
+              {diagnosing ? 'Running…' : 'Run diagnostics'}
+            </Button>
+          </CardHeader>
+          <CardContent>
+            {diagnosticsError && (
+              <Alert variant="destructive" className="mb-4" role="alert">
+                <AlertCircle className="h-4 w-4" aria-hidden="true" />
+                <AlertDescription>{diagnosticsError}</AlertDescription>
+              </Alert>
+            )}
+            {diagnostics ? (
+              <div aria-live="polite">
+                <p className="mb-3 text-xs text-gray-500">Ran {apiUtils.formatDate(diagnostics.ranAt)}</p>
+                {diagnostics.results.length ? (
+                  <ul className="divide-y rounded-lg border">
+                    {diagnostics.results.map((result) => (
+                      <li key={result.name} className="flex items-start gap-3 p-3 text-sm">
+                        {result.passed === true && <CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0 text-green-600" aria-hidden="true" />}
+                        {result.passed === false && <XCircle className="mt-0.5 h-4 w-4 shrink-0 text-red-600" aria-hidden="true" />}
+                        {result.passed === null && <Clock className="mt-0.5 h-4 w-4 shrink-0 text-gray-400" aria-hidden="true" />}
+                        <div className="min-w-0 flex-1">
+                          <p className="font-medium text-gray-900">
+                            {result.label}
+                            <span className="ml-2 font-normal text-gray-500">
+                              {result.passed === null ? 'No result' : result.passed ? 'Passed' : 'Failed'}
+                            </span>
+                          </p>
+                          {result.message && <p className="mt-1 break-words text-gray-600">{result.message}</p>}
+                        </div>
+                        <span className="tabular-nums text-gray-500">{formatLatency(result.latencyMs)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">The backend returned no per-service results.</p>
+                )}
+              </div>
+            ) : (
+              !diagnosticsError && <p className="text-sm text-gray-500">No diagnostics have been run in this session.</p>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default AIServicesPanel;
@@ -0,0 +1,341 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, Bot, CheckCheck, Loader2, Sparkles, Square } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Textarea } from './ui/textarea';
+import AppHeader from './AppHeader';
+import GeneratedTaskDraft from './GeneratedTaskDraft';
+import PromptTemplatePicker from './PromptTemplatePicker';
+import { usePromptTemplates } from '../hooks/use-prompt-templates';
+import { useTeamMembers } from '../hooks/use-team-members';
+import { apiUtils, chatAPI, tasksAPI } from '../services/api';
+import { recordAiOutcome, runAudited } from '../services/ai-audit';
+import { mapServerFieldErrors } from '../lib/task-form';
+import {
+  GENERATION_COUNTS,
+  buildGenerationContext,
+  createEmptyGenerationRequest,
+  draftFieldErrors,
+  draftToTaskPayload,
+  generationRequestSchema,
+  mergeRegeneratedDrafts,
+  normalizeGenerationResult,
+  replaceDraft,
+  summarizeDrafts,
+  updateDraft,
+} from '../lib/task-generation';
+
+async function requestDrafts(context, options) {
+  const { output: response, auditId } = await runAudited('generate_tasks', context, () => chatAPI.generateTasks(context, options));
+  if (response.status !== 'success') throw new Error(response.message || 'The agent could not generate tasks.');
+  const result = normalizeGenerationResult(response);
+  if (!result.drafts.length) throw new Error('The agent did not propose any tasks. Add more detail to the goal and try again.');
+  // Each draft remembers its audit entry so accepting it can be recorded against that entry.
+  return { ...result, drafts: result.drafts.map((draft) => ({ ...draft, auditId })) };
+}
+
+const AgentWorkspace = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const { members } = useTeamMembers();
+  const { templates, mode: templateMode } = usePromptTemplates();
+  const [drafts, setDrafts] = useState([]);
+  const [summary, setSummary] = useState('');
+  const [lastRequest, setLastRequest] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState({});
+  const latestGeneration = useRef(0);
+  const generationController = useRef(null);
+  const form = useForm({
+    resolver: zodResolver(generationRequestSchema),
+    defaultValues: createEmptyGenerationRequest(),
+  });
+
+  const counts = summarizeDrafts(drafts);
+  const acceptedTitles = drafts.filter((draft) => draft.state === 'accepted').map((draft) => draft.values.title);
+
+  useEffect(() => () => generationController.current?.abort(), []);
+
+  const setDraftBusy = (draftId, value) => {
+    setBusy((current) => ({ ...current, [draftId]: value }));
+  };
+
+  const handleGenerate = async (request) => {
+    const requestId = latestGeneration.current + 1;
+    latestGeneration.current = requestId;
+    const controller = new AbortController();
+    generationController.current = controller;
+    setGenerating(true);
+    setError('');
+    try {
+      const result = await requestDrafts(
+        buildGenerationContext(request, { existingTitles: acceptedTitles }),
+        { signal: controller.signal },
+      );
+      if (requestId !== latestGeneration.current) return;
+      setDrafts((current) => mergeRegeneratedDrafts(current, result.drafts));
+      setSummary(result.summary);
+      setLastRequest(request);
+      setEditingId(null);
+    } catch (requestError) {
+      if (requestId === latestGeneration.current && !apiUtils.isCancellation(requestError)) {
+        setError(apiUtils.handleError(requestError).message);
+      }
+    } finally {
+      if (requestId === latestGeneration.current) {
+        generationController.current = null;
+        setGenerating(false);
+      }
+    }
+  };
+
+  const regenerateDraft = async (draftId) => {
+    const draft = drafts.find((item) => item.id === draftId);
+    if (!draft || !lastRequest) return;
+    const otherTitles = drafts
+      .filter((item) => item.id !== draftId && item.state !== 'rejected')
+      .map((item) => item.values.title);
+
+    setDraftBusy(draftId, 'regenerate');
+    setDrafts((current) => updateDraft(current, draftId, { error: '' }));
+    try {
+      const result = await requestDrafts(buildGenerationContext(lastRequest, { replace: draft.values, existingTitles: otherTitles }));
+      setDrafts((current) => replaceDraft(current, draftId, result.drafts[0]));
+    } catch (requestError) {
+      setDrafts((current) => updateDraft(current, draftId, { error: apiUtils.handleError(requestError).message }));
+    } finally {
+      setDraftBusy(draftId, null);
+    }
+  };
+
+  const acceptDraft = async (draft) => {
+    const invalidFields = draftFieldErrors(draft.values);
+    if (invalidFields) {
+      setDrafts((current) => updateDraft(current, draft.id, {
+        error: 'Fix the highlighted fields before accepting this task.',
+        fieldErrors: invalidFields,
+      }));
+      setEditingId(draft.id);
+      return;
+    }
+
+    setDraftBusy(draft.id, 'accept');
+    setDrafts((current) => updateDraft(current, draft.id, { error: '', fieldErrors: null }));
+    try {
+      const response = await tasksAPI.createTask(draftToTaskPayload(draft));
+      if (response.status !== 'success' || !response.task) throw new Error(response.message || 'The task could not be created.');
+      setDrafts((current) => updateDraft(current, draft.id, { state: 'accepted', taskId: response.task.id }));
+      recordAiOutcome(draft.auditId, { accepted: true, createdTaskId: response.task.id });
+    } catch (requestError) {
+      const { message, errors } = apiUtils.handleError(requestError);
+      const hasFieldErrors = mapServerFieldErrors(errors).length > 0;
+      setDrafts((current) => updateDraft(current, draft.id, { error: message, fieldErrors: hasFieldErrors ? errors : null }));
+      if (hasFieldErrors) setEditingId(draft.id);
+    } finally {
+      setDraftBusy(draft.id, null);
+    }
+  };
+
+  const acceptAll = async () => {
+    // Sequential so each failure stays attached to its own draft.
+    for (const draft of drafts.filter((item) => item.state === 'proposed')) {
+      await acceptDraft(draft);
+    }
+  };
+
+  const saveEdit = (draftId, values) => {
+    setDrafts((current) => updateDraft(current, draftId, { values, error: '', fieldErrors: null }));
+    setEditingId(null);
+  };
+
+  const setDraftState = (draftId, state) => {
+    const draft = drafts.find((item) => item.id === draftId);
+    const siblings = drafts.filter((item) => item.auditId === draft?.auditId && item.id !== draftId);
+    setDrafts((current) => updateDraft(current, draftId, { state, error: '' }));
+    if (editingId === draftId) setEditingId(null);
+    // A generation counts as not accepted once every draft it produced has been rejected.
+    if (state === 'rejected' && siblings.every((item) => item.state === 'rejected')) recordAiOutcome(draft?.auditId, { accepted: false });
+    if (state === 'proposed') recordAiOutcome(draft?.auditId, { accepted: null });
+  };
+
+  const anyBusy = Object.values(busy).some(Boolean);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Ask the agent" />
+
+      <main className="mx-auto grid max-w-7xl gap-6 px-4 py-8 sm:px-6 lg:grid-cols-[24rem_1fr] lg:px-8">
+        <Card className="h-fit lg:sticky lg:top-24">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Sparkles className="h-5 w-5 text-purple-600" aria-hidden="true" /> Ask the agent
+            </CardTitle>
+            <CardDescription>Describe what you want to achieve. Nothing is saved until you accept a proposed task.</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-4">
+            <PromptTemplatePicker
+              templates={templates}
+              localOnly={templateMode === 'local'}
+              canManage={user?.role === 'admin'}
+              disabled={generating}
+              onApply={(values) => form.reset(values, { keepDefaultValues: true })}
+            />
+            <Form {...form}>
+              <form onSubmit={form.handleSubmit(handleGenerate)} className="grid gap-4" noValidate>
+                <FormField
+                  control={form.control}
+                  name="goal"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Goal</FormLabel>
+                      <FormControl>
+                        <Textarea {...field} rows={5} placeholder="e.g. Launch the customer feedback portal by the end of the quarter" disabled={generating} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="project"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Project</FormLabel>
+                      <FormControl>
+                        <Input {...field} placeholder="Optional" disabled={generating} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="constraints"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Constraints</FormLabel>
+                      <FormControl>
+                        <Textarea {...field} rows={3} placeholder="Deadlines, team size, budget, technology…" disabled={generating} />
+                      </FormControl>
+                      <FormDescription>Optional. The agent uses these to size and order the work.</FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="count"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Number of tasks</FormLabel>
+                      <Select value={field.value} onValueChange={field.onChange} disabled={generating}>
+                        <FormControl>
+                          <SelectTrigger className="w-full">
+                            <SelectValue />
+                          </SelectTrigger>
+                        </FormControl>
+                        <SelectContent>
+                          {GENERATION_COUNTS.map((count) => (
+                            <SelectItem key={count} value={count}>Up to {count}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <div className="flex flex-wrap gap-2">
+                  <Button type="submit" disabled={generating}>
+                    {generating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Sparkles className="mr-2 h-4 w-4" aria-hidden="true" />}
+                    {generating ? 'Generating…' : counts.proposed ? 'Regenerate proposals' : 'Generate tasks'}
+                  </Button>
+                  {generating && (
+                    <Button type="button" variant="outline" onClick={() => generationController.current?.abort()}>
+                      <Square className="mr-2 h-4 w-4 fill-current" aria-hidden="true" /> Stop
+                    </Button>
+                  )}
+                </div>
+              </form>
+            </Form>
+          </CardContent>
+        </Card>
+
+        <section aria-labelledby="drafts-heading" aria-busy={generating}>
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h2 id="drafts-heading" className="text-xl font-semibold text-gray-950">Proposed tasks</h2>
+              {drafts.length > 0 && (
+                <p className="text-sm text-gray-500" aria-live="polite">
+                  {counts.proposed} to review · {counts.accepted} created · {counts.rejected} rejected
+                </p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {counts.accepted > 0 && (
+                <Button variant="outline" size="sm" asChild>
+                  <Link to="/dashboard?source=ai">View created tasks</Link>
+                </Button>
+              )}
+              {counts.proposed > 0 && (
+                <Button size="sm" onClick={acceptAll} disabled={anyBusy || generating || editingId !== null}>
+                  <CheckCheck className="mr-2 h-4 w-4" aria-hidden="true" /> Accept all
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <Alert variant="destructive" className="mb-4" role="alert">
+              <AlertCircle className="h-4 w-4" aria-hidden="true" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {summary && (
+            <div className="mb-4 rounded-lg border border-purple-200 bg-purple-50 p-4 text-sm text-purple-900">
+              <p className="whitespace-pre-wrap">{summary}</p>
+            </div>
+          )}
+
+          {drafts.length ? (
+            <div className={`grid gap-4 transition-opacity ${generating ? 'opacity-60' : ''}`}>
+              {drafts.map((draft) => (
+                <GeneratedTaskDraft
+                  key={draft.id}
+                  draft={draft}
+                  members={members}
+                  busy={busy[draft.id]}
+                  editing={editingId === draft.id}
+                  onEdit={setEditingId}
+                  onCancelEdit={() => setEditingId(null)}
+                  onSaveEdit={saveEdit}
+                  onAccept={(draftId) => acceptDraft(drafts.find((item) => item.id === draftId))}
+                  onReject={(draftId) => setDraftState(draftId, 'rejected')}
+                  onRestore={(draftId) => setDraftState(draftId, 'proposed')}
+                  onRegenerate={regenerateDraft}
+                />
+              ))}
+            </div>
+          ) : (
+            <div className="rounded-xl border border-dashed bg-white px-6 py-16 text-center">
+              <Bot className="mx-auto h-10 w-10 text-gray-400" aria-hidden="true" />
+              <h3 className="mt-4 font-semibold text-gray-900">No proposals yet</h3>
+              <p className="mt-1 text-sm text-gray-500">Describe a goal and the agent will break it into tasks you can review.</p>
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default AgentWorkspace;
@@ -0,0 +1,76 @@
+import { NavLink, useNavigate } from 'react-router-dom';
+import { Activity, Bot, LayoutDashboard, LayoutTemplate, LineChart, LogOut, ScrollText, Send, Sparkles, SquareKanban } from 'lucide-react';
+
+import { Button } from './ui/button';
+import ChatDrawer from './ChatDrawer';
+import { authAPI } from '../services/api';
+
+const NAV_ITEMS = [
+  { to: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
+  { to: '/board', label: 'Board', icon: SquareKanban },
+  { to: '/agent', label: 'Ask the agent', icon: Sparkles },
+  { to: '/insights', label: 'Insights', icon: LineChart, managerOnly: true },
+  { to: '/admin/ai-services', label: 'AI services', icon: Activity, adminOnly: true },
+  { to: '/admin/prompt-templates', label: 'Templates', icon: LayoutTemplate, adminOnly: true },
+  { to: '/admin/ai-audit', label: 'AI audit', icon: ScrollText, adminOnly: true },
+  { to: '/settings/integrations/telegram', label: 'Telegram', icon: Send, adminOnly: true },
+];
+
+const AppHeader = ({ user, subtitle, children }) => {
+  const navigate = useNavigate();
+  const displayName = user?.full_name || user?.username || 'Team member';
+  const isAdmin = user?.role === 'admin';
+  const isManager = isAdmin || user?.role === 'manager';
+
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } finally {
+      navigate('/login', { replace: true });
+    }
+  };
+
+  return (
+    <header className="sticky top-0 z-20 border-b bg-white/95 backdrop-blur">
+      <div className="mx-auto flex min-h-16 max-w-7xl flex-wrap items-center justify-between gap-3 px-4 py-3 sm:px-6 lg:px-8">
+        <div className="flex min-w-0 items-center">
+          <div className="mr-3 flex h-10 w-10 shrink-0 items-center justify-center rounded-xl bg-blue-600">
+            <Bot className="h-6 w-6 text-white" aria-hidden="true" />
+          </div>
+          <div className="min-w-0">
+            <h1 className="truncate text-lg font-semibold text-gray-950">AI Agent System</h1>
+            <p className="truncate text-xs text-gray-500">{subtitle}</p>
+          </div>
+        </div>
+
+        <nav className="flex items-center gap-1" aria-label="Primary">
+          {NAV_ITEMS.filter((item) => (item.adminOnly ? isAdmin : !item.managerOnly || isManager)).map((item) => (
+            <NavLink
+              key={item.to}
+              to={item.to}
+              className={({ isActive }) => `flex items-center gap-2 rounded-md px-3 py-2 text-sm font-medium ${isActive ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'}`}
+            >
+              <item.icon className="h-4 w-4" aria-hidden="true" />
+              <span className="hidden sm:inline">{item.label}</span>
+            </NavLink>
+          ))}
+        </nav>
+
+        <div className="flex items-center gap-2">
+          <ChatDrawer user={user} />
+          {children}
+          <div className="hidden text-right md:block">
+            <p className="text-sm font-medium text-gray-900">{displayName}</p>
+            <p className="text-xs capitalize text-gray-500">{user?.role || 'member'}</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={handleLogout}>
+            <LogOut className="mr-2 h-4 w-4" aria-hidden="true" />
+            <span className="hidden sm:inline">Logout</span>
+          </Button>
+        </div>
+      </div>
+    </header>
+  );
+};
+
+export default AppHeader;
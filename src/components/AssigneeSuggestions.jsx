@@ -0,0 +1,93 @@
+import { useRef, useState } from 'react';
+import { useFormContext, useWatch } from 'react-hook-form';
+import { Check, Loader2, Sparkles } from 'lucide-react';
+
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { apiUtils, chatAPI } from '../services/api';
+import { recordAiOutcome, runAudited } from '../services/ai-audit';
+import { buildAssignmentRequest, normalizeAssignmentSuggestions } from '../lib/assignment-suggestions';
+
+const AssigneeSuggestions = ({ members, disabled = false }) => {
+  const { control, getValues, setValue } = useFormContext();
+  const assignedTo = useWatch({ control, name: 'assigned_to' });
+  const [suggestions, setSuggestions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const auditId = useRef(null);
+
+  const requestSuggestions = async () => {
+    const values = getValues();
+    if (!values.title.trim()) {
+      setError('Add a title first so the agent knows what the task is about.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const request = buildAssignmentRequest(values);
+      const { output: response, auditId: entryId } = await runAudited('suggest_assignment', request, () => chatAPI.suggestAssignment(request));
+      auditId.current = entryId;
+      if (response.status !== 'success') throw new Error(response.message || 'The agent could not suggest an assignee.');
+      const ranked = normalizeAssignmentSuggestions(response, members);
+      setSuggestions(ranked);
+      if (!ranked.length) setError('The agent did not find a suitable assignee for this task.');
+    } catch (requestError) {
+      setSuggestions(null);
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const assign = (userId) => {
+    setValue('assigned_to', userId, { shouldDirty: true, shouldValidate: true });
+    recordAiOutcome(auditId.current, { accepted: true });
+  };
+
+  return (
+    <div className="grid gap-2">
+      <div>
+        <Button type="button" variant="outline" size="sm" onClick={requestSuggestions} disabled={disabled || loading}>
+          {loading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Sparkles className="mr-2 h-4 w-4" aria-hidden="true" />}
+          {loading ? 'Finding a match…' : 'Suggest assignee'}
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-destructive" role="alert">{error}</p>}
+
+      {suggestions?.length > 0 && (
+        <ol className="grid gap-2" aria-label="Suggested assignees">
+          {suggestions.map((suggestion) => {
+            const selected = assignedTo === suggestion.userId;
+            return (
+              <li key={suggestion.userId} className={`rounded-lg border p-3 text-sm ${selected ? 'border-blue-300 bg-blue-50' : 'bg-white'}`}>
+                <div className="flex items-center justify-between gap-3">
+                  <div className="flex min-w-0 items-center gap-2">
+                    <span className="text-xs font-semibold text-gray-500">#{suggestion.rank}</span>
+                    <span className="truncate font-medium text-gray-900">{suggestion.name}</span>
+                    {suggestion.score !== null && <Badge variant="outline">{suggestion.score}% match</Badge>}
+                  </div>
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant={selected ? 'secondary' : 'default'}
+                    onClick={() => assign(suggestion.userId)}
+                    disabled={disabled || selected || !suggestion.known}
+                    title={suggestion.known ? undefined : 'This person is not in the team list you can see.'}
+                  >
+                    {selected ? <><Check className="mr-1 h-4 w-4" aria-hidden="true" /> Assigned</> : 'Assign'}
+                  </Button>
+                </div>
+                {suggestion.rationale && <p className="mt-2 whitespace-pre-wrap text-gray-600">{suggestion.rationale}</p>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default AssigneeSuggestions;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { AlertCircle, CalendarIcon, Loader2, X } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Calendar } from './ui/calendar';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { useTeamMembers } from '../hooks/use-team-members';
+import { apiUtils } from '../services/api';
+import { TASK_PRIORITIES, UNASSIGNED, toAssigneePayload, toDueDatePayload } from '../lib/task-form';
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'completed', label: 'Completed' },
+];
+
+const BulkActionBar = ({ selectedCount, busy, result, onApply, onClear, onDismissResult }) => {
+  const [dueDateOpen, setDueDateOpen] = useState(false);
+  const { members } = useTeamMembers({ enabled: selectedCount > 0 });
+
+  if (!selectedCount && !result) return null;
+
+  return (
+    <div className="fixed inset-x-0 bottom-4 z-30 flex justify-center px-4" role="region" aria-label="Bulk task actions">
+      <div className="w-full max-w-4xl rounded-2xl border bg-white p-3 shadow-xl">
+        {result && (
+          <Alert variant={result.failures.length ? 'destructive' : 'default'} className="mb-3" role="status">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription className="flex items-start justify-between gap-3">
+              <div>
+                <p>Updated {result.updatedCount} of {result.requestedCount} task{result.requestedCount === 1 ? '' : 's'}.</p>
+                {result.failures.length > 0 && (
+                  <ul className="mt-1 list-disc pl-4 text-xs">
+                    {result.failures.map((failure, index) => (
+                      <li key={`${failure.taskId}-${index}`}>
+                        {failure.taskId !== null ? `Task #${failure.taskId}: ` : ''}{failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <Button type="button" variant="ghost" size="icon" className="h-6 w-6" onClick={onDismissResult} aria-label="Dismiss summary">
+                <X className="h-4 w-4" aria-hidden="true" />
+              </Button>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {selectedCount > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="mr-1 flex items-center gap-2 text-sm font-medium text-gray-900">
+              {busy && <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />}
+              {selectedCount} selected
+            </span>
+
+            <Select value="" onValueChange={(status) => onApply({ status })} disabled={busy}>
+              <SelectTrigger size="sm" className="w-36" aria-label="Set status for selected tasks">
+                <SelectValue placeholder="Set status" />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {apiUtils.getStatusEmoji(option.value)} {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select value="" onValueChange={(priority) => onApply({ priority })} disabled={busy}>
+              <SelectTrigger size="sm" className="w-36" aria-label="Set priority for selected tasks">
+                <SelectValue placeholder="Set priority" />
+              </SelectTrigger>
+              <SelectContent>
+                {TASK_PRIORITIES.map((priority) => (
+                  <SelectItem key={priority} value={priority} className="capitalize">
+                    {apiUtils.getPriorityEmoji(priority)} {priority}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select value="" onValueChange={(assignee) => onApply({ assigned_to: toAssigneePayload(assignee) })} disabled={busy}>
+              <SelectTrigger size="sm" className="w-40" aria-label="Set assignee for selected tasks">
+                <SelectValue placeholder="Set assignee" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                {members.map((member) => (
+                  <SelectItem key={member.id} value={String(member.id)}>
+                    {member.full_name || member.username}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Popover open={dueDateOpen} onOpenChange={setDueDateOpen}>
+              <PopoverTrigger asChild>
+                <Button type="button" variant="outline" size="sm" disabled={busy}>
+                  <CalendarIcon className="mr-2 h-4 w-4" aria-hidden="true" /> Set due date
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  onSelect={(date) => {
+                    setDueDateOpen(false);
+                    if (date) onApply({ due_date: toDueDatePayload(date) });
+                  }}
+                  initialFocus
+                />
+                <div className="border-t p-2">
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="w-full"
+                    onClick={() => {
+                      setDueDateOpen(false);
+                      onApply({ due_date: null });
+                    }}
+                  >
+                    Clear due date
+                  </Button>
+                </div>
+              </PopoverContent>
+            </Popover>
+
+            <Button type="button" variant="ghost" size="sm" className="ml-auto" onClick={onClear} disabled={busy}>
+              Clear selection
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,372 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AlertCircle,
+  Bot,
+  Check,
+  Clock,
+  Loader2,
+  MessageSquare,
+  Pencil,
+  Plus,
+  Send,
+  Square,
+  Trash2,
+  X,
+} from 'lucide-react';
+
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+  SheetTrigger,
+} from './ui/sheet';
+import { Textarea } from './ui/textarea';
+import Markdown from './Markdown';
+import TaskFormDialog from './TaskFormDialog';
+import { apiUtils, chatAPI, tasksAPI } from '../services/api';
+import {
+  appendMessage,
+  chatThreadStore,
+  createMessage,
+  createThread,
+  normalizeChatReply,
+  toHistoryPayload,
+  updateProposal,
+} from '../lib/chat-threads';
+import { PRIORITY_STYLES } from '../lib/task-styles';
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+function notifyTasksChanged() {
+  window.dispatchEvent(new CustomEvent('tasks:changed'));
+}
+
+const ProposalCard = ({ proposal, onCreate, onEdit, onDismiss }) => {
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const { task } = proposal;
+
+  const create = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      await onCreate(task);
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className={`rounded-lg border p-3 ${proposal.state === 'rejected' ? 'opacity-60' : 'bg-white'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <p className="min-w-0 break-words text-sm font-medium text-gray-900">{task.title}</p>
+        <Badge className={PRIORITY_STYLES[task.priority]}>{task.priority}</Badge>
+      </div>
+      {task.description && <p className="mt-1 line-clamp-3 text-xs text-gray-600">{task.description}</p>}
+      {task.estimated_hours > 0 && (
+        <p className="mt-2 flex items-center gap-1 text-xs text-gray-500">
+          <Clock className="h-3 w-3" aria-hidden="true" /> Estimated {apiUtils.formatDuration(task.estimated_hours)}
+        </p>
+      )}
+      {error && <p className="mt-2 text-xs text-destructive" role="alert">{error}</p>}
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {proposal.state === 'accepted' && (
+          <Button variant="ghost" size="sm" className="h-7 text-green-700" asChild>
+            <Link to={proposal.taskId ? `/tasks/${proposal.taskId}` : '/dashboard'}>
+              <Check className="mr-1 h-3.5 w-3.5" aria-hidden="true" /> Task created
+            </Link>
+          </Button>
+        )}
+        {proposal.state === 'rejected' && <span className="text-xs text-gray-500">Dismissed</span>}
+        {proposal.state === 'proposed' && (
+          <>
+            <Button type="button" size="sm" className="h-7" onClick={create} disabled={creating}>
+              {creating ? <Loader2 className="mr-1 h-3.5 w-3.5 animate-spin" aria-hidden="true" /> : <Plus className="mr-1 h-3.5 w-3.5" aria-hidden="true" />}
+              Create task
+            </Button>
+            <Button type="button" variant="outline" size="sm" className="h-7" onClick={onEdit} disabled={creating}>
+              <Pencil className="mr-1 h-3.5 w-3.5" aria-hidden="true" /> Edit first
+            </Button>
+            <Button type="button" variant="ghost" size="sm" className="h-7" onClick={onDismiss} disabled={creating}>
+              <X className="mr-1 h-3.5 w-3.5" aria-hidden="true" /> Dismiss
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ChatMessage = ({ message, onCreateProposal, onEditProposal, onDismissProposal }) => {
+  if (message.role === 'user') {
+    return (
+      <li className="ml-8 self-end rounded-2xl rounded-br-sm bg-blue-600 px-4 py-2 text-sm whitespace-pre-wrap break-words text-white">
+        {message.content}
+      </li>
+    );
+  }
+
+  return (
+    <li className="mr-8 flex gap-2">
+      <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-full bg-purple-100">
+        <Bot className="h-4 w-4 text-purple-700" aria-hidden="true" />
+      </div>
+      <div className="min-w-0 flex-1 space-y-3">
+        {message.error ? (
+          <p className="flex items-start gap-2 rounded-2xl rounded-tl-sm bg-red-50 px-4 py-2 text-sm text-red-800" role="alert">
+            <AlertCircle className="mt-0.5 h-4 w-4 shrink-0" aria-hidden="true" /> {message.error}
+          </p>
+        ) : (
+          message.content && (
+            <div className="rounded-2xl rounded-tl-sm bg-gray-100 px-4 py-2 text-gray-900">
+              <Markdown content={message.content} />
+            </div>
+          )
+        )}
+        {message.stopped && <p className="text-xs text-gray-500">Stopped before the reply finished.</p>}
+        {message.proposals.length > 0 && (
+          <div className="space-y-2" aria-label="Proposed tasks">
+            {message.proposals.map((proposal) => (
+              <ProposalCard
+                key={proposal.id}
+                proposal={proposal}
+                onCreate={(task) => onCreateProposal(message.id, proposal, task)}
+                onEdit={() => onEditProposal(message.id, proposal)}
+                onDismiss={() => onDismissProposal(message.id, proposal)}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const ChatDrawer = ({ user }) => {
+  const userId = user?.id ?? null;
+  const [open, setOpen] = useState(false);
+  const [threads, setThreads] = useState(() => chatThreadStore.list(userId));
+  const [activeId, setActiveId] = useState(() => threads[0]?.id ?? null);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
+  const [editing, setEditing] = useState(null);
+  const endOfMessages = useRef(null);
+  const activeRequest = useRef(null);
+
+  const activeThread = threads.find((thread) => thread.id === activeId) || null;
+  const messageCount = activeThread?.messages.length ?? 0;
+
+  useEffect(() => {
+    if (open) endOfMessages.current?.scrollIntoView({ block: 'end' });
+  }, [open, messageCount, sending, streamingText]);
+
+  useEffect(() => () => activeRequest.current?.abort(), []);
+
+  const saveThread = (thread) => {
+    setThreads(chatThreadStore.save(userId, thread));
+    setActiveId(thread.id);
+  };
+
+  // Re-read before writing so replies never overwrite proposal changes made while waiting.
+  const latestThread = (thread) => chatThreadStore.list(userId).find((item) => item.id === thread.id) || thread;
+
+  const sendMessage = async () => {
+    const text = input.trim();
+    if (!text || sending) return;
+
+    const history = toHistoryPayload(activeThread?.messages ?? []);
+    const thread = appendMessage(activeThread || createThread(), createMessage('user', text));
+    saveThread(thread);
+    setInput('');
+    setSending(true);
+    setStreamingText('');
+
+    const controller = new AbortController();
+    activeRequest.current = controller;
+    let partial = '';
+    let reply = null;
+    try {
+      const response = await chatAPI.streamMessage(text, {
+        history,
+        conversationId: thread.id,
+        signal: controller.signal,
+        onToken: (token, received) => {
+          partial = received;
+          setStreamingText(received);
+        },
+      });
+      if (response.status !== 'success') throw new Error(response.message || 'The agent could not reply.');
+      const { content, proposals } = normalizeChatReply(response);
+      if (!content && !proposals.length) throw new Error('The agent returned an empty reply.');
+      reply = createMessage('assistant', content, { proposals });
+    } catch (requestError) {
+      if (!apiUtils.isCancellation(requestError)) {
+        reply = createMessage('assistant', '', { error: apiUtils.handleError(requestError).message });
+      } else if (partial.trim()) {
+        // Keep what already arrived; proposals are only offered for complete replies.
+        reply = createMessage('assistant', normalizeChatReply({ reply: partial }).content, { stopped: true });
+      }
+    } finally {
+      activeRequest.current = null;
+      setSending(false);
+      setStreamingText('');
+    }
+
+    if (reply) saveThread(appendMessage(latestThread(thread), reply));
+  };
+
+  const stopReply = () => activeRequest.current?.abort();
+
+  const changeProposal = (messageId, proposalId, changes) => {
+    if (!activeThread) return;
+    saveThread(updateProposal(latestThread(activeThread), messageId, proposalId, changes));
+  };
+
+  const createFromProposal = async (messageId, proposal, task) => {
+    const response = await tasksAPI.createTask({ ...task, is_ai_generated: true, ai_context: proposal.task.ai_context });
+    if (response.status !== 'success' || !response.task) throw new Error(response.message || 'The task could not be created.');
+    changeProposal(messageId, proposal.id, { state: 'accepted', taskId: response.task.id });
+    notifyTasksChanged();
+    return response.task;
+  };
+
+  const deleteThread = () => {
+    if (!activeThread || !window.confirm(`Delete “${activeThread.title}”? This cannot be undone.`)) return;
+    const remaining = chatThreadStore.remove(userId, activeThread.id);
+    setThreads(remaining);
+    setActiveId(remaining[0]?.id ?? null);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey && !event.nativeEvent.isComposing) {
+      event.preventDefault();
+      sendMessage();
+    }
+  };
+
+  return (
+    <>
+      <Sheet open={open} onOpenChange={setOpen}>
+        <SheetTrigger asChild>
+          <Button variant="outline" size="sm" aria-label="Chat with the agent">
+            <MessageSquare className="h-4 w-4 sm:mr-2" aria-hidden="true" />
+            <span className="hidden sm:inline">Chat</span>
+          </Button>
+        </SheetTrigger>
+        <SheetContent className="flex w-full flex-col gap-0 p-0 sm:max-w-xl">
+          <SheetHeader className="border-b">
+            <SheetTitle className="flex items-center gap-2">
+              <Bot className="h-5 w-5 text-purple-600" aria-hidden="true" /> Agent chat
+            </SheetTitle>
+            <SheetDescription>Conversations are saved on this browser for your account.</SheetDescription>
+            <div className="flex items-center gap-2 pt-2">
+              <Select value={activeId ?? ''} onValueChange={setActiveId} disabled={!threads.length || sending}>
+                <SelectTrigger size="sm" className="min-w-0 flex-1" aria-label="Conversation">
+                  <SelectValue placeholder="No conversations yet" />
+                </SelectTrigger>
+                <SelectContent>
+                  {threads.map((thread) => (
+                    <SelectItem key={thread.id} value={thread.id}>{thread.title}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="button" variant="outline" size="sm" onClick={() => setActiveId(null)} disabled={sending}>
+                <Plus className="mr-1 h-4 w-4" aria-hidden="true" /> New
+              </Button>
+              <Button type="button" variant="ghost" size="icon" className="h-8 w-8" onClick={deleteThread} disabled={!activeThread || sending} aria-label="Delete conversation">
+                <Trash2 className="h-4 w-4" aria-hidden="true" />
+              </Button>
+            </div>
+          </SheetHeader>
+
+          <div className="flex-1 overflow-y-auto p-4" aria-live="polite">
+            {messageCount ? (
+              <ol className="flex flex-col gap-4">
+                {activeThread.messages.map((message) => (
+                  <ChatMessage
+                    key={message.id}
+                    message={message}
+                    onCreateProposal={createFromProposal}
+                    onEditProposal={(messageId, proposal) => setEditing({ messageId, proposal })}
+                    onDismissProposal={(messageId, proposal) => changeProposal(messageId, proposal.id, { state: 'rejected' })}
+                  />
+                ))}
+              </ol>
+            ) : (
+              <div className="py-16 text-center text-sm text-gray-500">
+                <MessageSquare className="mx-auto mb-3 h-8 w-8 text-gray-300" aria-hidden="true" />
+                Ask about your tasks, plan a project, or request task proposals you can create with one click.
+              </div>
+            )}
+            {sending && streamingText && (
+              <div className="mt-4 mr-8 flex gap-2">
+                <div className="flex h-7 w-7 shrink-0 items-center justify-center rounded-full bg-purple-100">
+                  <Bot className="h-4 w-4 text-purple-700" aria-hidden="true" />
+                </div>
+                <div className="min-w-0 flex-1 rounded-2xl rounded-tl-sm bg-gray-100 px-4 py-2 text-gray-900" aria-busy="true">
+                  <Markdown content={streamingText} />
+                </div>
+              </div>
+            )}
+            {sending && !streamingText && (
+              <p className="mt-4 flex items-center gap-2 text-sm text-gray-500" role="status">
+                <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> The agent is thinking…
+              </p>
+            )}
+            <div ref={endOfMessages} />
+          </div>
+
+          <form
+            className="border-t p-4"
+            onSubmit={(event) => {
+              event.preventDefault();
+              sendMessage();
+            }}
+          >
+            <div className="flex items-end gap-2">
+              <Textarea
+                value={input}
+                onChange={(event) => setInput(event.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={2}
+                maxLength={MAX_MESSAGE_LENGTH}
+                placeholder="Message the agent…"
+                aria-label="Message"
+                className="max-h-40 min-h-10 resize-none"
+              />
+              {sending ? (
+                <Button type="button" variant="outline" size="icon" onClick={stopReply} aria-label="Stop the reply">
+                  <Square className="h-4 w-4 fill-current" aria-hidden="true" />
+                </Button>
+              ) : (
+                <Button type="submit" size="icon" disabled={!input.trim()} aria-label="Send message">
+                  <Send className="h-4 w-4" aria-hidden="true" />
+                </Button>
+              )}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">Enter to send, Shift+Enter for a new line.</p>
+          </form>
+        </SheetContent>
+      </Sheet>
+
+      <TaskFormDialog
+        open={Boolean(editing)}
+        onOpenChange={(nextOpen) => !nextOpen && setEditing(null)}
+        initialTask={editing?.proposal.task ?? null}
+        onCreate={(task) => createFromProposal(editing.messageId, editing.proposal, task)}
+      />
+    </>
+  );
+};
+
+export default ChatDrawer;
@@ -1,31 +1,75 @@
-import { useEffect, useMemo, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   AlertCircle,
   BarChart3,
-  Bot,
+  BellOff,
   CheckCircle2,
   Clock3,
   ListTodo,
-  LogOut,
+  Plus,
   RotateCw,
   Search,
   ShieldCheck,
+  X,
 } from 'lucide-react';
 
 import { Alert, AlertDescription } from './ui/alert';
 import { Badge } from './ui/badge';
 import { Button } from './ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Checkbox } from './ui/checkbox';
 import { Input } from './ui/input';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from './ui/pagination';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { SidebarInset, SidebarProvider, SidebarTrigger } from './ui/sidebar';
+import AppHeader from './AppHeader';
+import BulkActionBar from './BulkActionBar';
+import NotificationPreferences from './NotificationPreferences';
+import SavedViewsSidebar from './SavedViewsSidebar';
 import TaskCard from './TaskCard';
+import TaskFilterSheet from './TaskFilterSheet';
+import TaskFormDialog from './TaskFormDialog';
+import { useNotificationPreferences } from '../hooks/use-notification-preferences';
+import { useSavedViews } from '../hooks/use-saved-views';
+import { useTeamMembers } from '../hooks/use-team-members';
 import { apiUtils, authAPI, tasksAPI } from '../services/api';
+import { sendTaskNotifications } from '../services/task-notifications';
+import {
+  selectRange,
+  summarizeBulkResult,
+  toggleAllVisible,
+  toggleSelection,
+  visibleSelectionState,
+} from '../lib/bulk-selection';
+import { viewCountParams, viewQueryFromState } from '../lib/saved-views';
+import {
+  SORT_OPTIONS,
+  activeFilterChips,
+  buildTaskQueryParams,
+  normalizePagination,
+  paginationRange,
+  parseTaskSearchParams,
+  removeFilterChip,
+  toTaskSearchParams,
+} from '../lib/task-query';
+import { applyTaskUpdate, bulkTaskNotifications, describeNotificationFailures } from '../lib/task-notifications';
+
+const SEARCH_DEBOUNCE_MS = 300;
 
 const FILTERS = [
-  { value: 'all', label: 'All tasks' },
-  { value: 'pending', label: 'Pending' },
-  { value: 'in_progress', label: 'In progress' },
-  { value: 'completed', label: 'Completed' },
+  { value: [], label: 'All tasks' },
+  { value: ['pending'], label: 'Pending' },
+  { value: ['in_progress'], label: 'In progress' },
+  { value: ['completed'], label: 'Completed' },
 ];
 
 function calculateFallbackStats(tasks) {
@@ -44,79 +88,250 @@ const Dashboard = () => {
   const [user, setUser] = useState(() => apiUtils.getCurrentUser());
   const [tasks, setTasks] = useState([]);
   const [stats, setStats] = useState({});
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = useMemo(() => parseTaskSearchParams(searchParams), [searchParams]);
+  const [searchTerm, setSearchTerm] = useState(view.search);
+  const { members } = useTeamMembers();
+  const savedViews = useSavedViews(user?.id ?? null);
+  const [pagination, setPagination] = useState(() => normalizePagination());
+  const [tasksLoading, setTasksLoading] = useState(false);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState('');
-  const navigate = useNavigate();
+  const [createOpen, setCreateOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [notificationWarning, setNotificationWarning] = useState('');
+  const selectionAnchor = useRef(null);
+  const latestTaskRequest = useRef(0);
 
-  const loadDashboardData = async ({ background = false } = {}) => {
-    if (background) setRefreshing(true);
-    else setLoading(true);
-    setError('');
+  const currentUserId = user?.id ?? null;
+  const { preferences: notificationPreferences, setPreference: setNotificationPreference } = useNotificationPreferences(currentUserId);
+  const taskQuery = useMemo(
+    () => buildTaskQueryParams({ ...view, currentUserId }),
+    [currentUserId, view],
+  );
 
-    try {
-      const userResponse = await authAPI.getCurrentUser();
-      if (userResponse.status === 'success') setUser(userResponse.user);
+  const updateView = useCallback((changes) => {
+    setSearchParams(toTaskSearchParams({ ...view, page: 1, ...changes }));
+  }, [setSearchParams, view]);
 
-      const [tasksResponse, statsResponse] = await Promise.all([
-        tasksAPI.getTasks({ per_page: 100 }),
+  const loadSummary = useCallback(async () => {
+    try {
+      const [userResponse, statsResponse] = await Promise.all([
+        authAPI.getCurrentUser(),
         tasksAPI.getTaskStats(),
       ]);
-
-      if (tasksResponse.status === 'success') setTasks(tasksResponse.tasks || []);
+      if (userResponse.status === 'success') setUser(userResponse.user);
       if (statsResponse.status === 'success') setStats(statsResponse.stats || {});
     } catch (requestError) {
       setError(apiUtils.handleError(requestError).message);
+    }
+  }, []);
+
+  const loadTasks = useCallback(async () => {
+    const requestId = latestTaskRequest.current + 1;
+    latestTaskRequest.current = requestId;
+    setTasksLoading(true);
+    try {
+      const response = await tasksAPI.getTasks(taskQuery);
+      if (requestId !== latestTaskRequest.current) return;
+      if (response.status === 'success') {
+        setTasks(response.tasks || []);
+        setPagination(normalizePagination(response, taskQuery));
+      }
+    } catch (requestError) {
+      if (requestId === latestTaskRequest.current) setError(apiUtils.handleError(requestError).message);
+    } finally {
+      if (requestId === latestTaskRequest.current) {
+        setTasksLoading(false);
+        setLoading(false);
+      }
+    }
+  }, [taskQuery]);
+
+  const loadDashboardData = async ({ background = false } = {}) => {
+    if (background) setRefreshing(true);
+    setError('');
+    try {
+      await Promise.all([loadSummary(), loadTasks()]);
     } finally {
-      setLoading(false);
       setRefreshing(false);
     }
   };
 
   useEffect(() => {
-    loadDashboardData();
-  }, []);
+    loadSummary();
+  }, [loadSummary]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  useEffect(() => {
+    // Bulk actions only apply to tasks the current filters, search and page show.
+    setSelectedIds([]);
+    selectionAnchor.current = null;
+  }, [taskQuery]);
+
+  useEffect(() => {
+    // Tasks created from the chat drawer should appear without a manual refresh.
+    const handleTasksChanged = () => {
+      loadTasks();
+      loadSummary();
+    };
+    window.addEventListener('tasks:changed', handleTasksChanged);
+    return () => window.removeEventListener('tasks:changed', handleTasksChanged);
+  }, [loadSummary, loadTasks]);
+
+  useEffect(() => {
+    // Back/forward navigation changes the URL first; mirror it into the search box.
+    setSearchTerm((current) => (current.trim() === view.search ? current : view.search));
+  }, [view.search]);
+
+  useEffect(() => {
+    if (searchTerm.trim() === view.search) return undefined;
+    const timeout = window.setTimeout(() => updateView({ search: searchTerm.trim() }), SEARCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timeout);
+  }, [searchTerm, updateView, view.search]);
 
   const derivedStats = useMemo(
-    () => ({ ...calculateFallbackStats(tasks), ...stats }),
-    [stats, tasks],
+    () => ({ ...calculateFallbackStats(tasks), total_tasks: pagination.total, ...stats }),
+    [pagination.total, stats, tasks],
   );
 
-  const visibleTasks = useMemo(() => {
-    const normalizedSearch = searchTerm.trim().toLowerCase();
-    return tasks.filter((task) => {
-      const matchesFilter = filter === 'all' || task.status === filter;
-      const matchesSearch = !normalizedSearch
-        || task.title?.toLowerCase().includes(normalizedSearch)
-        || task.description?.toLowerCase().includes(normalizedSearch)
-        || task.assignee_info?.username?.toLowerCase().includes(normalizedSearch);
-      return matchesFilter && matchesSearch;
+  const visibleIds = useMemo(() => tasks.map((task) => task.id), [tasks]);
+  const firstShown = (pagination.page - 1) * pagination.perPage + 1;
+
+  const filterMembers = useMemo(() => {
+    const others = members.filter((member) => member.id !== currentUserId);
+    const unknownIds = [...view.assignee, view.creator]
+      .filter((reference) => /^\d+$/.test(reference) && !others.some((member) => String(member.id) === reference));
+    return [...new Set(unknownIds)].map((id) => ({ id, username: `User #${id}` })).concat(others);
+  }, [currentUserId, members, view.assignee, view.creator]);
+
+  const filterChips = useMemo(() => {
+    const labels = new Map(filterMembers.map((member) => [String(member.id), member.full_name || member.username]));
+    return activeFilterChips(view, { userLabel: (id) => labels.get(id) || `User #${id}` });
+  }, [filterMembers, view]);
+  const panelFilterCount = filterChips.filter((chip) => chip.field !== 'search').length;
+
+  const activeViewQuery = viewQueryFromState(view);
+  const [savedViewCounts, setSavedViewCounts] = useState({});
+
+  useEffect(() => {
+    // Stats are refreshed after every task change, so counts follow them.
+    let active = true;
+    Promise.all(savedViews.views.map(async (savedView) => {
+      try {
+        const response = await tasksAPI.getTasks(viewCountParams(savedView.query, currentUserId));
+        return [savedView.id, response.status === 'success' ? normalizePagination(response).total : null];
+      } catch {
+        return [savedView.id, null];
+      }
+    })).then((entries) => {
+      if (active) setSavedViewCounts(Object.fromEntries(entries));
+    });
+    return () => { active = false; };
+  }, [currentUserId, savedViews.views, stats]);
+
+  const applySavedView = (savedView) => {
+    setSearchParams(new URLSearchParams(savedView.query));
+  };
+
+  const saveCurrentView = (details) => savedViews.createView({ ...details, query: activeViewQuery });
+
+  const hasActiveFilters = filterChips.length > 0 || Boolean(searchTerm);
+
+  const removeChip = (chip) => {
+    if (chip.field === 'search') setSearchTerm('');
+    updateView(removeFilterChip(view, chip));
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setSearchParams(toTaskSearchParams({ sort: view.sort }));
+  };
+  const pageHref = (nextPage) => `?${toTaskSearchParams({ ...view, page: nextPage })}`;
+
+  const goToPage = (nextPage) => {
+    if (nextPage < 1 || nextPage > pagination.pages || nextPage === view.page) return;
+    updateView({ page: nextPage });
+    document.getElementById('tasks-heading')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const refreshStats = async () => {
+    const statsResponse = await tasksAPI.getTaskStats();
+    if (statsResponse.status === 'success') setStats(statsResponse.stats || {});
+  };
+
+  // Fire and forget: notifications start after the task change is saved, so a failure only warns.
+  const notifyTaskChanges = (notifications) => {
+    if (!notifications.length) return;
+    setNotificationWarning('');
+    sendTaskNotifications(notifications).then((failures) => {
+      if (failures.length) setNotificationWarning(describeNotificationFailures(failures));
     });
-  }, [filter, searchTerm, tasks]);
+  };
 
-  const handleLogout = async () => {
+  const handleTaskUpdate = async (taskId, updates) => {
+    setError('');
     try {
-      await authAPI.logout();
-    } finally {
-      navigate('/login', { replace: true });
+      await applyTaskUpdate(taskId, tasks.find((task) => task.id === taskId), updates, {
+        save: tasksAPI.updateTask,
+        replaceTask: (nextTask) => setTasks((current) => current.map((task) => (task.id === taskId ? nextTask : task))),
+        notify: notifyTaskChanges,
+        refreshStats,
+        preferences: notificationPreferences,
+      });
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+      throw requestError;
     }
   };
 
-  const handleTaskUpdate = async (taskId, updates) => {
+  const handleTaskCreate = async (taskData) => {
+    const response = await tasksAPI.createTask(taskData);
+    if (response.status !== 'success' || !response.task) {
+      throw new Error(response.message || 'The task could not be created.');
+    }
+    setTasks((current) => [response.task, ...current]);
+    refreshStats().catch(() => {});
+    loadTasks();
+    return response.task;
+  };
+
+  const handleTaskSelect = (taskId, { checked, range }) => {
+    setSelectedIds((current) => (range && selectionAnchor.current !== null
+      ? selectRange(current, visibleIds, selectionAnchor.current, taskId, checked)
+      : toggleSelection(current, taskId, checked)));
+    selectionAnchor.current = taskId;
+  };
+
+  const handleBulkApply = async (updates) => {
+    if (!selectedIds.length || bulkBusy) return;
+    const requestedIds = selectedIds;
+    setBulkBusy(true);
+    setBulkResult(null);
     setError('');
     try {
-      const response = await tasksAPI.updateTask(taskId, updates);
-      if (response.status === 'success') {
-        setTasks((current) => current.map((task) => (task.id === taskId ? response.task : task)));
-        const statsResponse = await tasksAPI.getTaskStats();
-        if (statsResponse.status === 'success') setStats(statsResponse.stats || {});
+      const response = await tasksAPI.bulkUpdateTasks(requestedIds, updates);
+      const summary = summarizeBulkResult(response, requestedIds);
+      setBulkResult(summary);
+      notifyTaskChanges(bulkTaskNotifications(tasks, summary, requestedIds, updates, notificationPreferences));
+      setSelectedIds(summary.failedIds);
+      if (summary.updatedTasks.length) {
+        const updatedById = new Map(summary.updatedTasks.map((task) => [task.id, task]));
+        setTasks((current) => current.map((task) => updatedById.get(task.id) || task));
+        await refreshStats();
+      } else {
+        await loadDashboardData({ background: true });
       }
     } catch (requestError) {
-      const message = apiUtils.handleError(requestError).message;
-      setError(message);
-      throw requestError;
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setBulkBusy(false);
     }
   };
 
@@ -125,8 +340,8 @@ const Dashboard = () => {
     try {
       await tasksAPI.deleteTask(taskId);
       setTasks((current) => current.filter((task) => task.id !== taskId));
-      const statsResponse = await tasksAPI.getTaskStats();
-      if (statsResponse.status === 'success') setStats(statsResponse.stats || {});
+      setSelectedIds((current) => toggleSelection(current, taskId, false));
+      await Promise.all([refreshStats(), loadTasks()]);
     } catch (requestError) {
       const message = apiUtils.handleError(requestError).message;
       setError(message);
@@ -156,152 +371,267 @@ const Dashboard = () => {
   }
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      <header className="sticky top-0 z-20 border-b bg-white/95 backdrop-blur">
-        <div className="mx-auto flex min-h-16 max-w-7xl flex-wrap items-center justify-between gap-3 px-4 py-3 sm:px-6 lg:px-8">
-          <div className="flex min-w-0 items-center">
-            <div className="mr-3 flex h-10 w-10 shrink-0 items-center justify-center rounded-xl bg-blue-600">
-              <Bot className="h-6 w-6 text-white" aria-hidden="true" />
-            </div>
-            <div className="min-w-0">
-              <h1 className="truncate text-lg font-semibold text-gray-950">AI Agent System</h1>
-              <p className="truncate text-xs text-gray-500">Task management dashboard</p>
-            </div>
-          </div>
-
-          <div className="flex items-center gap-2">
-            <Button variant="outline" size="sm" onClick={() => loadDashboardData({ background: true })} disabled={refreshing}>
-              <RotateCw className={`mr-2 h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} aria-hidden="true" />
-              <span className="hidden sm:inline">Refresh</span>
-            </Button>
-            <div className="hidden text-right md:block">
-              <p className="text-sm font-medium text-gray-900">{displayName}</p>
-              <p className="text-xs capitalize text-gray-500">{user?.role || 'member'}</p>
-            </div>
-            <Button variant="outline" size="sm" onClick={handleLogout}>
-              <LogOut className="mr-2 h-4 w-4" aria-hidden="true" />
-              <span className="hidden sm:inline">Logout</span>
-            </Button>
-          </div>
-        </div>
-      </header>
-
-      <main className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
-        <section className="mb-8 flex flex-col justify-between gap-4 sm:flex-row sm:items-end">
-          <div>
-            <div className="flex items-center gap-2">
-              <h2 className="text-2xl font-bold tracking-tight text-gray-950">Welcome, {displayName}</h2>
-              {isAdmin && (
-                <Badge variant="outline" className="border-blue-200 bg-blue-50 text-blue-700">
-                  <ShieldCheck className="mr-1 h-3 w-3" aria-hidden="true" /> Admin
-                </Badge>
-              )}
+    <SidebarProvider>
+      <SavedViewsSidebar
+        views={savedViews.views}
+        counts={savedViewCounts}
+        activeQuery={activeViewQuery}
+        storageMode={savedViews.mode}
+        error={savedViews.error}
+        onApply={applySavedView}
+        onSave={saveCurrentView}
+        onTogglePin={(savedView) => savedViews.updateView(savedView.id, { pinned: !savedView.pinned }).catch(() => {})}
+        onRemove={(savedView) => savedViews.removeView(savedView.id).catch(() => {})}
+      />
+      <SidebarInset className="min-h-screen bg-gray-50">
+        <AppHeader user={user} subtitle="Task management dashboard">
+          <SidebarTrigger className="size-8" aria-label="Toggle saved views" />
+          <NotificationPreferences preferences={notificationPreferences} onChange={setNotificationPreference} />
+          <Button variant="outline" size="sm" onClick={() => loadDashboardData({ background: true })} disabled={refreshing}>
+            <RotateCw className={`mr-2 h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} aria-hidden="true" />
+            <span className="hidden sm:inline">Refresh</span>
+          </Button>
+        </AppHeader>
+
+        <div className={`mx-auto w-full max-w-7xl px-4 py-8 sm:px-6 lg:px-8 ${selectedIds.length || bulkResult ? 'pb-40' : ''}`}>
+          <section className="mb-8 flex flex-col justify-between gap-4 sm:flex-row sm:items-end">
+            <div>
+              <div className="flex items-center gap-2">
+                <h2 className="text-2xl font-bold tracking-tight text-gray-950">Welcome, {displayName}</h2>
+                {isAdmin && (
+                  <Badge variant="outline" className="border-blue-200 bg-blue-50 text-blue-700">
+                    <ShieldCheck className="mr-1 h-3 w-3" aria-hidden="true" /> Admin
+                  </Badge>
+                )}
+              </div>
+              <p className="mt-2 text-gray-600">Review priorities, update progress, and keep work moving.</p>
             </div>
-            <p className="mt-2 text-gray-600">Review priorities, update progress, and keep work moving.</p>
-          </div>
-          <div className="rounded-xl border bg-white px-4 py-3 text-sm shadow-sm">
-            <div className="flex items-center gap-2 text-gray-600">
-              <BarChart3 className="h-4 w-4 text-blue-600" aria-hidden="true" />
-              Completion rate
-              <strong className="text-gray-950">{derivedStats.completion_rate || 0}%</strong>
+            <div className="rounded-xl border bg-white px-4 py-3 text-sm shadow-sm">
+              <div className="flex items-center gap-2 text-gray-600">
+                <BarChart3 className="h-4 w-4 text-blue-600" aria-hidden="true" />
+                Completion rate
+                <strong className="text-gray-950">{derivedStats.completion_rate || 0}%</strong>
+              </div>
             </div>
-          </div>
-        </section>
-
-        {error && (
-          <Alert variant="destructive" className="mb-6" role="alert">
-            <AlertCircle className="h-4 w-4" aria-hidden="true" />
-            <AlertDescription className="flex flex-wrap items-center justify-between gap-3">
-              <span>{error}</span>
-              <Button variant="outline" size="sm" onClick={() => loadDashboardData({ background: true })}>Retry</Button>
-            </AlertDescription>
-          </Alert>
-        )}
-
-        <section className="mb-8 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4" aria-label="Task summary">
-          {summaryCards.map(({ label, value, icon: Icon, className }) => (
-            <Card key={label}>
-              <CardContent className="flex items-center justify-between p-5">
+          </section>
+
+          {error && (
+            <Alert variant="destructive" className="mb-6" role="alert">
+              <AlertCircle className="h-4 w-4" aria-hidden="true" />
+              <AlertDescription className="flex flex-wrap items-center justify-between gap-3">
+                <span>{error}</span>
+                <Button variant="outline" size="sm" onClick={() => loadDashboardData({ background: true })}>Retry</Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {notificationWarning && (
+            <Alert className="mb-6 border-amber-200 bg-amber-50 text-amber-900" role="status">
+              <BellOff className="h-4 w-4" aria-hidden="true" />
+              <AlertDescription className="flex flex-wrap items-center justify-between gap-3 text-amber-900">
+                <span>{notificationWarning} The task change was saved.</span>
+                <Button variant="ghost" size="sm" onClick={() => setNotificationWarning('')}>Dismiss</Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <section className="mb-8 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4" aria-label="Task summary">
+            {summaryCards.map(({ label, value, icon: Icon, className }) => (
+              <Card key={label}>
+                <CardContent className="flex items-center justify-between p-5">
+                  <div>
+                    <p className="text-sm text-gray-500">{label}</p>
+                    <p className="mt-1 text-3xl font-bold text-gray-950">{value}</p>
+                  </div>
+                  <div className={`rounded-xl p-3 ${className}`}>
+                    <Icon className="h-5 w-5" aria-hidden="true" />
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </section>
+
+          <section aria-labelledby="tasks-heading">
+            <Card>
+              <CardHeader className="gap-4 border-b lg:flex-row lg:items-center lg:justify-between">
                 <div>
-                  <p className="text-sm text-gray-500">{label}</p>
-                  <p className="mt-1 text-3xl font-bold text-gray-950">{value}</p>
+                  <CardTitle id="tasks-heading">Tasks</CardTitle>
+                  <p className="mt-1 text-sm text-gray-500" aria-live="polite">
+                    {pagination.total
+                      ? `Showing ${firstShown}–${firstShown + tasks.length - 1} of ${pagination.total}`
+                      : 'No tasks found'}
+                  </p>
                 </div>
-                <div className={`rounded-xl p-3 ${className}`}>
-                  <Icon className="h-5 w-5" aria-hidden="true" />
-                </div>
-              </CardContent>
-            </Card>
-          ))}
-        </section>
-
-        <section aria-labelledby="tasks-heading">
-          <Card>
-            <CardHeader className="gap-4 border-b lg:flex-row lg:items-center lg:justify-between">
-              <div>
-                <CardTitle id="tasks-heading">Tasks</CardTitle>
-                <p className="mt-1 text-sm text-gray-500">{visibleTasks.length} of {tasks.length} shown</p>
-              </div>
-              <div className="relative w-full lg:max-w-sm">
-                <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" aria-hidden="true" />
-                <Input
-                  value={searchTerm}
-                  onChange={(event) => setSearchTerm(event.target.value)}
-                  placeholder="Search tasks or assignees"
-                  className="pl-9"
-                  aria-label="Search tasks"
-                />
-              </div>
-            </CardHeader>
-            <CardContent className="p-4 sm:p-6">
-              <div className="mb-6 flex flex-wrap gap-2" role="group" aria-label="Filter tasks by status">
-                {FILTERS.map((item) => (
-                  <Button
-                    key={item.value}
-                    type="button"
-                    size="sm"
-                    variant={filter === item.value ? 'default' : 'outline'}
-                    onClick={() => setFilter(item.value)}
-                    aria-pressed={filter === item.value}
-                  >
-                    {item.label}
+                <div className="flex w-full flex-col gap-2 sm:flex-row lg:max-w-lg">
+                  <div className="relative flex-1">
+                    <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+                    <Input
+                      value={searchTerm}
+                      onChange={(event) => setSearchTerm(event.target.value)}
+                      placeholder="Search tasks or assignees"
+                      className="pl-9"
+                      aria-label="Search tasks"
+                    />
+                  </div>
+                  <Button type="button" onClick={() => setCreateOpen(true)}>
+                    <Plus className="mr-2 h-4 w-4" aria-hidden="true" /> New task
                   </Button>
-                ))}
-              </div>
-
-              {visibleTasks.length ? (
-                <div className="grid grid-cols-1 gap-5 lg:grid-cols-2">
-                  {visibleTasks.map((task) => (
-                    <TaskCard
-                      key={task.id}
-                      task={task}
-                      onUpdate={handleTaskUpdate}
-                      onDelete={handleTaskDelete}
-                      canDelete={isAdmin || task.created_by === user?.id}
+                </div>
+              </CardHeader>
+              <CardContent className="p-4 sm:p-6">
+                <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+                  <div className="flex flex-wrap gap-2" role="group" aria-label="Filter tasks by status">
+                    {FILTERS.map((item) => {
+                      const pressed = view.status.join(',') === item.value.join(',');
+                      return (
+                        <Button
+                          key={item.label}
+                          type="button"
+                          size="sm"
+                          variant={pressed ? 'default' : 'outline'}
+                          onClick={() => updateView({ status: item.value })}
+                          aria-pressed={pressed}
+                        >
+                          {item.label}
+                        </Button>
+                      );
+                    })}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <TaskFilterSheet
+                      view={view}
+                      members={filterMembers}
+                      activeCount={panelFilterCount}
+                      onApply={(criteria) => updateView(criteria)}
                     />
-                  ))}
+                    <Select value={view.sort} onValueChange={(sort) => updateView({ sort })}>
+                      <SelectTrigger size="sm" className="w-44" aria-label="Sort tasks">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {SORT_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {tasks.length > 0 && (
+                      <label className="flex items-center gap-2 text-sm text-gray-600">
+                        <Checkbox
+                          checked={visibleSelectionState(selectedIds, visibleIds)}
+                          onCheckedChange={() => setSelectedIds((current) => toggleAllVisible(current, visibleIds))}
+                        />
+                        Select all shown
+                      </label>
+                    )}
+                  </div>
                 </div>
-              ) : (
-                <div className="rounded-xl border border-dashed bg-gray-50 px-6 py-12 text-center">
-                  <ListTodo className="mx-auto h-10 w-10 text-gray-400" aria-hidden="true" />
-                  <h3 className="mt-4 font-semibold text-gray-900">No matching tasks</h3>
-                  <p className="mt-1 text-sm text-gray-500">Change the filter or search term, then try again.</p>
-                  {(filter !== 'all' || searchTerm) && (
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      className="mt-4"
-                      onClick={() => { setFilter('all'); setSearchTerm(''); }}
-                    >
-                      Clear filters
+
+                {filterChips.length > 0 && (
+                  <div className="-mt-3 mb-6 flex flex-wrap items-center gap-2" aria-label="Active filters">
+                    {filterChips.map((chip) => (
+                      <Badge key={chip.id} variant="secondary" className="gap-1 pr-1">
+                        {chip.label}
+                        <button
+                          type="button"
+                          className="rounded-full p-0.5 hover:bg-gray-300"
+                          onClick={() => removeChip(chip)}
+                          aria-label={`Remove filter ${chip.label}`}
+                        >
+                          <X className="h-3 w-3" aria-hidden="true" />
+                        </button>
+                      </Badge>
+                    ))}
+                    <Button type="button" variant="link" size="sm" className="h-auto px-1" onClick={clearFilters}>
+                      Clear all
                     </Button>
-                  )}
-                </div>
-              )}
-            </CardContent>
-          </Card>
-        </section>
-      </main>
-    </div>
+                  </div>
+                )}
+
+                {tasks.length ? (
+                  <div className={`grid grid-cols-1 gap-5 transition-opacity lg:grid-cols-2 ${tasksLoading ? 'opacity-60' : ''}`} aria-busy={tasksLoading}>
+                    {tasks.map((task) => (
+                      <TaskCard
+                        key={task.id}
+                        task={task}
+                        onUpdate={handleTaskUpdate}
+                        onDelete={handleTaskDelete}
+                        canDelete={isAdmin || task.created_by === user?.id}
+                        selected={selectedIds.includes(task.id)}
+                        onSelect={handleTaskSelect}
+                      />
+                    ))}
+                  </div>
+                ) : (
+                  <div className="rounded-xl border border-dashed bg-gray-50 px-6 py-12 text-center">
+                    <ListTodo className="mx-auto h-10 w-10 text-gray-400" aria-hidden="true" />
+                    <h3 className="mt-4 font-semibold text-gray-900">No matching tasks</h3>
+                    <p className="mt-1 text-sm text-gray-500">Change the filter or search term, then try again.</p>
+                    {hasActiveFilters && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="mt-4"
+                        onClick={clearFilters}
+                      >
+                        Clear filters
+                      </Button>
+                    )}
+                  </div>
+                )}
+
+                {pagination.pages > 1 && (
+                  <Pagination className="mt-6">
+                    <PaginationContent>
+                      <PaginationItem>
+                        <PaginationPrevious
+                          href={pageHref(pagination.page - 1)}
+                          onClick={(event) => { event.preventDefault(); goToPage(pagination.page - 1); }}
+                          aria-disabled={pagination.page <= 1}
+                          className={pagination.page <= 1 ? 'pointer-events-none opacity-50' : ''}
+                        />
+                      </PaginationItem>
+                      {paginationRange(pagination.page, pagination.pages).map((item) => (
+                        <PaginationItem key={item}>
+                          {typeof item === 'number' ? (
+                            <PaginationLink
+                              href={pageHref(item)}
+                              isActive={item === pagination.page}
+                              onClick={(event) => { event.preventDefault(); goToPage(item); }}
+                            >
+                              {item}
+                            </PaginationLink>
+                          ) : (
+                            <PaginationEllipsis />
+                          )}
+                        </PaginationItem>
+                      ))}
+                      <PaginationItem>
+                        <PaginationNext
+                          href={pageHref(pagination.page + 1)}
+                          onClick={(event) => { event.preventDefault(); goToPage(pagination.page + 1); }}
+                          aria-disabled={pagination.page >= pagination.pages}
+                          className={pagination.page >= pagination.pages ? 'pointer-events-none opacity-50' : ''}
+                        />
+                      </PaginationItem>
+                    </PaginationContent>
+                  </Pagination>
+                )}
+              </CardContent>
+            </Card>
+          </section>
+        </div>
+
+        <TaskFormDialog open={createOpen} onOpenChange={setCreateOpen} onCreate={handleTaskCreate} />
+        <BulkActionBar
+          selectedCount={selectedIds.length}
+          busy={bulkBusy}
+          result={bulkResult}
+          onApply={handleBulkApply}
+          onClear={() => setSelectedIds([])}
+          onDismissResult={() => setBulkResult(null)}
+        />
+      </SidebarInset>
+    </SidebarProvider>
   );
 };
 
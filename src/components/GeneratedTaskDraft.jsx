@@ -0,0 +1,184 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+  AlertCircle,
+  Bot,
+  Calendar,
+  Check,
+  Clock,
+  ExternalLink,
+  Loader2,
+  Pencil,
+  RefreshCw,
+  Undo2,
+  User,
+  X,
+} from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Form } from './ui/form';
+import TaskFormFields from './TaskFormFields';
+import { apiUtils } from '../services/api';
+import { applyServerFieldErrors, taskFormSchema } from '../lib/task-form';
+import { PRIORITY_STYLES } from '../lib/task-styles';
+
+const DraftEditor = ({ draft, members, onSave, onCancel }) => {
+  const form = useForm({
+    resolver: zodResolver(taskFormSchema),
+    defaultValues: draft.values,
+  });
+  const { fieldErrors } = draft;
+
+  useEffect(() => {
+    applyServerFieldErrors(form.setError, fieldErrors);
+  }, [fieldErrors, form]);
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onSave)} className="grid gap-5" noValidate>
+        <TaskFormFields control={form.control} members={members} />
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+          <Button type="submit" size="sm">Save draft</Button>
+        </div>
+      </form>
+    </Form>
+  );
+};
+
+const GeneratedTaskDraft = ({
+  draft,
+  members,
+  busy,
+  editing,
+  onEdit,
+  onCancelEdit,
+  onSaveEdit,
+  onAccept,
+  onReject,
+  onRestore,
+  onRegenerate,
+}) => {
+  const { values, state } = draft;
+  const assignee = members.find((member) => String(member.id) === values.assigned_to);
+
+  if (state === 'rejected') {
+    return (
+      <Card className="border-dashed bg-gray-50 py-3">
+        <CardContent className="flex items-center justify-between gap-3 px-4 text-sm text-gray-500">
+          <span className="truncate line-through">{values.title}</span>
+          <Button type="button" variant="ghost" size="sm" onClick={() => onRestore(draft.id)}>
+            <Undo2 className="mr-2 h-4 w-4" aria-hidden="true" /> Restore
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className={state === 'accepted' ? 'border-green-200 bg-green-50/40' : ''} aria-busy={Boolean(busy)}>
+      <CardHeader className="pb-3">
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0 flex-1">
+            <CardTitle className="break-words text-base leading-snug">{values.title}</CardTitle>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <Badge className={PRIORITY_STYLES[values.priority]}>
+                {apiUtils.getPriorityEmoji(values.priority)} {values.priority}
+              </Badge>
+              {state === 'accepted' ? (
+                <Badge variant="outline" className="border-green-200 bg-green-50 text-green-700">
+                  <Check className="mr-1 h-3 w-3" aria-hidden="true" /> Created
+                </Badge>
+              ) : (
+                <Badge variant="outline" className="border-purple-200 bg-purple-50 text-purple-700">
+                  <Bot className="mr-1 h-3 w-3" aria-hidden="true" /> Draft
+                </Badge>
+              )}
+            </div>
+          </div>
+          {state === 'accepted' && draft.taskId && (
+            <Button variant="ghost" size="sm" asChild>
+              <Link to={`/tasks/${draft.taskId}`}>
+                Open <ExternalLink className="ml-2 h-4 w-4" aria-hidden="true" />
+              </Link>
+            </Button>
+          )}
+        </div>
+        {!editing && values.description && <CardDescription className="whitespace-pre-wrap pt-2">{values.description}</CardDescription>}
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {editing ? (
+          <DraftEditor draft={draft} members={members} onSave={(nextValues) => onSaveEdit(draft.id, nextValues)} onCancel={onCancelEdit} />
+        ) : (
+          <div className="flex flex-wrap gap-x-5 gap-y-2 text-sm text-gray-600">
+            {values.due_date && (
+              <span className="flex items-center gap-2">
+                <Calendar className="h-4 w-4 text-gray-400" aria-hidden="true" />
+                Due {new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(values.due_date)}
+              </span>
+            )}
+            {values.estimated_hours && (
+              <span className="flex items-center gap-2">
+                <Clock className="h-4 w-4 text-gray-400" aria-hidden="true" />
+                Estimated {apiUtils.formatDuration(values.estimated_hours)}
+              </span>
+            )}
+            <span className="flex items-center gap-2">
+              <User className="h-4 w-4 text-gray-400" aria-hidden="true" />
+              {assignee ? `Assigned to ${assignee.full_name || assignee.username}` : 'Unassigned'}
+            </span>
+          </div>
+        )}
+
+        {draft.aiContext && (
+          <div className="rounded-lg border border-purple-200 bg-purple-50 p-3 text-xs text-purple-800">
+            <div className="mb-1 flex items-center gap-2 font-medium">
+              <Bot className="h-3.5 w-3.5" aria-hidden="true" /> Why the agent proposed this
+            </div>
+            <p className="whitespace-pre-wrap">{draft.aiContext}</p>
+          </div>
+        )}
+
+        {draft.error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{draft.error}</AlertDescription>
+          </Alert>
+        )}
+
+        {state === 'proposed' && !editing && (
+          <div className="flex flex-wrap gap-2 border-t pt-3">
+            <Button type="button" size="sm" onClick={() => onAccept(draft.id)} disabled={Boolean(busy)}>
+              {busy === 'accept' ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Check className="mr-2 h-4 w-4" aria-hidden="true" />}
+              Accept
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => onEdit(draft.id)} disabled={Boolean(busy)}>
+              <Pencil className="mr-2 h-4 w-4" aria-hidden="true" /> Edit
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => onRegenerate(draft.id)} disabled={Boolean(busy)}>
+              <RefreshCw className={`mr-2 h-4 w-4 ${busy === 'regenerate' ? 'animate-spin' : ''}`} aria-hidden="true" /> Regenerate
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="ml-auto text-gray-500 hover:bg-red-50 hover:text-red-700"
+              onClick={() => onReject(draft.id)}
+              disabled={Boolean(busy)}
+            >
+              <X className="mr-2 h-4 w-4" aria-hidden="true" /> Reject
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GeneratedTaskDraft;
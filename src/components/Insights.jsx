@@ -0,0 +1,340 @@
+import { useEffect, useRef, useState } from 'react';
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
+import {
+  AlertCircle,
+  ArrowDownRight,
+  ArrowUpRight,
+  CalendarIcon,
+  History,
+  LineChart as LineChartIcon,
+  Loader2,
+  Square,
+  Trash2,
+} from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Calendar } from './ui/calendar';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+} from './ui/chart';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import AppHeader from './AppHeader';
+import ReportSchedules from './ReportSchedules';
+import { apiUtils, chatAPI } from '../services/api';
+import { runAudited } from '../services/ai-audit';
+import {
+  CUSTOM_TIMEFRAME,
+  TIMEFRAME_PRESETS,
+  analysisHistoryStore,
+  buildAnalysisRequest,
+  buildChartConfig,
+  compareMetrics,
+  formatMetricValue,
+  normalizeAnalysis,
+  seriesKeys,
+} from '../lib/performance-analysis';
+
+const NO_COMPARISON = 'none';
+
+function formatDay(date) {
+  return new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(date);
+}
+
+const SeriesChart = ({ title, description, data, kind }) => {
+  const keys = seriesKeys(data);
+  const config = buildChartConfig(keys);
+  const Chart = kind === 'line' ? LineChart : BarChart;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">{title}</CardTitle>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={config} className="aspect-auto h-64 w-full">
+          <Chart data={data} accessibilityLayer>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="label" tickLine={false} axisLine={false} tickMargin={8} minTickGap={16} />
+            <YAxis tickLine={false} axisLine={false} width={32} allowDecimals={false} />
+            <ChartTooltip content={<ChartTooltipContent />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            {keys.map((key) => (kind === 'line'
+              ? <Line key={key} dataKey={key} type="monotone" stroke={`var(--color-${key})`} strokeWidth={2} dot={false} />
+              : <Bar key={key} dataKey={key} fill={`var(--color-${key})`} radius={4} />))}
+          </Chart>
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  );
+};
+
+const MetricTile = ({ metric }) => (
+  <div className="rounded-xl border bg-white p-4 shadow-sm">
+    <p className="text-sm text-gray-500">{metric.label}</p>
+    <p className="mt-1 text-2xl font-bold text-gray-950">{formatMetricValue(metric)}</p>
+    {metric.delta !== null && metric.delta !== undefined && (
+      <p className={`mt-1 flex items-center gap-1 text-xs ${metric.delta >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+        {metric.delta >= 0 ? <ArrowUpRight className="h-3 w-3" aria-hidden="true" /> : <ArrowDownRight className="h-3 w-3" aria-hidden="true" />}
+        {formatMetricValue({ ...metric, value: Math.abs(metric.delta) })} vs. comparison
+      </p>
+    )}
+  </div>
+);
+
+const Insights = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const userId = user?.id ?? null;
+  const [preset, setPreset] = useState(TIMEFRAME_PRESETS[1].value);
+  const [range, setRange] = useState({ from: undefined, to: undefined });
+  const [history, setHistory] = useState(() => analysisHistoryStore.list(userId));
+  const [selectedId, setSelectedId] = useState(() => history[0]?.id ?? null);
+  const [compareId, setCompareId] = useState(NO_COMPARISON);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+  const analysisController = useRef(null);
+
+  const selected = history.find((entry) => entry.id === selectedId) || null;
+  const comparison = history.find((entry) => entry.id === compareId && entry.id !== selectedId) || null;
+  const result = selected?.result;
+  const metrics = result ? compareMetrics(result.metrics, comparison?.result.metrics) : [];
+  const countMetrics = metrics.filter((metric) => !metric.unit);
+
+  useEffect(() => () => analysisController.current?.abort(), []);
+
+  const runAnalysis = async () => {
+    setError('');
+    let request;
+    try {
+      request = buildAnalysisRequest({ preset, from: range.from, to: range.to });
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    const controller = new AbortController();
+    analysisController.current = controller;
+    setRunning(true);
+    try {
+      const { output: response } = await runAudited(
+        'analyze_performance',
+        { timeframe: request.timeframe, ...request.range },
+        () => chatAPI.analyzePerformance(request.timeframe, request.range, { signal: controller.signal }),
+      );
+      if (response.status !== 'success') throw new Error(response.message || 'The analysis could not be completed.');
+      const entry = analysisHistoryStore.add(userId, { label: request.label, timeframe: request.timeframe, result: normalizeAnalysis(response) });
+      setHistory(analysisHistoryStore.list(userId));
+      if (selectedId) setCompareId(selectedId);
+      setSelectedId(entry.id);
+    } catch (requestError) {
+      if (!apiUtils.isCancellation(requestError)) setError(apiUtils.handleError(requestError).message);
+    } finally {
+      analysisController.current = null;
+      setRunning(false);
+    }
+  };
+
+  const removeEntry = (entryId) => {
+    const remaining = analysisHistoryStore.remove(userId, entryId);
+    setHistory(remaining);
+    if (selectedId === entryId) setSelectedId(remaining[0]?.id ?? null);
+    if (compareId === entryId) setCompareId(NO_COMPARISON);
+  };
+
+  const rangeLabel = range.from
+    ? `${formatDay(range.from)} – ${range.to ? formatDay(range.to) : '…'}`
+    : 'Pick dates';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Performance insights" />
+
+      <main className="mx-auto grid max-w-7xl gap-6 px-4 py-8 sm:px-6 lg:grid-cols-[1fr_18rem] lg:px-8">
+        <div className="min-w-0 space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Analyze team performance</CardTitle>
+              <CardDescription>The agent reviews task activity in the chosen period and explains what changed.</CardDescription>
+            </CardHeader>
+            <CardContent className="flex flex-wrap items-center gap-2">
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Timeframe">
+                {[...TIMEFRAME_PRESETS, { value: CUSTOM_TIMEFRAME, label: 'Custom range' }].map((option) => (
+                  <Button
+                    key={option.value}
+                    type="button"
+                    size="sm"
+                    variant={preset === option.value ? 'default' : 'outline'}
+                    aria-pressed={preset === option.value}
+                    onClick={() => setPreset(option.value)}
+                    disabled={running}
+                  >
+                    {option.label}
+                  </Button>
+                ))}
+              </div>
+              {preset === CUSTOM_TIMEFRAME && (
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button type="button" variant="outline" size="sm" className="font-normal" disabled={running}>
+                      <CalendarIcon className="mr-2 h-4 w-4" aria-hidden="true" /> {rangeLabel}
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="range"
+                      numberOfMonths={2}
+                      selected={range}
+                      onSelect={(nextRange) => setRange(nextRange || { from: undefined, to: undefined })}
+                      disabled={{ after: new Date() }}
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+              )}
+              <Button type="button" size="sm" className="sm:ml-auto" onClick={runAnalysis} disabled={running}>
+                {running ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <LineChartIcon className="mr-2 h-4 w-4" aria-hidden="true" />}
+                {running ? 'Analyzing…' : 'Run analysis'}
+              </Button>
+              {running && (
+                <Button type="button" variant="outline" size="sm" onClick={() => analysisController.current?.abort()}>
+                  <Square className="mr-2 h-4 w-4 fill-current" aria-hidden="true" /> Stop
+                </Button>
+              )}
+            </CardContent>
+          </Card>
+
+          {error && (
+            <Alert variant="destructive" role="alert">
+              <AlertCircle className="h-4 w-4" aria-hidden="true" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {result ? (
+            <section className="space-y-6" aria-labelledby="insights-result-heading">
+              <div className="flex flex-wrap items-end justify-between gap-3">
+                <div>
+                  <h2 id="insights-result-heading" className="text-xl font-semibold text-gray-950">{selected.label}</h2>
+                  <p className="text-sm text-gray-500">Analyzed {apiUtils.formatDate(selected.createdAt)}</p>
+                </div>
+                {history.length > 1 && (
+                  <Select value={comparison ? compareId : NO_COMPARISON} onValueChange={setCompareId}>
+                    <SelectTrigger size="sm" className="w-56" aria-label="Compare with a previous analysis">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NO_COMPARISON}>No comparison</SelectItem>
+                      {history.filter((entry) => entry.id !== selectedId).map((entry) => (
+                        <SelectItem key={entry.id} value={entry.id}>
+                          {entry.label} · {apiUtils.formatDate(entry.createdAt)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              </div>
+
+              {metrics.length > 0 && (
+                <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+                  {metrics.map((metric) => <MetricTile key={metric.key} metric={metric} />)}
+                </div>
+              )}
+
+              {result.narrative && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-base">Agent summary</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <p className="whitespace-pre-wrap text-sm leading-relaxed text-gray-800">{result.narrative}</p>
+                    {result.recommendations.length > 0 && (
+                      <ul className="mt-4 list-disc space-y-1 pl-5 text-sm text-gray-800">
+                        {result.recommendations.map((item) => <li key={item}>{item}</li>)}
+                      </ul>
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+
+              {result.timeline.length > 0 && (
+                <SeriesChart title="Activity over time" description="Task activity per period reported by the agent." data={result.timeline} kind="line" />
+              )}
+              {result.breakdown.length > 0 && (
+                <SeriesChart title="By team member" description="Per-person figures for the selected period." data={result.breakdown} kind="bar" />
+              )}
+              {!result.timeline.length && !result.breakdown.length && countMetrics.length > 0 && (
+                <SeriesChart
+                  title="Task counts"
+                  description={comparison ? `Compared with ${comparison.label}.` : 'Totals for the selected period.'}
+                  data={countMetrics.map((metric) => ({
+                    label: metric.label,
+                    current: metric.value,
+                    ...(metric.previous !== null ? { comparison: metric.previous } : {}),
+                  }))}
+                  kind="bar"
+                />
+              )}
+            </section>
+          ) : (
+            <div className="rounded-xl border border-dashed bg-white px-6 py-16 text-center">
+              <LineChartIcon className="mx-auto h-10 w-10 text-gray-400" aria-hidden="true" />
+              <h2 className="mt-4 font-semibold text-gray-900">No analysis yet</h2>
+              <p className="mt-1 text-sm text-gray-500">Choose a timeframe and run the analysis to see metrics and the agent’s summary.</p>
+            </div>
+          )}
+
+          <ReportSchedules />
+        </div>
+
+        <Card className="h-fit lg:sticky lg:top-24">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-base">
+              <History className="h-4 w-4" aria-hidden="true" /> History
+            </CardTitle>
+            <CardDescription>Saved on this browser, newest first.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {history.length ? (
+              <ul className="space-y-1">
+                {history.map((entry) => (
+                  <li key={entry.id} className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(entry.id)}
+                      aria-current={entry.id === selectedId}
+                      className={`min-w-0 flex-1 rounded-md px-2 py-1.5 text-left text-sm ${entry.id === selectedId ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-100'}`}
+                    >
+                      <span className="block truncate font-medium">{entry.label}</span>
+                      <span className="block text-xs text-gray-500">{apiUtils.formatDate(entry.createdAt)}</span>
+                    </button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 text-gray-400 hover:text-red-700"
+                      onClick={() => removeEntry(entry.id)}
+                      aria-label={`Remove analysis ${entry.label}`}
+                    >
+                      <Trash2 className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500">Past analyses appear here so you can compare them.</p>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default Insights;
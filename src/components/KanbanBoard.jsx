@@ -0,0 +1,319 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AlertCircle,
+  ArrowLeft,
+  ArrowRight,
+  Calendar,
+  GripVertical,
+  RotateCw,
+  Settings2,
+  User,
+} from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import AppHeader from './AppHeader';
+import { apiUtils, tasksAPI } from '../services/api';
+import {
+  KANBAN_COLUMNS,
+  adjacentStatus,
+  findTaskColumn,
+  isWipLimitReached,
+  moveTask,
+  normalizeKanbanData,
+  wipLimitStore,
+} from '../lib/kanban';
+import { PRIORITY_STYLES } from '../lib/task-styles';
+
+const DRAG_TYPE = 'application/x-ai-agent-task';
+
+function columnLabel(status) {
+  return KANBAN_COLUMNS.find((column) => column.status === status)?.label || status;
+}
+
+const WipLimitEditor = ({ status, label, limit, onChange }) => {
+  const [value, setValue] = useState(limit ? String(limit) : '');
+
+  return (
+    <Popover onOpenChange={(open) => open && setValue(limit ? String(limit) : '')}>
+      <PopoverTrigger asChild>
+        <Button type="button" variant="ghost" size="icon" className="h-7 w-7" aria-label={`Set WIP limit for ${label}`}>
+          <Settings2 className="h-4 w-4" aria-hidden="true" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-60">
+        <form
+          className="grid gap-3"
+          onSubmit={(event) => {
+            event.preventDefault();
+            onChange(value ? Number.parseInt(value, 10) : null);
+          }}
+        >
+          <div className="grid gap-2">
+            <Label htmlFor={`wip-${status}`}>WIP limit for {label}</Label>
+            <Input
+              id={`wip-${status}`}
+              type="number"
+              min="1"
+              step="1"
+              inputMode="numeric"
+              value={value}
+              onChange={(event) => setValue(event.target.value)}
+              placeholder="No limit"
+            />
+            <p className="text-xs text-gray-500">Saved for your account on this browser. Leave empty for no limit.</p>
+          </div>
+          <Button type="submit" size="sm">Save limit</Button>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+const BoardCard = ({ task, busy, onMove }) => {
+  const previousStatus = adjacentStatus(task.status, -1);
+  const nextStatus = adjacentStatus(task.status, 1);
+
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget) return;
+    if (event.key === 'ArrowLeft' && previousStatus) {
+      event.preventDefault();
+      onMove(task.id, previousStatus);
+    }
+    if (event.key === 'ArrowRight' && nextStatus) {
+      event.preventDefault();
+      onMove(task.id, nextStatus);
+    }
+  };
+
+  return (
+    <li
+      draggable={!busy}
+      tabIndex={0}
+      onDragStart={(event) => {
+        event.dataTransfer.setData(DRAG_TYPE, String(task.id));
+        event.dataTransfer.effectAllowed = 'move';
+      }}
+      onKeyDown={handleKeyDown}
+      aria-busy={busy}
+      aria-keyshortcuts="ArrowLeft ArrowRight"
+      aria-label={`${task.title}. Use the left and right arrow keys to move between columns.`}
+      className={`group rounded-xl border bg-white p-3 shadow-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${busy ? 'opacity-60' : 'cursor-grab active:cursor-grabbing'}`}
+    >
+      <div className="flex items-start gap-2">
+        <GripVertical className="mt-0.5 h-4 w-4 shrink-0 text-gray-300" aria-hidden="true" />
+        <div className="min-w-0 flex-1">
+          <Link to={`/tasks/${task.id}`} className="break-words font-medium leading-snug text-gray-900 hover:text-blue-700 hover:underline" draggable={false}>
+            {task.title}
+          </Link>
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+            <Badge className={PRIORITY_STYLES[task.priority] || PRIORITY_STYLES.medium}>
+              {apiUtils.getPriorityEmoji(task.priority)} {task.priority || 'medium'}
+            </Badge>
+            {task.due_date && (
+              <span className={`flex items-center gap-1 ${task.is_overdue ? 'font-medium text-red-700' : ''}`}>
+                <Calendar className="h-3.5 w-3.5" aria-hidden="true" /> {apiUtils.formatDate(task.due_date)}
+              </span>
+            )}
+            {task.assignee_info?.username && (
+              <span className="flex items-center gap-1">
+                <User className="h-3.5 w-3.5" aria-hidden="true" /> {task.assignee_info.username}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="mt-3 flex justify-between gap-2">
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs"
+          disabled={busy || !previousStatus}
+          onClick={() => onMove(task.id, previousStatus)}
+          aria-label={previousStatus ? `Move ${task.title} to ${columnLabel(previousStatus)}` : undefined}
+          tabIndex={-1}
+        >
+          <ArrowLeft className="h-3.5 w-3.5" aria-hidden="true" />
+        </Button>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          className="h-7 px-2 text-xs"
+          disabled={busy || !nextStatus}
+          onClick={() => onMove(task.id, nextStatus)}
+          aria-label={nextStatus ? `Move ${task.title} to ${columnLabel(nextStatus)}` : undefined}
+          tabIndex={-1}
+        >
+          <ArrowRight className="h-3.5 w-3.5" aria-hidden="true" />
+        </Button>
+      </div>
+    </li>
+  );
+};
+
+const KanbanBoard = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const [board, setBoard] = useState(() => normalizeKanbanData());
+  const [wipLimits, setWipLimits] = useState(() => wipLimitStore.get(user?.id));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const [pendingIds, setPendingIds] = useState([]);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const loadBoard = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await tasksAPI.getKanbanData();
+      setBoard(normalizeKanbanData(response));
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  const handleMove = async (taskId, toStatus) => {
+    const fromStatus = findTaskColumn(board, taskId);
+    if (!fromStatus || !toStatus || fromStatus === toStatus || pendingIds.includes(taskId)) return;
+
+    const task = board[fromStatus].find((item) => item.id === taskId);
+    if (isWipLimitReached(board[toStatus].length, wipLimits[toStatus])) {
+      setError(`${columnLabel(toStatus)} is at its WIP limit of ${wipLimits[toStatus]}. “${task.title}” was not moved.`);
+      return;
+    }
+
+    // Other moves may be in flight, so only this task is moved, and on failure only it goes back.
+    const fromIndex = board[fromStatus].findIndex((item) => item.id === taskId);
+    setError('');
+    setBoard((current) => moveTask(current, taskId, toStatus));
+    setPendingIds((current) => [...current, taskId]);
+    setAnnouncement(`Moving “${task.title}” to ${columnLabel(toStatus)}…`);
+
+    try {
+      const response = await tasksAPI.updateTask(taskId, { status: toStatus });
+      if (response.status !== 'success') throw new Error(response.message || 'The task could not be moved.');
+      if (response.task) {
+        setBoard((current) => ({
+          ...current,
+          [toStatus]: current[toStatus].map((item) => (item.id === taskId ? { ...response.task, status: toStatus } : item)),
+        }));
+      }
+      setAnnouncement(`“${task.title}” moved to ${columnLabel(toStatus)}.`);
+    } catch (requestError) {
+      setBoard((current) => moveTask(current, taskId, fromStatus, fromIndex));
+      setError(apiUtils.handleError(requestError).message);
+      setAnnouncement(`“${task.title}” could not be moved and was returned to ${columnLabel(fromStatus)}.`);
+    } finally {
+      setPendingIds((current) => current.filter((id) => id !== taskId));
+    }
+  };
+
+  const handleDrop = (event, status) => {
+    event.preventDefault();
+    setDropTarget(null);
+    const rawId = event.dataTransfer.getData(DRAG_TYPE);
+    const task = KANBAN_COLUMNS
+      .flatMap((column) => board[column.status])
+      .find((item) => String(item.id) === rawId);
+    if (task) handleMove(task.id, status);
+  };
+
+  const handleWipLimitChange = (status, limit) => {
+    setWipLimits(wipLimitStore.set(user?.id, { ...wipLimits, [status]: limit }));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Kanban board">
+        <Button variant="outline" size="sm" onClick={loadBoard} disabled={loading}>
+          <RotateCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} aria-hidden="true" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </AppHeader>
+
+      <main className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8" aria-busy={loading}>
+        <section className="mb-6">
+          <h2 className="text-2xl font-bold tracking-tight text-gray-950">Board</h2>
+          <p className="mt-2 text-gray-600">Drag cards between columns, or focus a card and use the arrow keys.</p>
+        </section>
+
+        {error && (
+          <Alert variant="destructive" className="mb-6" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription className="flex flex-wrap items-center justify-between gap-3">
+              <span>{error}</span>
+              <Button variant="outline" size="sm" onClick={loadBoard}>Retry</Button>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <p className="sr-only" role="status" aria-live="polite">{announcement}</p>
+
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+          {KANBAN_COLUMNS.map(({ status, label }) => {
+            const tasks = board[status];
+            const limit = wipLimits[status];
+            const overLimit = Boolean(limit) && tasks.length > limit;
+            const atLimit = isWipLimitReached(tasks.length, limit);
+
+            return (
+              <section
+                key={status}
+                aria-labelledby={`column-${status}`}
+                onDragOver={(event) => {
+                  event.preventDefault();
+                  event.dataTransfer.dropEffect = 'move';
+                  setDropTarget(status);
+                }}
+                onDragLeave={() => setDropTarget((current) => (current === status ? null : current))}
+                onDrop={(event) => handleDrop(event, status)}
+                className={`flex min-h-64 flex-col rounded-2xl border p-3 transition-colors ${dropTarget === status ? 'border-blue-400 bg-blue-50' : 'bg-gray-100/70'} ${overLimit ? 'border-red-300' : ''}`}
+              >
+                <header className="mb-3 flex items-center justify-between gap-2 px-1">
+                  <h3 id={`column-${status}`} className="font-semibold text-gray-900">{label}</h3>
+                  <div className="flex items-center gap-1">
+                    <Badge
+                      variant="outline"
+                      className={overLimit ? 'border-red-200 bg-red-50 text-red-700' : atLimit ? 'border-amber-200 bg-amber-50 text-amber-700' : 'bg-white'}
+                      aria-label={limit ? `${tasks.length} of ${limit} tasks` : `${tasks.length} tasks`}
+                    >
+                      {limit ? `${tasks.length} / ${limit}` : tasks.length}
+                    </Badge>
+                    <WipLimitEditor status={status} label={label} limit={limit} onChange={(value) => handleWipLimitChange(status, value)} />
+                  </div>
+                </header>
+
+                {tasks.length ? (
+                  <ul className="grid gap-3">
+                    {tasks.map((task) => (
+                      <BoardCard key={task.id} task={task} busy={pendingIds.includes(task.id)} onMove={handleMove} />
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="rounded-xl border border-dashed px-4 py-8 text-center text-sm text-gray-500">
+                    {loading ? 'Loading…' : 'No tasks'}
+                  </p>
+                )}
+              </section>
+            );
+          })}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default KanbanBoard;
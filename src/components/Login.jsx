@@ -1,20 +1,23 @@
 import { useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Bot, CheckCircle2, Eye, EyeOff, Loader2, Lock, LogIn, Server, User, XCircle } from 'lucide-react';
 
 import { Alert, AlertDescription } from './ui/alert';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Input } from './ui/input';
-import { API_BASE_URL, apiUtils, authAPI, healthAPI } from '../services/api';
+import { API_BASE_URL, REGISTRATION_ENABLED, apiUtils, authAPI, healthAPI } from '../services/api';
+import { readRedirectPath } from '../lib/redirect';
 
 const Login = () => {
-  const [formData, setFormData] = useState({ username: '', password: '' });
+  const navigate = useNavigate();
+  const location = useLocation();
+  const registeredUsername = location.state?.registered || '';
+  const [formData, setFormData] = useState({ username: registeredUsername, password: '' });
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [backendState, setBackendState] = useState('checking');
-  const navigate = useNavigate();
 
   useEffect(() => {
     let active = true;
@@ -43,7 +46,7 @@ const Login = () => {
     try {
       const response = await authAPI.login(username, formData.password);
       if (response.status !== 'success') throw new Error(response.message || 'Sign in failed.');
-      navigate('/dashboard', { replace: true });
+      navigate(readRedirectPath(location.search), { replace: true });
     } catch (requestError) {
       setError(apiUtils.handleError(requestError).message);
     } finally {
@@ -72,9 +75,17 @@ const Login = () => {
         <Card className="border-white/70 bg-white/95 shadow-xl backdrop-blur">
           <CardHeader>
             <CardTitle className="text-2xl">Sign in</CardTitle>
-            <CardDescription>Use the account created by your system administrator.</CardDescription>
+            <CardDescription>
+              {REGISTRATION_ENABLED ? 'Use your team account.' : 'Use the account created by your system administrator.'}
+            </CardDescription>
           </CardHeader>
           <CardContent>
+            {registeredUsername && (
+              <Alert className="mb-4 border-green-200 bg-green-50 text-green-800" role="status">
+                <CheckCircle2 className="h-4 w-4" aria-hidden="true" />
+                <AlertDescription className="text-green-800">Your account was created. Sign in to continue.</AlertDescription>
+              </Alert>
+            )}
             <form onSubmit={handleSubmit} className="space-y-4" noValidate>
               <div className="space-y-2">
                 <label htmlFor="username" className="text-sm font-medium text-gray-800">Username</label>
@@ -146,9 +157,15 @@ const Login = () => {
           </CardContent>
         </Card>
 
-        <p className="mt-6 text-center text-xs text-gray-500">
-          Access and account roles are managed by the backend administrator.
-        </p>
+        {REGISTRATION_ENABLED ? (
+          <p className="mt-6 text-center text-sm text-gray-600">
+            New here? <Link to="/register" className="font-medium text-blue-700 hover:underline">Create an account</Link>
+          </p>
+        ) : (
+          <p className="mt-6 text-center text-xs text-gray-500">
+            Access and account roles are managed by the backend administrator.
+          </p>
+        )}
       </div>
     </main>
   );
@@ -0,0 +1,60 @@
+import { parseMarkdown } from '../lib/markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-semibold',
+  2: 'text-base font-semibold',
+  3: 'text-sm font-semibold',
+  4: 'text-sm font-semibold text-gray-700',
+};
+
+const Inline = ({ nodes }) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}><Inline nodes={node.children} /></strong>;
+    case 'em':
+      return <em key={index}><Inline nodes={node.children} /></em>;
+    case 'code':
+      return <code key={index} className="rounded bg-gray-100 px-1 py-0.5 font-mono text-[0.85em]">{node.text}</code>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-700 underline underline-offset-2">
+          <Inline nodes={node.children} />
+        </a>
+      );
+    default:
+      return node.text;
+  }
+});
+
+const Markdown = ({ content, className = '' }) => (
+  <div className={`space-y-3 break-words text-sm leading-relaxed ${className}`}>
+    {parseMarkdown(content).map((block, index) => {
+      switch (block.type) {
+        case 'heading': {
+          const Heading = `h${block.level + 2}`;
+          return <Heading key={index} className={HEADING_CLASSES[block.level]}><Inline nodes={block.children} /></Heading>;
+        }
+        case 'code':
+          return (
+            <pre key={index} className="overflow-x-auto rounded-lg bg-gray-900 p-3 font-mono text-xs text-gray-100">
+              <code>{block.text}</code>
+            </pre>
+          );
+        case 'blockquote':
+          return <blockquote key={index} className="border-l-2 pl-3 text-gray-600"><Inline nodes={block.children} /></blockquote>;
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={index} className={`space-y-1 pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.items.map((item, itemIndex) => <li key={itemIndex}><Inline nodes={item} /></li>)}
+            </List>
+          );
+        }
+        default:
+          return <p key={index}><Inline nodes={block.children} /></p>;
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
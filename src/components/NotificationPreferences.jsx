@@ -0,0 +1,42 @@
+import { Bell, BellOff } from 'lucide-react';
+
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Switch } from './ui/switch';
+import { NOTIFICATION_OPTIONS } from '../lib/task-notifications';
+
+const NotificationPreferences = ({ preferences, onChange }) => {
+  const anyEnabled = NOTIFICATION_OPTIONS.some((option) => preferences[option.kind]);
+  const Icon = anyEnabled ? Bell : BellOff;
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" aria-label="Telegram notifications">
+          <Icon className="h-4 w-4" aria-hidden="true" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80">
+        <p className="text-sm font-medium text-gray-900">Telegram notifications</p>
+        <p className="mt-1 text-xs text-gray-500">Sent automatically when you change tasks on the dashboard.</p>
+        <div className="mt-3 grid gap-3">
+          {NOTIFICATION_OPTIONS.map((option) => (
+            <div key={option.kind} className="flex items-start justify-between gap-3">
+              <div>
+                <Label htmlFor={`notify-${option.kind}`}>{option.label}</Label>
+                <p className="text-xs text-gray-500">{option.description}</p>
+              </div>
+              <Switch
+                id={`notify-${option.kind}`}
+                checked={preferences[option.kind]}
+                onCheckedChange={(checked) => onChange(option.kind, checked)}
+              />
+            </div>
+          ))}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default NotificationPreferences;
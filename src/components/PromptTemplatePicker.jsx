@@ -0,0 +1,98 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { LayoutTemplate, Settings2 } from 'lucide-react';
+
+import { Button } from './ui/button';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { applyTemplate, createEmptyParamValues, createParamsSchema } from '../lib/prompt-templates';
+
+const NO_TEMPLATE = 'none';
+
+const TemplateParamsForm = ({ template, disabled, onApply }) => {
+  const schema = useMemo(() => createParamsSchema(template.params), [template.params]);
+  const form = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: createEmptyParamValues(template.params),
+  });
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit((values) => onApply(applyTemplate(template, values)))} className="grid gap-3" noValidate>
+        {template.params.map((param) => (
+          <FormField
+            key={param.name}
+            control={form.control}
+            name={param.name}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>{param.label}</FormLabel>
+                <FormControl>
+                  <Input
+                    {...field}
+                    type={param.type === 'number' ? 'number' : 'text'}
+                    min={param.type === 'number' ? 1 : undefined}
+                    inputMode={param.type === 'number' ? 'numeric' : undefined}
+                    disabled={disabled}
+                  />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        ))}
+        <Button type="submit" variant="secondary" size="sm" disabled={disabled}>
+          <LayoutTemplate className="mr-2 h-4 w-4" aria-hidden="true" /> Use template
+        </Button>
+      </form>
+    </Form>
+  );
+};
+
+const PromptTemplatePicker = ({ templates, localOnly = false, canManage = false, disabled = false, onApply }) => {
+  const [selectedId, setSelectedId] = useState(NO_TEMPLATE);
+  const selected = templates.find((template) => String(template.id) === selectedId) || null;
+
+  if (!templates.length && !canManage) return null;
+
+  return (
+    <div className="grid gap-3 rounded-lg border border-dashed p-3">
+      <div className="flex items-center gap-2">
+        <Select value={selected ? selectedId : NO_TEMPLATE} onValueChange={setSelectedId} disabled={disabled || !templates.length}>
+          <SelectTrigger className="min-w-0 flex-1" aria-label="Prompt template">
+            <SelectValue placeholder="Start from a template" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_TEMPLATE}>No template</SelectItem>
+            {templates.map((template) => (
+              <SelectItem key={template.id} value={String(template.id)}>{template.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {canManage && (
+          <Button variant="ghost" size="icon" className="h-9 w-9" asChild>
+            <Link to="/admin/prompt-templates" aria-label="Manage prompt templates">
+              <Settings2 className="h-4 w-4" aria-hidden="true" />
+            </Link>
+          </Button>
+        )}
+      </div>
+
+      {localOnly && <p className="text-xs text-amber-700">Templates are saved in this browser only and are not shared with the team.</p>}
+      {selected?.description && <p className="text-xs text-gray-500">{selected.description}</p>}
+      {selected && selected.params.length > 0 && (
+        <TemplateParamsForm key={selected.id} template={selected} disabled={disabled} onApply={onApply} />
+      )}
+      {selected && !selected.params.length && (
+        <Button type="button" variant="secondary" size="sm" onClick={() => onApply(applyTemplate(selected, {}))} disabled={disabled}>
+          <LayoutTemplate className="mr-2 h-4 w-4" aria-hidden="true" /> Use template
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default PromptTemplatePicker;
@@ -0,0 +1,303 @@
+import { useEffect, useState } from 'react';
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, LayoutTemplate, Loader2, Pencil, Plus, Trash2 } from 'lucide-react';
+
+import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Textarea } from './ui/textarea';
+import AppHeader from './AppHeader';
+import { usePromptTemplates } from '../hooks/use-prompt-templates';
+import { apiUtils } from '../services/api';
+import {
+  createEmptyTemplateForm,
+  extractTemplateParams,
+  templateFormSchema,
+  templateToFormValues,
+} from '../lib/prompt-templates';
+import { GENERATION_COUNTS } from '../lib/task-generation';
+
+const ParamBadges = ({ params }) => (
+  params.length ? (
+    <div className="flex flex-wrap gap-1">
+      {params.map((param) => (
+        <Badge key={param.name} variant="outline" className="font-mono text-xs">
+          {`{${param.name}}`}{param.type === 'number' && <span className="ml-1 font-sans text-gray-500">#</span>}
+        </Badge>
+      ))}
+    </div>
+  ) : <span className="text-xs text-gray-400">None</span>
+);
+
+const TemplateDialog = ({ template, open, onOpenChange, onSave }) => {
+  const [formError, setFormError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(templateFormSchema),
+    defaultValues: createEmptyTemplateForm(),
+  });
+  const { isSubmitting } = form.formState;
+  const [goal, constraints] = useWatch({ control: form.control, name: ['goal', 'constraints'] });
+  const params = extractTemplateParams(goal, constraints);
+
+  useEffect(() => {
+    if (open) {
+      form.reset(template ? templateToFormValues(template) : createEmptyTemplateForm());
+      setFormError('');
+    }
+  }, [form, open, template]);
+
+  const handleSubmit = async (values) => {
+    setFormError('');
+    try {
+      await onSave(values);
+      onOpenChange(false);
+    } catch (requestError) {
+      setFormError(apiUtils.handleError(requestError).message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(nextOpen) => !isSubmitting && onOpenChange(nextOpen)}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>{template ? 'Edit template' : 'New template'}</DialogTitle>
+          <DialogDescription>
+            Write placeholders such as <code>{'{project}'}</code> or <code>{'{n}'}</code>; each one becomes a field people fill in.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="grid gap-4" noValidate>
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl><Input {...field} placeholder="e.g. Sprint planning" disabled={isSubmitting} /></FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="description"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Description</FormLabel>
+                  <FormControl><Input {...field} placeholder="Optional" disabled={isSubmitting} /></FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="goal"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Goal</FormLabel>
+                  <FormControl>
+                    <Textarea {...field} rows={4} placeholder="Sprint planning for {project} with {n} devs" disabled={isSubmitting} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="constraints"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Constraints</FormLabel>
+                  <FormControl><Textarea {...field} rows={3} placeholder="Optional" disabled={isSubmitting} /></FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="count"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Number of tasks</FormLabel>
+                  <Select value={field.value} onValueChange={field.onChange} disabled={isSubmitting}>
+                    <FormControl>
+                      <SelectTrigger className="w-full"><SelectValue /></SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {GENERATION_COUNTS.map((count) => (
+                        <SelectItem key={count} value={count}>Up to {count}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormDescription>People can still change this after applying the template.</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <div className="grid gap-1 text-sm">
+              <span className="font-medium text-gray-900">Parameters</span>
+              <ParamBadges params={params} />
+            </div>
+
+            {formError && (
+              <Alert variant="destructive" role="alert">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>Cancel</Button>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" />}
+                {template ? 'Save template' : 'Create template'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const PromptTemplatesAdmin = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const { templates, mode, error, createTemplate, updateTemplate, removeTemplate } = usePromptTemplates();
+  const [editing, setEditing] = useState(null);
+  const [removingId, setRemovingId] = useState(null);
+
+  const saveTemplate = (values) => (
+    editing.template ? updateTemplate(editing.template.id, values) : createTemplate(values)
+  );
+
+  const deleteTemplate = async (template) => {
+    const audience = mode === 'local' ? 'from this browser' : 'for everyone';
+    if (!window.confirm(`Delete the “${template.name}” template ${audience}?`)) return;
+    setRemovingId(template.id);
+    try {
+      await removeTemplate(template.id);
+    } catch {
+      // The hook already surfaces the failure.
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Prompt templates" />
+
+      <main className="mx-auto max-w-5xl space-y-6 px-4 py-8 sm:px-6 lg:px-8">
+        <section className="flex flex-col justify-between gap-4 sm:flex-row sm:items-end">
+          <div>
+            <h2 className="text-2xl font-bold tracking-tight text-gray-950">Prompt templates</h2>
+            <p className="mt-2 text-sm text-gray-600">
+              {mode === 'local'
+                ? 'Starting points for Ask the agent, kept in this browser only.'
+                : 'Shared starting points for Ask the agent. Everyone on the team sees these templates.'}
+            </p>
+          </div>
+          <Button type="button" onClick={() => setEditing({ template: null })} disabled={mode === 'loading'}>
+            <Plus className="mr-2 h-4 w-4" aria-hidden="true" /> New template
+          </Button>
+        </section>
+
+        {mode === 'local' && (
+          <Alert className="border-amber-200 bg-amber-50 text-amber-900">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertTitle>Templates are not shared</AlertTitle>
+            <AlertDescription className="text-amber-900">
+              The backend has no prompt template endpoints, so templates saved here stay in this browser and nobody else on the team sees them.
+              Add <code>/api/prompt-templates</code> to the backend to share them.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <LayoutTemplate className="h-5 w-5 text-purple-600" aria-hidden="true" /> Templates
+            </CardTitle>
+            <CardDescription>Placeholders in the goal and constraints become form fields when someone picks the template.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {templates.length ? (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Template</TableHead>
+                    <TableHead>Parameters</TableHead>
+                    <TableHead className="text-right">Tasks</TableHead>
+                    <TableHead><span className="sr-only">Actions</span></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {templates.map((template) => (
+                    <TableRow key={template.id}>
+                      <TableCell className="max-w-sm whitespace-normal">
+                        <p className="font-medium text-gray-900">{template.name}</p>
+                        <p className="line-clamp-2 text-xs text-gray-500">{template.description || template.goal}</p>
+                      </TableCell>
+                      <TableCell><ParamBadges params={template.params} /></TableCell>
+                      <TableCell className="text-right tabular-nums">{template.count}</TableCell>
+                      <TableCell className="text-right">
+                        <Button type="button" variant="ghost" size="icon" onClick={() => setEditing({ template })} aria-label={`Edit ${template.name}`}>
+                          <Pencil className="h-4 w-4" aria-hidden="true" />
+                        </Button>
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="icon"
+                          className="text-gray-500 hover:bg-red-50 hover:text-red-700"
+                          onClick={() => deleteTemplate(template)}
+                          disabled={removingId === template.id}
+                          aria-label={`Delete ${template.name}`}
+                        >
+                          <Trash2 className="h-4 w-4" aria-hidden="true" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            ) : (
+              <p className="py-6 text-center text-sm text-gray-500">
+                {mode === 'loading' ? 'Loading templates…' : 'No templates yet. Create one to give the team a consistent starting point.'}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+
+      <TemplateDialog
+        template={editing?.template ?? null}
+        open={Boolean(editing)}
+        onOpenChange={(nextOpen) => !nextOpen && setEditing(null)}
+        onSave={saveTemplate}
+      />
+    </div>
+  );
+};
+
+export default PromptTemplatesAdmin;
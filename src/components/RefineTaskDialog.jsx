@@ -0,0 +1,225 @@
+import { useEffect, useRef, useState } from 'react';
+import { AlertCircle, Check, Loader2, Square, Wand2, X } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { apiUtils, chatAPI } from '../services/api';
+import {
+  MAX_INSTRUCTION_LENGTH,
+  REFINEMENT_PRESETS,
+  buildRefinementRequest,
+  normalizeRefinement,
+  refinementChanges,
+  sideBySideRows,
+} from '../lib/task-refinement';
+
+const CELL_STYLES = {
+  same: 'text-gray-700',
+  removed: 'bg-red-50 text-red-900 line-through decoration-red-300',
+  added: 'bg-green-50 text-green-900',
+};
+
+const DiffCell = ({ cell }) => (
+  <td className={`w-1/2 border-t px-3 py-1 align-top font-mono text-xs whitespace-pre-wrap break-words ${cell ? CELL_STYLES[cell.type] : 'bg-gray-50'}`}>
+    {cell && (
+      <>
+        {cell.type !== 'same' && <span className="sr-only">{cell.type === 'added' ? 'Added: ' : 'Removed: '}</span>}
+        {cell.text || ' '}
+      </>
+    )}
+  </td>
+);
+
+const SideBySideDiff = ({ label, before, after, changed }) => (
+  <section aria-label={`${label} changes`} className="overflow-hidden rounded-lg border">
+    <div className="flex items-center justify-between bg-gray-50 px-3 py-2 text-sm font-medium text-gray-900">
+      {label}
+      {!changed && <span className="text-xs font-normal text-gray-500">No changes</span>}
+    </div>
+    <table className="w-full table-fixed border-collapse">
+      <thead>
+        <tr className="text-left text-xs text-gray-500">
+          <th scope="col" className="border-t px-3 py-1 font-medium">Current</th>
+          <th scope="col" className="border-t border-l px-3 py-1 font-medium">Proposed</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sideBySideRows(before, after).map((row, index) => (
+          // Diff rows have no identity beyond their position.
+          <tr key={index} className="[&>td+td]:border-l">
+            <DiffCell cell={row.left} />
+            <DiffCell cell={row.right} />
+          </tr>
+        ))}
+        {!before && !after && (
+          <tr>
+            <td colSpan={2} className="border-t px-3 py-2 text-xs text-gray-500">Empty</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  </section>
+);
+
+const RefineTaskDialog = ({ task, open, onOpenChange, onApply }) => {
+  const [instruction, setInstruction] = useState('');
+  const [refinement, setRefinement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+  const activeRequest = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setInstruction('');
+      setRefinement(null);
+      setError('');
+    }
+    return () => activeRequest.current?.abort();
+  }, [open]);
+
+  const requestRefinement = async () => {
+    setError('');
+    let request;
+    try {
+      request = buildRefinementRequest(task, instruction);
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    const controller = new AbortController();
+    activeRequest.current = controller;
+    setLoading(true);
+    try {
+      const response = await chatAPI.sendMessage(request.message, { context: request.context, signal: controller.signal });
+      if (response.status !== 'success') throw new Error(response.message || 'The agent could not refine this task.');
+      setRefinement(normalizeRefinement(response, task));
+    } catch (requestError) {
+      if (!apiUtils.isCancellation(requestError)) setError(apiUtils.handleError(requestError).message);
+    } finally {
+      activeRequest.current = null;
+      setLoading(false);
+    }
+  };
+
+  const accept = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      await onApply(refinementChanges(refinement));
+      onOpenChange(false);
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const hasChanges = refinement && (refinement.changed.description || refinement.changed.aiContext);
+
+  return (
+    <Dialog open={open} onOpenChange={(nextOpen) => !applying && onOpenChange(nextOpen)}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-4xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Wand2 className="h-5 w-5 text-purple-600" aria-hidden="true" /> Refine with AI
+          </DialogTitle>
+          <DialogDescription className="break-words">
+            Ask the agent to rework “{task.title}”. Nothing changes until you accept the proposal.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-3">
+          <div className="flex flex-wrap gap-2" role="group" aria-label="Suggested instructions">
+            {REFINEMENT_PRESETS.map((preset) => (
+              <Button
+                key={preset.id}
+                type="button"
+                variant={instruction === preset.instruction ? 'secondary' : 'outline'}
+                size="sm"
+                onClick={() => setInstruction(preset.instruction)}
+                disabled={loading || applying}
+              >
+                {preset.label}
+              </Button>
+            ))}
+          </div>
+          <div className="grid gap-2">
+            <Label htmlFor={`refine-instruction-${task.id}`}>Instruction</Label>
+            <Textarea
+              id={`refine-instruction-${task.id}`}
+              value={instruction}
+              onChange={(event) => setInstruction(event.target.value)}
+              rows={2}
+              maxLength={MAX_INSTRUCTION_LENGTH}
+              placeholder="e.g. Add acceptance criteria for the mobile layout"
+              disabled={loading || applying}
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" onClick={requestRefinement} disabled={loading || applying || !instruction.trim()}>
+              {loading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Wand2 className="mr-2 h-4 w-4" aria-hidden="true" />}
+              {loading ? 'Refining…' : refinement ? 'Try again' : 'Propose changes'}
+            </Button>
+            {loading && (
+              <Button type="button" variant="outline" onClick={() => activeRequest.current?.abort()}>
+                <Square className="mr-2 h-4 w-4 fill-current" aria-hidden="true" /> Stop
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {refinement && (
+          <div className={`grid gap-4 transition-opacity ${loading ? 'opacity-60' : ''}`} aria-live="polite">
+            {refinement.note && <p className="text-sm whitespace-pre-wrap text-gray-600">{refinement.note}</p>}
+            <SideBySideDiff
+              label="Description"
+              before={task.description || ''}
+              after={refinement.description}
+              changed={refinement.changed.description}
+            />
+            <SideBySideDiff
+              label="AI context"
+              before={task.ai_context || ''}
+              after={refinement.aiContext}
+              changed={refinement.changed.aiContext}
+            />
+            {!hasChanges && <p className="text-sm text-gray-500">The agent kept the task as it is. Try a more specific instruction.</p>}
+          </div>
+        )}
+
+        {refinement && (
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => setRefinement(null)} disabled={applying || loading}>
+              <X className="mr-2 h-4 w-4" aria-hidden="true" /> Discard
+            </Button>
+            <Button type="button" onClick={accept} disabled={!hasChanges || applying || loading}>
+              {applying ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Check className="mr-2 h-4 w-4" aria-hidden="true" />}
+              {applying ? 'Saving…' : 'Accept changes'}
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RefineTaskDialog;
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Bot, Eye, EyeOff, Loader2, UserPlus } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { apiUtils, authAPI } from '../services/api';
+import {
+  applyRegistrationErrors,
+  createEmptyRegistration,
+  registrationSchema,
+  toRegistrationPayload,
+} from '../lib/registration';
+
+const FIELDS = [
+  { name: 'username', label: 'Username', autoComplete: 'username' },
+  { name: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { name: 'full_name', label: 'Full name', autoComplete: 'name' },
+  { name: 'password', label: 'Password', secret: true, autoComplete: 'new-password', description: 'At least 8 characters, including a letter and a number.' },
+  { name: 'confirm_password', label: 'Confirm password', secret: true, autoComplete: 'new-password' },
+];
+
+const Register = () => {
+  const [formError, setFormError] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const navigate = useNavigate();
+  const form = useForm({
+    resolver: zodResolver(registrationSchema),
+    defaultValues: createEmptyRegistration(),
+  });
+  const { isSubmitting } = form.formState;
+
+  const handleSubmit = async (values) => {
+    setFormError('');
+    const payload = toRegistrationPayload(values);
+    try {
+      const response = await authAPI.register(payload);
+      if (response.status && response.status !== 'success') throw new Error(response.message || 'The account could not be created.');
+    } catch (requestError) {
+      const { message, errors } = apiUtils.handleError(requestError);
+      if (!applyRegistrationErrors(form.setError, errors)) setFormError(message);
+      return;
+    }
+
+    try {
+      await authAPI.login(payload.username, payload.password);
+      navigate('/dashboard', { replace: true });
+    } catch {
+      // Some backends activate new accounts later; the account exists, so send people to sign in.
+      navigate('/login', { replace: true, state: { registered: payload.username } });
+    }
+  };
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center p-4 sm:p-6">
+      <div className="w-full max-w-md">
+        <header className="mb-7 text-center">
+          <div className="mx-auto mb-4 flex h-14 w-14 items-center justify-center rounded-2xl bg-blue-600 shadow-lg shadow-blue-200">
+            <Bot className="h-8 w-8 text-white" aria-hidden="true" />
+          </div>
+          <h1 className="text-3xl font-bold tracking-tight text-gray-950">AI Agent System</h1>
+          <p className="mt-2 text-gray-600">Secure task management for your team</p>
+        </header>
+
+        <Card className="border-white/70 bg-white/95 shadow-xl backdrop-blur">
+          <CardHeader>
+            <CardTitle className="text-2xl">Create an account</CardTitle>
+            <CardDescription>Your administrator can change your role after you sign up.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Form {...form}>
+              <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-4" noValidate>
+                {FIELDS.map((item) => (
+                  <FormField
+                    key={item.name}
+                    control={form.control}
+                    name={item.name}
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>{item.label}</FormLabel>
+                        <FormControl>
+                          <Input
+                            {...field}
+                            type={item.secret ? (showPassword ? 'text' : 'password') : item.type || 'text'}
+                            autoComplete={item.autoComplete}
+                            autoFocus={item.name === 'username'}
+                            disabled={isSubmitting}
+                          />
+                        </FormControl>
+                        {item.description && <FormDescription>{item.description}</FormDescription>}
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                ))}
+
+                <button
+                  type="button"
+                  onClick={() => setShowPassword((visible) => !visible)}
+                  className="flex items-center gap-2 rounded text-sm text-gray-600 hover:text-gray-900 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+                >
+                  {showPassword ? <EyeOff className="h-4 w-4" aria-hidden="true" /> : <Eye className="h-4 w-4" aria-hidden="true" />}
+                  {showPassword ? 'Hide passwords' : 'Show passwords'}
+                </button>
+
+                {formError && (
+                  <Alert variant="destructive" role="alert" aria-live="assertive">
+                    <AlertDescription>{formError}</AlertDescription>
+                  </Alert>
+                )}
+
+                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                  {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <UserPlus className="mr-2 h-4 w-4" />}
+                  {isSubmitting ? 'Creating account…' : 'Create account'}
+                </Button>
+              </form>
+            </Form>
+          </CardContent>
+        </Card>
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Already have an account? <Link to="/login" className="font-medium text-blue-700 hover:underline">Sign in</Link>
+        </p>
+      </div>
+    </main>
+  );
+};
+
+export default Register;
@@ -0,0 +1,339 @@
+import { useEffect, useState } from 'react';
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, CalendarClock, Loader2, Pencil, Plus, Send, Trash2 } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Switch } from './ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { useReportSchedules } from '../hooks/use-report-schedules';
+import { apiUtils } from '../services/api';
+import {
+  createReportSchedule,
+  removeReportSchedule,
+  sendScheduledReport,
+  updateReportSchedule,
+} from '../services/report-schedules';
+import {
+  MAX_SEND_ATTEMPTS,
+  MONTH_DAYS,
+  REPORT_FREQUENCIES,
+  REPORT_TIMEFRAMES,
+  WEEKDAYS,
+  createEmptyScheduleForm,
+  describeSchedule,
+  dueOccurrence,
+  nextRunAt,
+  scheduleClaimStore,
+  scheduleFormSchema,
+  scheduleToFormValues,
+  scheduleToPayload,
+} from '../lib/report-schedules';
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const SelectField = ({ form, name, label, options, disabled }) => (
+  <FormField
+    control={form.control}
+    name={name}
+    render={({ field }) => (
+      <FormItem>
+        <FormLabel>{label}</FormLabel>
+        <Select value={field.value} onValueChange={field.onChange} disabled={disabled}>
+          <FormControl>
+            <SelectTrigger className="w-full"><SelectValue /></SelectTrigger>
+          </FormControl>
+          <SelectContent>
+            {options.map((option) => (
+              <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <FormMessage />
+      </FormItem>
+    )}
+  />
+);
+
+const ScheduleDialog = ({ schedule, open, onOpenChange }) => {
+  const [formError, setFormError] = useState('');
+  const form = useForm({
+    resolver: zodResolver(scheduleFormSchema),
+    defaultValues: createEmptyScheduleForm(),
+  });
+  const { isSubmitting } = form.formState;
+  const frequency = useWatch({ control: form.control, name: 'frequency' });
+
+  useEffect(() => {
+    if (open) {
+      form.reset(schedule ? scheduleToFormValues(schedule) : createEmptyScheduleForm());
+      setFormError('');
+    }
+  }, [form, open, schedule]);
+
+  const handleSubmit = async (values) => {
+    setFormError('');
+    try {
+      if (schedule) await updateReportSchedule(schedule.id, scheduleToPayload(values));
+      else await createReportSchedule(values);
+      onOpenChange(false);
+    } catch (requestError) {
+      setFormError(apiUtils.handleError(requestError).message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(nextOpen) => !isSubmitting && onOpenChange(nextOpen)}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{schedule ? 'Edit schedule' : 'New report schedule'}</DialogTitle>
+          <DialogDescription>The AI performance report for the chosen timeframe is posted to the Telegram chat. Times use {TIME_ZONE}.</DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="grid gap-4" noValidate>
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl><Input {...field} disabled={isSubmitting} /></FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <div className="grid gap-4 sm:grid-cols-2">
+              <SelectField
+                form={form}
+                name="frequency"
+                label="Repeats"
+                options={Object.entries(REPORT_FREQUENCIES).map(([value, label]) => ({ value, label }))}
+                disabled={isSubmitting}
+              />
+              {frequency === 'weekly' ? (
+                <SelectField
+                  form={form}
+                  name="weekday"
+                  label="On"
+                  options={WEEKDAYS.map((label, index) => ({ value: String(index), label }))}
+                  disabled={isSubmitting}
+                />
+              ) : (
+                <SelectField
+                  form={form}
+                  name="dayOfMonth"
+                  label="Day of the month"
+                  options={MONTH_DAYS.map((day) => ({ value: day, label: day }))}
+                  disabled={isSubmitting}
+                />
+              )}
+              <FormField
+                control={form.control}
+                name="time"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Time</FormLabel>
+                    <FormControl><Input {...field} type="time" disabled={isSubmitting} /></FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <SelectField
+                form={form}
+                name="timeframe"
+                label="Report covers"
+                options={REPORT_TIMEFRAMES.map((timeframe) => ({ value: timeframe, label: `Last ${timeframe}` }))}
+                disabled={isSubmitting}
+              />
+            </div>
+            <FormField
+              control={form.control}
+              name="enabled"
+              render={({ field }) => (
+                <FormItem className="flex items-center gap-2">
+                  <FormControl><Switch checked={field.value} onCheckedChange={field.onChange} disabled={isSubmitting} /></FormControl>
+                  <FormLabel className="font-normal">Enabled</FormLabel>
+                </FormItem>
+              )}
+            />
+
+            {formError && (
+              <Alert variant="destructive" role="alert">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>Cancel</Button>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" />}
+                {schedule ? 'Save schedule' : 'Create schedule'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Local runs only: the claim store knows whether the scheduler will try a failed run again.
+const RetryStatus = ({ schedule, now }) => {
+  const occurrence = dueOccurrence(schedule, now);
+  const status = occurrence && scheduleClaimStore.status(schedule.id, occurrence);
+  if (!status) return null;
+  return (
+    <p className="text-xs text-gray-500">
+      {status.retryAt
+        ? `Retrying at ${apiUtils.formatDate(status.retryAt)} (attempt ${status.attempts + 1} of ${MAX_SEND_ATTEMPTS}).`
+        : `Gave up after ${status.attempts} attempts; the next run is sent as usual.`}
+    </p>
+  );
+};
+
+const ReportSchedules = () => {
+  const { schedules, mode, error } = useReportSchedules();
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState('');
+  const now = new Date();
+
+  const runAction = async (scheduleId, action) => {
+    setBusyId(scheduleId);
+    setActionError('');
+    try {
+      await action();
+    } catch (requestError) {
+      setActionError(apiUtils.handleError(requestError).message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteSchedule = (schedule) => {
+    if (!window.confirm(`Delete the “${schedule.name}” schedule?`)) return;
+    runAction(schedule.id, () => removeReportSchedule(schedule.id));
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex-row items-start justify-between gap-4">
+        <div>
+          <CardTitle className="flex items-center gap-2">
+            <CalendarClock className="h-5 w-5 text-purple-600" aria-hidden="true" /> Performance reports
+          </CardTitle>
+          <CardDescription className="mt-1.5">
+            {mode === 'local'
+              ? 'The backend does not store schedules yet, so they are kept in this browser, which sends them while a manager or admin has the app open here. Failed sends are retried a few times. Runs missed by more than a few hours are skipped.'
+              : mode === 'remote' && 'The backend stores these schedules, so a scheduler on the server must send them. This page does not send scheduled runs; use Send now to post a report right away.'}
+          </CardDescription>
+        </div>
+        <Button type="button" onClick={() => setEditing({ schedule: null })} disabled={mode === 'loading'}>
+          <Plus className="mr-2 h-4 w-4" aria-hidden="true" /> New schedule
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {(error || actionError) && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{actionError || error}</AlertDescription>
+          </Alert>
+        )}
+
+        {schedules.length ? (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Schedule</TableHead>
+                <TableHead>Last sent</TableHead>
+                <TableHead>Next run</TableHead>
+                <TableHead>Enabled</TableHead>
+                <TableHead><span className="sr-only">Actions</span></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {schedules.map((schedule) => (
+                <TableRow key={schedule.id}>
+                  <TableCell className="whitespace-normal">
+                    <p className="font-medium text-gray-900">{schedule.name}</p>
+                    <p className="text-xs text-gray-500">{describeSchedule(schedule)} · last {schedule.timeframe}</p>
+                  </TableCell>
+                  <TableCell className="max-w-xs whitespace-normal text-sm">
+                    {schedule.lastSentAt ? apiUtils.formatDate(schedule.lastSentAt) : <span className="text-gray-400">Never</span>}
+                    {schedule.lastError && <p className="break-words text-xs text-red-700">Last attempt failed: {schedule.lastError}</p>}
+                    {mode === 'local' && <RetryStatus schedule={schedule} now={now} />}
+                  </TableCell>
+                  <TableCell className="text-sm">
+                    {schedule.enabled ? apiUtils.formatDate(nextRunAt(schedule, now)) : <span className="text-gray-400">Paused</span>}
+                  </TableCell>
+                  <TableCell>
+                    <Label className="sr-only" htmlFor={`schedule-enabled-${schedule.id}`}>Enable {schedule.name}</Label>
+                    <Switch
+                      id={`schedule-enabled-${schedule.id}`}
+                      checked={schedule.enabled}
+                      onCheckedChange={(checked) => runAction(schedule.id, () => updateReportSchedule(schedule.id, { enabled: checked }))}
+                      disabled={busyId === schedule.id}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => runAction(schedule.id, () => sendScheduledReport(schedule))}
+                      disabled={busyId === schedule.id}
+                    >
+                      {busyId === schedule.id ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Send className="mr-2 h-4 w-4" aria-hidden="true" />}
+                      Send now
+                    </Button>
+                    <Button type="button" variant="ghost" size="icon" onClick={() => setEditing({ schedule })} aria-label={`Edit ${schedule.name}`}>
+                      <Pencil className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="text-gray-500 hover:bg-red-50 hover:text-red-700"
+                      onClick={() => deleteSchedule(schedule)}
+                      disabled={busyId === schedule.id}
+                      aria-label={`Delete ${schedule.name}`}
+                    >
+                      <Trash2 className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <p className="py-6 text-center text-sm text-gray-500">
+            {mode === 'loading' ? 'Loading schedules…' : 'No report schedules yet. Create one to post performance reports automatically.'}
+          </p>
+        )}
+      </CardContent>
+
+      <ScheduleDialog
+        schedule={editing?.schedule ?? null}
+        open={Boolean(editing)}
+        onOpenChange={(nextOpen) => !nextOpen && setEditing(null)}
+      />
+    </Card>
+  );
+};
+
+export default ReportSchedules;
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Bookmark, MoreHorizontal, Pin, PinOff, Save, Trash2 } from 'lucide-react';
+
+import { Button } from './ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarFooter,
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem,
+} from './ui/sidebar';
+import { Switch } from './ui/switch';
+
+const SaveViewDialog = ({ open, onOpenChange, onSave }) => {
+  const [name, setName] = useState('');
+  const [pinned, setPinned] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setError('Enter a name for the view.');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      await onSave({ name: name.trim(), pinned });
+      setName('');
+      onOpenChange(false);
+    } catch (saveError) {
+      setError(saveError instanceof Error ? saveError.message : 'The view could not be saved.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Save current view</DialogTitle>
+          <DialogDescription>Saves the current filters, search and sort.</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="grid gap-4" noValidate>
+          <div className="grid gap-2">
+            <Label htmlFor="saved-view-name">Name</Label>
+            <Input
+              id="saved-view-name"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="e.g. Overdue for Ali"
+              maxLength={60}
+              aria-invalid={Boolean(error)}
+              autoFocus
+            />
+            {error && <p className="text-sm text-destructive" role="alert">{error}</p>}
+          </div>
+          <div className="flex items-center gap-2">
+            <Switch id="saved-view-pinned" checked={pinned} onCheckedChange={setPinned} />
+            <Label htmlFor="saved-view-pinned">Pin to sidebar</Label>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>Cancel</Button>
+            <Button type="submit" disabled={saving}>
+              <Save className="mr-2 h-4 w-4" aria-hidden="true" /> Save view
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const ViewMenuItem = ({ view, count, active, onApply, onTogglePin, onRemove }) => (
+  <SidebarMenuItem>
+    <SidebarMenuButton isActive={active} onClick={() => onApply(view)} className="pr-14">
+      <Bookmark className="h-4 w-4" aria-hidden="true" />
+      <span className="truncate">{view.name}</span>
+    </SidebarMenuButton>
+    {count !== null && count !== undefined && (
+      <SidebarMenuBadge className="right-7" aria-label={`${count} matching tasks`}>{count}</SidebarMenuBadge>
+    )}
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <SidebarMenuAction aria-label={`Options for ${view.name}`}>
+          <MoreHorizontal aria-hidden="true" />
+        </SidebarMenuAction>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent side="right" align="start">
+        <DropdownMenuItem onSelect={() => onTogglePin(view)}>
+          {view.pinned ? <PinOff className="h-4 w-4" aria-hidden="true" /> : <Pin className="h-4 w-4" aria-hidden="true" />}
+          {view.pinned ? 'Unpin' : 'Pin'}
+        </DropdownMenuItem>
+        <DropdownMenuItem variant="destructive" onSelect={() => onRemove(view)}>
+          <Trash2 className="h-4 w-4" aria-hidden="true" /> Delete
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  </SidebarMenuItem>
+);
+
+const SavedViewsSidebar = ({
+  views,
+  counts,
+  activeQuery,
+  storageMode,
+  error,
+  onApply,
+  onSave,
+  onTogglePin,
+  onRemove,
+}) => {
+  const [saveOpen, setSaveOpen] = useState(false);
+  const pinnedViews = views.filter((view) => view.pinned);
+  const otherViews = views.filter((view) => !view.pinned);
+
+  const renderGroup = (label, items) => items.length > 0 && (
+    <SidebarGroup>
+      <SidebarGroupLabel>{label}</SidebarGroupLabel>
+      <SidebarGroupContent>
+        <SidebarMenu>
+          {items.map((view) => (
+            <ViewMenuItem
+              key={view.id}
+              view={view}
+              count={counts[view.id]}
+              active={view.query === activeQuery}
+              onApply={onApply}
+              onTogglePin={onTogglePin}
+              onRemove={onRemove}
+            />
+          ))}
+        </SidebarMenu>
+      </SidebarGroupContent>
+    </SidebarGroup>
+  );
+
+  return (
+    <Sidebar aria-label="Saved views">
+      <SidebarContent>
+        <SidebarGroup>
+          <SidebarGroupLabel>Saved views</SidebarGroupLabel>
+          <SidebarGroupAction onClick={() => setSaveOpen(true)} aria-label="Save current view" title="Save current view">
+            <Save aria-hidden="true" />
+          </SidebarGroupAction>
+          <SidebarGroupContent>
+            {!views.length && (
+              <p className="px-2 py-1 text-xs text-muted-foreground">
+                Filter the task list, then save it here for one-click access.
+              </p>
+            )}
+            {error && <p className="px-2 py-1 text-xs text-destructive" role="alert">{error}</p>}
+          </SidebarGroupContent>
+        </SidebarGroup>
+        {renderGroup('Pinned', pinnedViews)}
+        {renderGroup('Other views', otherViews)}
+      </SidebarContent>
+      <SidebarFooter>
+        <p className="px-2 text-xs text-muted-foreground">
+          {storageMode === 'local' ? 'Views are saved on this browser for your account.' : 'Views are saved to your account.'}
+          {' '}Counts reflect the tasks currently loaded.
+        </p>
+      </SidebarFooter>
+      <SaveViewDialog open={saveOpen} onOpenChange={setSaveOpen} onSave={onSave} />
+    </Sidebar>
+  );
+};
+
+export default SavedViewsSidebar;
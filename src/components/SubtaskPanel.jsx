@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ListTree, Loader2 } from 'lucide-react';
+
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Progress } from './ui/progress';
+import TaskBreakdownDialog from './TaskBreakdownDialog';
+import { apiUtils, tasksAPI } from '../services/api';
+import { childrenOf, subtaskProgress } from '../lib/task-breakdown';
+import { STATUS_STYLES } from '../lib/task-styles';
+
+const SubtaskPanel = ({ task, disabled = false }) => {
+  const [children, setChildren] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [breakingDown, setBreakingDown] = useState(false);
+
+  const loadChildren = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await tasksAPI.getSubtasks(task.id);
+      if (response.status !== 'success') throw new Error(response.message || 'Subtasks could not be loaded.');
+      // Older backends ignore the parent filter, so keep only real children.
+      setChildren(childrenOf(response.tasks || [], task.id));
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [task.id]);
+
+  useEffect(() => {
+    loadChildren();
+  }, [loadChildren]);
+
+  const progress = subtaskProgress(children);
+
+  return (
+    <section aria-labelledby="task-subtasks-heading" aria-busy={loading}>
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+        <h3 id="task-subtasks-heading" className="text-sm font-semibold uppercase tracking-wide text-gray-500">Subtasks</h3>
+        <Button type="button" variant="outline" size="sm" onClick={() => setBreakingDown(true)} disabled={disabled || loading}>
+          <ListTree className="mr-2 h-4 w-4" aria-hidden="true" /> Break down
+        </Button>
+      </div>
+
+      {loading && (
+        <p className="flex items-center gap-2 text-sm text-gray-500" role="status">
+          <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> Loading subtasks…
+        </p>
+      )}
+      {!loading && error && (
+        <p className="text-sm text-destructive" role="alert">
+          {error}{' '}
+          <Button type="button" variant="link" size="sm" className="h-auto p-0" onClick={loadChildren}>Retry</Button>
+        </p>
+      )}
+      {!loading && !error && !children.length && (
+        <p className="text-sm text-gray-500">No subtasks yet. Break the task down to split the work.</p>
+      )}
+
+      {!loading && children.length > 0 && (
+        <div className="space-y-3">
+          <div>
+            <div className="mb-1 flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-900">{progress.completed} of {progress.total} completed</span>
+              <span className="text-gray-500">{progress.percent}%</span>
+            </div>
+            <Progress value={progress.percent} aria-label="Subtask completion" aria-valuetext={`${progress.percent}% of subtasks completed`} />
+            {progress.estimatedHours > 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                {apiUtils.formatDuration(progress.completedHours)} of {apiUtils.formatDuration(progress.estimatedHours)} done
+                {Number(task.estimated_hours) > 0 && ` · parent estimate ${apiUtils.formatDuration(task.estimated_hours)}`}
+              </p>
+            )}
+          </div>
+          <ul className="divide-y rounded-lg border bg-white">
+            {children.map((child) => (
+              <li key={child.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                <Link to={`/tasks/${child.id}`} className="min-w-0 truncate text-gray-900 hover:text-blue-700 hover:underline">
+                  {child.title}
+                </Link>
+                <div className="flex shrink-0 items-center gap-2">
+                  {Number(child.estimated_hours) > 0 && <span className="text-xs text-gray-500">{apiUtils.formatDuration(child.estimated_hours)}</span>}
+                  <Badge className={STATUS_STYLES[child.status] || STATUS_STYLES.pending}>
+                    {String(child.status || 'pending').replace('_', ' ')}
+                  </Badge>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {breakingDown && (
+        <TaskBreakdownDialog
+          task={task}
+          open
+          onOpenChange={setBreakingDown}
+          existingChildren={children}
+          onCreated={loadChildren}
+        />
+      )}
+    </section>
+  );
+};
+
+export default SubtaskPanel;
@@ -0,0 +1,237 @@
+import { useEffect, useRef, useState } from 'react';
+import { AlertCircle, Check, ListTree, Loader2, Square } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { apiUtils, chatAPI, tasksAPI } from '../services/api';
+import { recordAiOutcome, runAudited } from '../services/ai-audit';
+import {
+  BREAKDOWN_COUNTS,
+  buildBreakdownContext,
+  childTaskPayload,
+  compareEstimates,
+  normalizeBreakdown,
+} from '../lib/task-breakdown';
+import { draftFieldErrors, updateDraft } from '../lib/task-generation';
+import { PRIORITY_STYLES } from '../lib/task-styles';
+
+const ESTIMATE_MESSAGES = {
+  match: 'Matches the parent estimate.',
+  over: 'More than the parent estimate.',
+  under: 'Less than the parent estimate.',
+  unestimated: 'The parent task has no estimate.',
+};
+
+const EstimateSummary = ({ estimate }) => {
+  const { total, parentHours, difference, status } = estimate;
+  const tone = status === 'match' ? 'text-green-700' : status === 'unestimated' ? 'text-gray-600' : 'text-amber-700';
+  return (
+    <div className="rounded-lg border bg-gray-50 p-3 text-sm" aria-live="polite">
+      <p className="font-medium text-gray-900">
+        Children: {apiUtils.formatDuration(total)}
+        {parentHours > 0 && <> of {apiUtils.formatDuration(parentHours)} estimated for the parent</>}
+      </p>
+      <p className={tone}>
+        {ESTIMATE_MESSAGES[status]}
+        {(status === 'over' || status === 'under') && ` (${difference > 0 ? '+' : '−'}${apiUtils.formatDuration(Math.abs(difference))})`}
+      </p>
+    </div>
+  );
+};
+
+const TaskBreakdownDialog = ({ task, open, onOpenChange, existingChildren = [], onCreated }) => {
+  const [count, setCount] = useState('5');
+  const [children, setChildren] = useState([]);
+  const [summary, setSummary] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const activeRequest = useRef(null);
+  const auditId = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setChildren([]);
+      setSummary('');
+      setError('');
+    }
+    return () => activeRequest.current?.abort();
+  }, [open]);
+
+  const included = children.filter((child) => child.include && child.state !== 'accepted');
+  const estimate = compareEstimates([...existingChildren, ...included], task.estimated_hours);
+
+  const generate = async () => {
+    const controller = new AbortController();
+    activeRequest.current = controller;
+    setLoading(true);
+    setError('');
+    try {
+      const context = buildBreakdownContext(task, { count, existingTitles: existingChildren.map((child) => child.title) });
+      const { output: response, auditId: entryId } = await runAudited(
+        'generate_tasks',
+        context,
+        () => chatAPI.generateTasks(context, { signal: controller.signal }),
+      );
+      auditId.current = entryId;
+      if (response.status !== 'success') throw new Error(response.message || 'The agent could not break down this task.');
+      const result = normalizeBreakdown(response, task);
+      if (!result.children.length) throw new Error('The agent did not propose any child tasks. Add more detail to the task and try again.');
+      setChildren(result.children);
+      setSummary(result.summary);
+    } catch (requestError) {
+      if (!apiUtils.isCancellation(requestError)) setError(apiUtils.handleError(requestError).message);
+    } finally {
+      activeRequest.current = null;
+      setLoading(false);
+    }
+  };
+
+  const changeChild = (childId, changes) => setChildren((current) => updateDraft(current, childId, changes));
+
+  // Children are created one at a time so each failure stays attached to its own row.
+  const createChildren = async () => {
+    setCreating(true);
+    setError('');
+    const created = [];
+    for (const child of included) {
+      const invalidFields = draftFieldErrors(child.values);
+      if (invalidFields) {
+        changeChild(child.id, { error: Object.values(invalidFields)[0] });
+        continue;
+      }
+      try {
+        const response = await tasksAPI.createTask(childTaskPayload(child, task));
+        if (response.status !== 'success' || !response.task) throw new Error(response.message || 'The task could not be created.');
+        changeChild(child.id, { state: 'accepted', taskId: response.task.id, error: '' });
+        recordAiOutcome(auditId.current, { accepted: true, createdTaskId: response.task.id });
+        created.push(response.task);
+      } catch (requestError) {
+        changeChild(child.id, { error: apiUtils.handleError(requestError).message });
+      }
+    }
+    setCreating(false);
+    if (created.length) onCreated(created);
+    if (created.length === included.length) onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(nextOpen) => !creating && onOpenChange(nextOpen)}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ListTree className="h-5 w-5 text-purple-600" aria-hidden="true" /> Break down task
+          </DialogTitle>
+          <DialogDescription className="break-words">
+            The agent proposes child tasks for “{task.title}”. Review the estimates, then create the ones you want.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={count} onValueChange={setCount} disabled={loading || creating}>
+            <SelectTrigger size="sm" className="w-36" aria-label="Number of child tasks">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {BREAKDOWN_COUNTS.map((value) => (
+                <SelectItem key={value} value={value}>Up to {value} tasks</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="button" size="sm" onClick={generate} disabled={loading || creating}>
+            {loading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <ListTree className="mr-2 h-4 w-4" aria-hidden="true" />}
+            {loading ? 'Breaking down…' : children.length ? 'Try again' : 'Break down'}
+          </Button>
+          {loading && (
+            <Button type="button" variant="outline" size="sm" onClick={() => activeRequest.current?.abort()}>
+              <Square className="mr-2 h-4 w-4 fill-current" aria-hidden="true" /> Stop
+            </Button>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {children.length > 0 && (
+          <div className={`grid gap-3 transition-opacity ${loading ? 'opacity-60' : ''}`}>
+            {summary && <p className="text-sm whitespace-pre-wrap text-gray-600">{summary}</p>}
+            <EstimateSummary estimate={estimate} />
+            {existingChildren.length > 0 && (
+              <p className="text-xs text-gray-500">Includes {existingChildren.length} existing subtask{existingChildren.length === 1 ? '' : 's'}.</p>
+            )}
+            <ul className="grid gap-2" aria-label="Proposed child tasks">
+              {children.map((child) => (
+                <li key={child.id} className={`rounded-lg border p-3 ${child.include ? 'bg-white' : 'opacity-60'}`}>
+                  <div className="flex items-start gap-3">
+                    <Checkbox
+                      checked={child.include}
+                      onCheckedChange={(checked) => changeChild(child.id, { include: checked === true })}
+                      disabled={creating || child.state === 'accepted'}
+                      className="mt-1"
+                      aria-label={`Include ${child.values.title}`}
+                    />
+                    <div className="min-w-0 flex-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <p className="min-w-0 break-words text-sm font-medium text-gray-900">{child.values.title}</p>
+                        <Badge className={PRIORITY_STYLES[child.values.priority]}>{child.values.priority}</Badge>
+                        {child.state === 'accepted' && (
+                          <Badge variant="outline" className="border-green-200 bg-green-50 text-green-700">
+                            <Check className="mr-1 h-3 w-3" aria-hidden="true" /> Created
+                          </Badge>
+                        )}
+                      </div>
+                      {child.values.description && <p className="mt-1 line-clamp-2 text-xs text-gray-600">{child.values.description}</p>}
+                      {child.error && <p className="mt-1 text-xs text-destructive" role="alert">{child.error}</p>}
+                    </div>
+                    <label className="flex shrink-0 items-center gap-1 text-xs text-gray-500">
+                      <Input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        inputMode="decimal"
+                        value={child.values.estimated_hours}
+                        onChange={(event) => changeChild(child.id, { values: { ...child.values, estimated_hours: event.target.value }, error: '' })}
+                        disabled={creating || child.state === 'accepted'}
+                        className="h-8 w-20"
+                        aria-label={`Estimated hours for ${child.values.title}`}
+                      />
+                      h
+                    </label>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {children.length > 0 && (
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={creating}>Cancel</Button>
+            <Button type="button" onClick={createChildren} disabled={!included.length || creating || loading}>
+              {creating && <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" />}
+              {creating ? 'Creating…' : `Create ${included.length} subtask${included.length === 1 ? '' : 's'}`}
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TaskBreakdownDialog;
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import {
   AlertCircle,
   Bot,
@@ -7,28 +8,21 @@ import {
   Clock,
   Edit3,
   Pause,
+  Pencil,
   Play,
   Trash2,
   User,
+  Wand2,
 } from 'lucide-react';
 
 import { Badge } from './ui/badge';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Checkbox } from './ui/checkbox';
+import RefineTaskDialog from './RefineTaskDialog';
+import TaskEditSheet from './TaskEditSheet';
 import { apiUtils } from '../services/api';
-
-const PRIORITY_STYLES = {
-  urgent: 'bg-red-100 text-red-800 border-red-200',
-  high: 'bg-orange-100 text-orange-800 border-orange-200',
-  medium: 'bg-yellow-100 text-yellow-800 border-yellow-200',
-  low: 'bg-green-100 text-green-800 border-green-200',
-};
-
-const STATUS_STYLES = {
-  pending: 'bg-gray-100 text-gray-800 border-gray-200',
-  in_progress: 'bg-blue-100 text-blue-800 border-blue-200',
-  completed: 'bg-green-100 text-green-800 border-green-200',
-};
+import { PRIORITY_STYLES, STATUS_STYLES } from '../lib/task-styles';
 
 function dueDateLabel(dateString) {
   if (!dateString) return null;
@@ -43,8 +37,10 @@ function dueDateLabel(dateString) {
   return `Due in ${dayDifference} days`;
 }
 
-const TaskCard = ({ task, onUpdate, onDelete, canDelete = false }) => {
+const TaskCard = ({ task, onUpdate, onDelete, canDelete = false, selected = false, onSelect }) => {
   const [action, setAction] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [refining, setRefining] = useState(false);
   const dueLabel = dueDateLabel(task.due_date);
   const overdue = Boolean(task.is_overdue) || (dueLabel?.startsWith('Overdue') && task.status !== 'completed');
 
@@ -105,11 +101,26 @@ const TaskCard = ({ task, onUpdate, onDelete, canDelete = false }) => {
   };
 
   return (
-    <Card className={`h-full transition-shadow hover:shadow-md ${task.status === 'completed' ? 'opacity-80' : ''} ${overdue ? 'border-red-200' : ''}`} aria-busy={Boolean(action)}>
+    <Card className={`h-full transition-shadow hover:shadow-md ${task.status === 'completed' ? 'opacity-80' : ''} ${overdue ? 'border-red-200' : ''} ${selected ? 'ring-2 ring-blue-500' : ''}`} aria-busy={Boolean(action)}>
       <CardHeader className="pb-3">
         <div className="flex items-start justify-between gap-3">
+          {onSelect && (
+            <Checkbox
+              checked={selected}
+              onClick={(event) => {
+                event.preventDefault();
+                onSelect(task.id, { checked: !selected, range: event.shiftKey });
+              }}
+              className="mt-1.5"
+              aria-label={`Select ${task.title}`}
+            />
+          )}
           <div className="min-w-0 flex-1">
-            <CardTitle className="break-words text-lg leading-snug">{task.title}</CardTitle>
+            <CardTitle className="break-words text-lg leading-snug">
+              <Link to={`/tasks/${task.id}`} className="hover:text-blue-700 hover:underline focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500">
+                {task.title}
+              </Link>
+            </CardTitle>
             <div className="mt-3 flex flex-wrap gap-2">
               <Badge className={PRIORITY_STYLES[task.priority] || PRIORITY_STYLES.medium}>
                 {apiUtils.getPriorityEmoji(task.priority)} {task.priority || 'medium'}
@@ -118,25 +129,56 @@ const TaskCard = ({ task, onUpdate, onDelete, canDelete = false }) => {
                 {apiUtils.getStatusEmoji(task.status)} {String(task.status || 'pending').replace('_', ' ')}
               </Badge>
               {task.is_ai_generated && (
-                <Badge variant="outline" className="border-purple-200 bg-purple-50 text-purple-700">
-                  <Bot className="mr-1 h-3 w-3" aria-hidden="true" /> AI generated
+                <Badge variant="outline" className="border-purple-200 bg-purple-50 text-purple-700" asChild={apiUtils.isAdmin()}>
+                  {apiUtils.isAdmin() ? (
+                    <Link to={`/admin/ai-audit?task=${task.id}`} title="View AI audit entry">
+                      <Bot className="mr-1 h-3 w-3" aria-hidden="true" /> AI generated
+                    </Link>
+                  ) : (
+                    <><Bot className="mr-1 h-3 w-3" aria-hidden="true" /> AI generated</>
+                  )}
                 </Badge>
               )}
             </div>
           </div>
-          {canDelete && (
+          <div className="flex shrink-0 items-center">
             <Button
               type="button"
               variant="ghost"
               size="icon"
-              className="shrink-0 text-gray-500 hover:bg-red-50 hover:text-red-700"
-              onClick={runDelete}
+              className="text-gray-500 hover:text-purple-700"
+              onClick={() => setRefining(true)}
               disabled={Boolean(action)}
-              aria-label={`Delete ${task.title}`}
+              aria-label={`Refine ${task.title} with AI`}
+              title="Refine with AI"
             >
-              <Trash2 className="h-4 w-4" aria-hidden="true" />
+              <Wand2 className="h-4 w-4" aria-hidden="true" />
             </Button>
-          )}
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="text-gray-500 hover:text-gray-900"
+              onClick={() => setEditing(true)}
+              disabled={Boolean(action)}
+              aria-label={`Edit ${task.title}`}
+            >
+              <Pencil className="h-4 w-4" aria-hidden="true" />
+            </Button>
+            {canDelete && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="text-gray-500 hover:bg-red-50 hover:text-red-700"
+                onClick={runDelete}
+                disabled={Boolean(action)}
+                aria-label={`Delete ${task.title}`}
+              >
+                <Trash2 className="h-4 w-4" aria-hidden="true" />
+              </Button>
+            )}
+          </div>
         </div>
         {task.description && <CardDescription className="line-clamp-3 pt-2">{task.description}</CardDescription>}
       </CardHeader>
@@ -179,6 +221,23 @@ const TaskCard = ({ task, onUpdate, onDelete, canDelete = false }) => {
           {action && <span className="sr-only" role="status">Updating task…</span>}
         </div>
       </CardContent>
+
+      {editing && (
+        <TaskEditSheet
+          task={task}
+          open
+          onOpenChange={setEditing}
+          onSave={(changes) => onUpdate(task.id, changes)}
+        />
+      )}
+      {refining && (
+        <RefineTaskDialog
+          task={task}
+          open
+          onOpenChange={setRefining}
+          onApply={(changes) => onUpdate(task.id, changes)}
+        />
+      )}
     </Card>
   );
 };
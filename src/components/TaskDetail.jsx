@@ -0,0 +1,295 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  AlertCircle,
+  ArrowLeft,
+  Bot,
+  Check,
+  Link2,
+  Loader2,
+  Pencil,
+  RotateCw,
+  Trash2,
+  Wand2,
+} from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardHeader } from './ui/card';
+import AppHeader from './AppHeader';
+import RefineTaskDialog from './RefineTaskDialog';
+import SubtaskPanel from './SubtaskPanel';
+import TaskEditSheet from './TaskEditSheet';
+import { apiUtils, tasksAPI } from '../services/api';
+import { parentIdOf } from '../lib/task-breakdown';
+import { PRIORITY_STYLES, STATUS_STYLES } from '../lib/task-styles';
+
+const STATUS_ACTIONS = [
+  { status: 'pending', label: 'Mark pending' },
+  { status: 'in_progress', label: 'Start / resume' },
+  { status: 'completed', label: 'Mark complete' },
+];
+
+function personLabel(person) {
+  return person?.full_name || person?.username || null;
+}
+
+const TaskDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const [task, setTask] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notFound, setNotFound] = useState(false);
+  const [action, setAction] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [refining, setRefining] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const latestTaskRequest = useRef(0);
+
+  const loadTask = useCallback(async () => {
+    const requestId = latestTaskRequest.current + 1;
+    latestTaskRequest.current = requestId;
+    setTask(null);
+    setLoading(true);
+    setError('');
+    setNotFound(false);
+    try {
+      const response = await tasksAPI.getTask(id);
+      if (requestId !== latestTaskRequest.current) return;
+      if (response.status !== 'success' || !response.task) throw new Error(response.message || 'The task could not be loaded.');
+      setTask(response.task);
+    } catch (requestError) {
+      if (requestId !== latestTaskRequest.current) return;
+      const { status, message } = apiUtils.handleError(requestError);
+      if (status === 404) setNotFound(true);
+      else setError(message);
+    } finally {
+      if (requestId === latestTaskRequest.current) setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadTask();
+  }, [loadTask]);
+
+  const updateTask = async (updates) => {
+    setError('');
+    const previousTask = task;
+    setTask({ ...task, ...updates });
+    try {
+      const response = await tasksAPI.updateTask(task.id, updates);
+      if (response.status !== 'success') throw new Error(response.message || 'The task could not be updated.');
+      if (response.task) setTask(response.task);
+    } catch (requestError) {
+      setTask(previousTask);
+      setError(apiUtils.handleError(requestError).message);
+      throw requestError;
+    }
+  };
+
+  const runStatusUpdate = async (status) => {
+    if (action) return;
+    setAction(status);
+    try {
+      await updateTask({ status });
+    } catch {
+      // The error banner already explains the failure.
+    } finally {
+      setAction(null);
+    }
+  };
+
+  const runDelete = async () => {
+    if (action) return;
+    const confirmed = window.confirm(`Delete “${task.title}”? This action cannot be undone.`);
+    if (!confirmed) return;
+
+    setAction('delete');
+    setError('');
+    try {
+      await tasksAPI.deleteTask(task.id);
+      navigate('/dashboard', { replace: true });
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+      setAction(null);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      window.setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError('The link could not be copied. Copy it from the address bar instead.');
+    }
+  };
+
+  const canDelete = task && (user?.role === 'admin' || task.created_by === user?.id);
+  const parentId = parentIdOf(task);
+  const metadata = task ? [
+    { label: 'Task ID', value: `#${task.id}` },
+    { label: 'Assignee', value: personLabel(task.assignee_info) || 'Unassigned' },
+    { label: 'Created by', value: personLabel(task.creator_info) || (task.created_by ? `User #${task.created_by}` : 'Unknown') },
+    { label: 'Due', value: task.due_date ? apiUtils.formatDate(task.due_date) : 'No due date' },
+    { label: 'Estimated', value: Number(task.estimated_hours) > 0 ? apiUtils.formatDuration(task.estimated_hours) : 'Not estimated' },
+    { label: 'Actual', value: Number(task.actual_hours) > 0 ? apiUtils.formatDuration(task.actual_hours) : null },
+    { label: 'Created', value: apiUtils.formatDate(task.created_at) },
+    { label: 'Updated', value: task.updated_at ? apiUtils.formatDate(task.updated_at) : null },
+    { label: 'Completed', value: task.completed_at ? apiUtils.formatDate(task.completed_at) : null },
+  ].filter((item) => item.value) : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Task details" />
+
+      <main className="mx-auto max-w-4xl px-4 py-8 sm:px-6 lg:px-8" aria-busy={loading}>
+        <Button variant="ghost" size="sm" className="mb-4" asChild>
+          <Link to="/dashboard">
+            <ArrowLeft className="mr-2 h-4 w-4" aria-hidden="true" /> Back to dashboard
+          </Link>
+        </Button>
+
+        {error && (
+          <Alert variant="destructive" className="mb-6" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription className="flex flex-wrap items-center justify-between gap-3">
+              <span>{error}</span>
+              <Button variant="outline" size="sm" onClick={loadTask}>Retry</Button>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {loading && !task && (
+          <div className="py-16 text-center" role="status">
+            <RotateCw className="mx-auto mb-4 h-8 w-8 animate-spin text-blue-600" aria-hidden="true" />
+            <p className="font-medium text-gray-900">Loading task…</p>
+          </div>
+        )}
+
+        {notFound && (
+          <section className="rounded-2xl border bg-white p-8 text-center shadow-sm">
+            <h2 className="text-xl font-bold text-gray-900">Task not found</h2>
+            <p className="mt-2 text-gray-600">It may have been deleted, or you may not have access to it.</p>
+          </section>
+        )}
+
+        {task && (
+          <Card aria-busy={Boolean(action)}>
+            <CardHeader className="gap-4 border-b">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <h2 className="min-w-0 flex-1 break-words text-2xl font-semibold leading-snug text-gray-950">{task.title}</h2>
+                <div className="flex items-center gap-1">
+                  <Button type="button" variant="outline" size="sm" onClick={copyLink}>
+                    {copied ? <Check className="mr-2 h-4 w-4" aria-hidden="true" /> : <Link2 className="mr-2 h-4 w-4" aria-hidden="true" />}
+                    {copied ? 'Copied' : 'Copy link'}
+                  </Button>
+                  <Button type="button" variant="outline" size="sm" onClick={() => setRefining(true)} disabled={Boolean(action)}>
+                    <Wand2 className="mr-2 h-4 w-4" aria-hidden="true" /> Refine with AI
+                  </Button>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => setEditing(true)} disabled={Boolean(action)} aria-label="Edit task">
+                    <Pencil className="h-4 w-4" aria-hidden="true" />
+                  </Button>
+                  {canDelete && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="text-gray-500 hover:bg-red-50 hover:text-red-700"
+                      onClick={runDelete}
+                      disabled={Boolean(action)}
+                      aria-label="Delete task"
+                    >
+                      <Trash2 className="h-4 w-4" aria-hidden="true" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Badge className={PRIORITY_STYLES[task.priority] || PRIORITY_STYLES.medium}>
+                  {apiUtils.getPriorityEmoji(task.priority)} {task.priority || 'medium'}
+                </Badge>
+                <Badge className={STATUS_STYLES[task.status] || STATUS_STYLES.pending}>
+                  {apiUtils.getStatusEmoji(task.status)} {String(task.status || 'pending').replace('_', ' ')}
+                </Badge>
+                {task.is_overdue && <Badge variant="destructive">Overdue</Badge>}
+                {task.is_ai_generated && (
+                  <Badge variant="outline" className="border-purple-200 bg-purple-50 text-purple-700">
+                    <Bot className="mr-1 h-3 w-3" aria-hidden="true" /> AI generated
+                  </Badge>
+                )}
+              </div>
+            </CardHeader>
+
+            <CardContent className="grid gap-8 p-6 md:grid-cols-[1fr_16rem]">
+              <div className="space-y-6">
+                {parentId !== null && (
+                  <p className="text-sm text-gray-600">
+                    Subtask of{' '}
+                    <Link to={`/tasks/${parentId}`} className="font-medium text-blue-700 hover:underline">
+                      {task.parent_task_title || task.parent?.title || `task #${parentId}`}
+                    </Link>
+                  </p>
+                )}
+
+                <section aria-labelledby="task-description-heading">
+                  <h3 id="task-description-heading" className="mb-2 text-sm font-semibold uppercase tracking-wide text-gray-500">Description</h3>
+                  <p className="whitespace-pre-wrap break-words text-gray-800">{task.description || 'No description provided.'}</p>
+                </section>
+
+                {task.ai_context && (
+                  <section aria-labelledby="task-ai-context-heading" className="rounded-lg border border-purple-200 bg-purple-50 p-4 text-sm text-purple-900">
+                    <h3 id="task-ai-context-heading" className="mb-2 flex items-center gap-2 font-semibold">
+                      <Bot className="h-4 w-4" aria-hidden="true" /> AI context
+                    </h3>
+                    <p className="whitespace-pre-wrap break-words">{task.ai_context}</p>
+                  </section>
+                )}
+
+                <SubtaskPanel key={task.id} task={task} disabled={Boolean(action)} />
+
+                <section aria-label="Status actions" className="flex flex-wrap gap-2">
+                  {STATUS_ACTIONS.filter((item) => item.status !== task.status).map((item) => (
+                    <Button
+                      key={item.status}
+                      type="button"
+                      size="sm"
+                      variant={item.status === 'completed' ? 'default' : 'outline'}
+                      disabled={Boolean(action)}
+                      onClick={() => runStatusUpdate(item.status)}
+                    >
+                      {action === item.status && <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" />}
+                      {item.label}
+                    </Button>
+                  ))}
+                </section>
+              </div>
+
+              <dl className="space-y-3 text-sm">
+                {metadata.map((item) => (
+                  <div key={item.label}>
+                    <dt className="text-gray-500">{item.label}</dt>
+                    <dd className="font-medium text-gray-900">{item.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            </CardContent>
+          </Card>
+        )}
+      </main>
+
+      {task && editing && (
+        <TaskEditSheet task={task} open onOpenChange={setEditing} onSave={updateTask} />
+      )}
+      {task && refining && (
+        <RefineTaskDialog task={task} open onOpenChange={setRefining} onApply={updateTask} />
+      )}
+    </div>
+  );
+};
+
+export default TaskDetail;
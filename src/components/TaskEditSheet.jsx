@@ -0,0 +1,89 @@
+import { useMemo, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Loader2, Save } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import { Form } from './ui/form';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+} from './ui/sheet';
+import TaskFormFields from './TaskFormFields';
+import { useTeamMembers } from '../hooks/use-team-members';
+import { apiUtils } from '../services/api';
+import { applyServerFieldErrors, diffTaskPayload, taskFormSchema, taskToFormValues } from '../lib/task-form';
+
+const TaskEditSheet = ({ task, open, onOpenChange, onSave }) => {
+  const [formError, setFormError] = useState('');
+  const { members } = useTeamMembers({ enabled: open });
+  const form = useForm({
+    resolver: zodResolver(taskFormSchema),
+    defaultValues: taskToFormValues(task),
+  });
+  const { isSubmitting } = form.formState;
+
+  const assigneeOptions = useMemo(() => {
+    const assignee = task.assignee_info;
+    if (!assignee?.id || members.some((member) => String(member.id) === String(assignee.id))) return members;
+    return [assignee, ...members];
+  }, [members, task.assignee_info]);
+
+  const handleSubmit = async (values) => {
+    setFormError('');
+    const changes = diffTaskPayload(task, values);
+    if (!Object.keys(changes).length) {
+      onOpenChange(false);
+      return;
+    }
+
+    try {
+      await onSave(changes);
+      onOpenChange(false);
+    } catch (requestError) {
+      const { message, errors } = apiUtils.handleError(requestError);
+      if (!applyServerFieldErrors(form.setError, errors)) setFormError(message);
+    }
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={(nextOpen) => !isSubmitting && onOpenChange(nextOpen)}>
+      <SheetContent className="w-full overflow-y-auto sm:max-w-lg">
+        <SheetHeader>
+          <SheetTitle>Edit task</SheetTitle>
+          <SheetDescription>Only the fields you change are sent to the server.</SheetDescription>
+        </SheetHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="flex flex-1 flex-col" noValidate>
+            <div className="px-4">
+              <TaskFormFields control={form.control} members={assigneeOptions} disabled={isSubmitting} />
+              {formError && (
+                <Alert variant="destructive" role="alert" className="mt-4">
+                  <AlertDescription>{formError}</AlertDescription>
+                </Alert>
+              )}
+            </div>
+
+            <SheetFooter className="sm:flex-row sm:justify-end">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmitting || !form.formState.isDirty}>
+                {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Save className="mr-2 h-4 w-4" aria-hidden="true" />}
+                {isSubmitting ? 'Saving…' : 'Save changes'}
+              </Button>
+            </SheetFooter>
+          </form>
+        </Form>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default TaskEditSheet;
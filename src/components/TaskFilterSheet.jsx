@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { CalendarIcon, SlidersHorizontal } from 'lucide-react';
+
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Calendar } from './ui/calendar';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+  SheetTrigger,
+} from './ui/sheet';
+import { Switch } from './ui/switch';
+import { apiUtils } from '../services/api';
+import { TASK_PRIORITIES } from '../lib/task-form';
+import { DEFAULT_TASK_VIEW, TASK_STATUSES, fromDayParam, toDayParam } from '../lib/task-query';
+
+const STATUS_LABELS = { pending: 'Pending', in_progress: 'In progress', completed: 'Completed' };
+const ANY = 'any';
+
+function formatDay(value) {
+  return value ? new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(fromDayParam(value)) : '…';
+}
+
+function criteriaFromView(view) {
+  return {
+    status: view.status,
+    priority: view.priority,
+    assignee: view.assignee,
+    creator: view.creator,
+    source: view.source,
+    overdue: view.overdue,
+    dueFrom: view.dueFrom,
+    dueTo: view.dueTo,
+    hoursMin: view.hoursMin,
+    hoursMax: view.hoursMax,
+  };
+}
+
+const CheckboxGroup = ({ legend, options, values, onChange }) => (
+  <fieldset className="grid gap-2">
+    <legend className="mb-1 text-sm font-medium text-gray-900">{legend}</legend>
+    {options.map((option) => {
+      const id = `filter-${legend}-${option.value}`.replace(/\s+/g, '-').toLowerCase();
+      return (
+        <div key={option.value} className="flex items-center gap-2">
+          <Checkbox
+            id={id}
+            checked={values.includes(option.value)}
+            onCheckedChange={(checked) => onChange(checked
+              ? [...values, option.value]
+              : values.filter((value) => value !== option.value))}
+          />
+          <Label htmlFor={id} className="font-normal">{option.label}</Label>
+        </div>
+      );
+    })}
+  </fieldset>
+);
+
+const TaskFilterSheet = ({ view, members, activeCount, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => criteriaFromView(view));
+  const [error, setError] = useState('');
+
+  const change = (changes) => {
+    setError('');
+    setDraft((current) => ({ ...current, ...changes }));
+  };
+
+  const handleOpenChange = (nextOpen) => {
+    if (nextOpen) {
+      setDraft(criteriaFromView(view));
+      setError('');
+    }
+    setOpen(nextOpen);
+  };
+
+  const handleApply = (event) => {
+    event.preventDefault();
+    if (draft.hoursMin !== '' && draft.hoursMax !== '' && Number(draft.hoursMin) > Number(draft.hoursMax)) {
+      setError('The minimum estimate cannot be larger than the maximum.');
+      return;
+    }
+    onApply(draft);
+    setOpen(false);
+  };
+
+  const personOptions = members.map((member) => ({ value: String(member.id), label: member.full_name || member.username }));
+  const dueRange = { from: fromDayParam(draft.dueFrom), to: fromDayParam(draft.dueTo) };
+  const dueRangeLabel = draft.dueFrom || draft.dueTo
+    ? `${formatDay(draft.dueFrom)} – ${formatDay(draft.dueTo)}`
+    : 'Any due date';
+
+  return (
+    <Sheet open={open} onOpenChange={handleOpenChange}>
+      <SheetTrigger asChild>
+        <Button type="button" variant="outline" size="sm">
+          <SlidersHorizontal className="mr-2 h-4 w-4" aria-hidden="true" /> Filters
+          {activeCount > 0 && <Badge className="ml-2 h-5 min-w-5 px-1.5">{activeCount}</Badge>}
+        </Button>
+      </SheetTrigger>
+      <SheetContent className="w-full overflow-y-auto sm:max-w-md">
+        <SheetHeader>
+          <SheetTitle>Filter tasks</SheetTitle>
+          <SheetDescription>Tasks must match every criterion you set. Within a group, any checked value matches.</SheetDescription>
+        </SheetHeader>
+        <form onSubmit={handleApply} className="grid gap-6 px-4" noValidate>
+          <div className="grid grid-cols-2 gap-4">
+            <CheckboxGroup
+              legend="Status"
+              options={TASK_STATUSES.map((status) => ({ value: status, label: STATUS_LABELS[status] }))}
+              values={draft.status}
+              onChange={(status) => change({ status })}
+            />
+            <CheckboxGroup
+              legend="Priority"
+              options={TASK_PRIORITIES.map((priority) => ({ value: priority, label: `${apiUtils.getPriorityEmoji(priority)} ${priority}` }))}
+              values={draft.priority}
+              onChange={(priority) => change({ priority })}
+            />
+          </div>
+
+          <div className="max-h-48 overflow-y-auto">
+            <CheckboxGroup
+              legend="Assignee"
+              options={[{ value: 'me', label: 'Me' }, ...personOptions]}
+              values={draft.assignee}
+              onChange={(assignee) => change({ assignee })}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="filter-creator">Created by</Label>
+              <Select value={draft.creator || ANY} onValueChange={(creator) => change({ creator: creator === ANY ? '' : creator })}>
+                <SelectTrigger id="filter-creator" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Anyone</SelectItem>
+                  <SelectItem value="me">Me</SelectItem>
+                  {personOptions.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="filter-source">Source</Label>
+              <Select value={draft.source || ANY} onValueChange={(source) => change({ source: source === ANY ? '' : source })}>
+                <SelectTrigger id="filter-source" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Any source</SelectItem>
+                  <SelectItem value="ai">AI generated</SelectItem>
+                  <SelectItem value="manual">Created manually</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <fieldset className="grid gap-2">
+            <legend className="mb-1 text-sm font-medium text-gray-900">Due date</legend>
+            <div className="flex gap-2">
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button type="button" variant="outline" className="flex-1 justify-start font-normal">
+                    <CalendarIcon className="mr-2 h-4 w-4" aria-hidden="true" /> {dueRangeLabel}
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="range"
+                    selected={dueRange}
+                    onSelect={(range) => change({ dueFrom: toDayParam(range?.from), dueTo: toDayParam(range?.to) })}
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+              {(draft.dueFrom || draft.dueTo) && (
+                <Button type="button" variant="ghost" onClick={() => change({ dueFrom: '', dueTo: '' })}>Clear</Button>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch id="filter-overdue" checked={draft.overdue} onCheckedChange={(overdue) => change({ overdue })} />
+              <Label htmlFor="filter-overdue" className="font-normal">Only overdue tasks</Label>
+            </div>
+          </fieldset>
+
+          <fieldset className="grid gap-2">
+            <legend className="mb-1 text-sm font-medium text-gray-900">Estimated hours</legend>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min="0"
+                step="0.5"
+                inputMode="decimal"
+                placeholder="Min"
+                aria-label="Minimum estimated hours"
+                value={draft.hoursMin}
+                onChange={(event) => change({ hoursMin: event.target.value })}
+                aria-invalid={Boolean(error)}
+              />
+              <span className="text-gray-400" aria-hidden="true">–</span>
+              <Input
+                type="number"
+                min="0"
+                step="0.5"
+                inputMode="decimal"
+                placeholder="Max"
+                aria-label="Maximum estimated hours"
+                value={draft.hoursMax}
+                onChange={(event) => change({ hoursMax: event.target.value })}
+                aria-invalid={Boolean(error)}
+              />
+            </div>
+            {error && <p className="text-sm text-destructive" role="alert">{error}</p>}
+          </fieldset>
+
+          <SheetFooter className="px-0 sm:flex-row sm:justify-end">
+            <Button type="button" variant="outline" onClick={() => change(criteriaFromView(DEFAULT_TASK_VIEW))}>Reset</Button>
+            <Button type="submit">Apply filters</Button>
+          </SheetFooter>
+        </form>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default TaskFilterSheet;
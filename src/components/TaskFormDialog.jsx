@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Loader2, Plus } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import { Button } from './ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { Form } from './ui/form';
+import TaskFormFields from './TaskFormFields';
+import { useTeamMembers } from '../hooks/use-team-members';
+import { apiUtils } from '../services/api';
+import { applyServerFieldErrors, createEmptyTaskForm, taskFormSchema, taskToFormValues, toTaskPayload } from '../lib/task-form';
+
+const TaskFormDialog = ({ open, onOpenChange, onCreate, initialTask = null }) => {
+  const [formError, setFormError] = useState('');
+  const { members } = useTeamMembers({ enabled: open });
+  const form = useForm({
+    resolver: zodResolver(taskFormSchema),
+    defaultValues: createEmptyTaskForm(),
+  });
+  const { isSubmitting } = form.formState;
+
+  useEffect(() => {
+    if (open) {
+      form.reset(initialTask ? taskToFormValues(initialTask) : createEmptyTaskForm());
+      setFormError('');
+    }
+  }, [form, initialTask, open]);
+
+  const handleSubmit = async (values) => {
+    setFormError('');
+    try {
+      await onCreate(toTaskPayload(values));
+      onOpenChange(false);
+    } catch (requestError) {
+      const { message, errors } = apiUtils.handleError(requestError);
+      if (!applyServerFieldErrors(form.setError, errors)) setFormError(message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(nextOpen) => !isSubmitting && onOpenChange(nextOpen)}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>New task</DialogTitle>
+          <DialogDescription>Describe the work, then set its priority, schedule and owner.</DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSubmit)} className="grid gap-6" noValidate>
+            <TaskFormFields control={form.control} members={members} disabled={isSubmitting} />
+
+            {formError && (
+              <Alert variant="destructive" role="alert">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmitting}>
+                {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Plus className="mr-2 h-4 w-4" aria-hidden="true" />}
+                {isSubmitting ? 'Creating…' : 'Create task'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TaskFormDialog;
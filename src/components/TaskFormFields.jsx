@@ -0,0 +1,162 @@
+import { CalendarIcon, X } from 'lucide-react';
+
+import { Button } from './ui/button';
+import { Calendar } from './ui/calendar';
+import { FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Textarea } from './ui/textarea';
+import AssigneeSuggestions from './AssigneeSuggestions';
+import { apiUtils } from '../services/api';
+import { TASK_PRIORITIES, UNASSIGNED } from '../lib/task-form';
+
+function formatDueDate(date) {
+  return new Intl.DateTimeFormat(undefined, { dateStyle: 'medium' }).format(date);
+}
+
+const TaskFormFields = ({ control, members = [], disabled = false }) => (
+  <div className="grid gap-4">
+    <FormField
+      control={control}
+      name="title"
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel>Title</FormLabel>
+          <FormControl>
+            <Input {...field} placeholder="What needs to be done?" disabled={disabled} autoFocus />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+
+    <FormField
+      control={control}
+      name="description"
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel>Description</FormLabel>
+          <FormControl>
+            <Textarea {...field} rows={4} placeholder="Context, acceptance criteria, links…" disabled={disabled} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+
+    <div className="grid gap-4 sm:grid-cols-2">
+      <FormField
+        control={control}
+        name="priority"
+        render={({ field }) => (
+          <FormItem>
+            <FormLabel>Priority</FormLabel>
+            <Select value={field.value} onValueChange={field.onChange} disabled={disabled}>
+              <FormControl>
+                <SelectTrigger className="w-full">
+                  <SelectValue placeholder="Choose a priority" />
+                </SelectTrigger>
+              </FormControl>
+              <SelectContent>
+                {TASK_PRIORITIES.map((priority) => (
+                  <SelectItem key={priority} value={priority} className="capitalize">
+                    {apiUtils.getPriorityEmoji(priority)} {priority}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+
+      <FormField
+        control={control}
+        name="estimated_hours"
+        render={({ field }) => (
+          <FormItem>
+            <FormLabel>Estimated hours</FormLabel>
+            <FormControl>
+              <Input {...field} type="number" inputMode="decimal" min="0" step="0.5" placeholder="e.g. 4" disabled={disabled} />
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+
+      <FormField
+        control={control}
+        name="due_date"
+        render={({ field }) => (
+          <FormItem>
+            <FormLabel>Due date</FormLabel>
+            <div className="flex gap-2">
+              <Popover>
+                <PopoverTrigger asChild>
+                  <FormControl>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className={`flex-1 justify-start font-normal ${field.value ? '' : 'text-muted-foreground'}`}
+                      disabled={disabled}
+                    >
+                      <CalendarIcon className="mr-2 h-4 w-4" aria-hidden="true" />
+                      {field.value ? formatDueDate(field.value) : 'No due date'}
+                    </Button>
+                  </FormControl>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar mode="single" selected={field.value || undefined} onSelect={(date) => field.onChange(date || null)} initialFocus />
+                </PopoverContent>
+              </Popover>
+              {field.value && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => field.onChange(null)}
+                  disabled={disabled}
+                  aria-label="Clear due date"
+                >
+                  <X className="h-4 w-4" aria-hidden="true" />
+                </Button>
+              )}
+            </div>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+
+      <FormField
+        control={control}
+        name="assigned_to"
+        render={({ field }) => (
+          <FormItem>
+            <FormLabel>Assignee</FormLabel>
+            <Select value={field.value} onValueChange={field.onChange} disabled={disabled}>
+              <FormControl>
+                <SelectTrigger className="w-full">
+                  <SelectValue placeholder="Unassigned" />
+                </SelectTrigger>
+              </FormControl>
+              <SelectContent>
+                <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                {members.map((member) => (
+                  <SelectItem key={member.id} value={String(member.id)}>
+                    {member.full_name || member.username}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <FormMessage />
+          </FormItem>
+        )}
+      />
+    </div>
+
+    <AssigneeSuggestions members={members} disabled={disabled} />
+  </div>
+);
+
+export default TaskFormFields;
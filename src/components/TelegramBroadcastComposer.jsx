@@ -0,0 +1,250 @@
+import { useState } from 'react';
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, CheckCircle2, Loader2, Megaphone, RotateCcw, Send, Trash2 } from 'lucide-react';
+
+import { Alert, AlertDescription } from './ui/alert';
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/alert-dialog';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from './ui/form';
+import { Input } from './ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { Textarea } from './ui/textarea';
+import { apiUtils, telegramAPI } from '../services/api';
+import {
+  BROADCAST_EMOJIS,
+  BROADCAST_WARNING_RATIO,
+  TELEGRAM_MESSAGE_LIMIT,
+  broadcastHistoryStore,
+  broadcastLength,
+  broadcastSchema,
+  createEmptyBroadcast,
+} from '../lib/telegram-broadcast';
+
+const EmojiPicker = ({ value, onChange, disabled }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button type="button" variant="outline" className="w-16 text-lg" disabled={disabled} aria-label={`Emoji: ${value}`}>
+          {value}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-2" align="start">
+        <div className="grid grid-cols-6 gap-1" role="listbox" aria-label="Emoji">
+          {BROADCAST_EMOJIS.map((emoji) => (
+            <Button
+              key={emoji}
+              type="button"
+              variant={emoji === value ? 'secondary' : 'ghost'}
+              size="icon"
+              className="text-lg"
+              role="option"
+              aria-selected={emoji === value}
+              onClick={() => {
+                onChange(emoji);
+                setOpen(false);
+              }}
+            >
+              {emoji}
+            </Button>
+          ))}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+const BroadcastPreview = ({ title, emoji, message }) => (
+  <div className="rounded-lg bg-sky-50 p-4">
+    <div className="max-w-full rounded-2xl rounded-bl-sm bg-white p-3 text-sm shadow-sm">
+      <p className="break-words font-semibold text-gray-900">{emoji} {title.trim() || <span className="text-gray-400">Title</span>}</p>
+      <p className="mt-2 break-words whitespace-pre-wrap text-gray-800">{message.trim() || <span className="text-gray-400">Your message appears here.</span>}</p>
+    </div>
+  </div>
+);
+
+const TelegramBroadcastComposer = ({ user }) => {
+  const [history, setHistory] = useState(() => broadcastHistoryStore.list());
+  const [pending, setPending] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const form = useForm({
+    resolver: zodResolver(broadcastSchema),
+    defaultValues: createEmptyBroadcast(),
+  });
+  const [title, emoji, message] = useWatch({ control: form.control, name: ['title', 'emoji', 'message'] });
+  const length = broadcastLength({ title, emoji, message });
+  const counterTone = length > TELEGRAM_MESSAGE_LIMIT
+    ? 'text-destructive'
+    : length > TELEGRAM_MESSAGE_LIMIT * BROADCAST_WARNING_RATIO ? 'text-amber-700' : 'text-gray-500';
+
+  const confirmSend = (values) => {
+    setSendError('');
+    setSentMessage('');
+    setPending(values);
+  };
+
+  const send = async () => {
+    setSending(true);
+    try {
+      const response = await telegramAPI.sendMessage(pending.message.trim(), pending.title.trim(), pending.emoji);
+      if (response.status !== 'success') throw new Error(response.message || 'The message could not be sent.');
+      setHistory(broadcastHistoryStore.add(pending, user?.full_name || user?.username || null));
+      setSentMessage(`“${pending.title.trim()}” was sent to Telegram.`);
+      form.reset(createEmptyBroadcast());
+    } catch (requestError) {
+      setSendError(apiUtils.handleError(requestError).message);
+    } finally {
+      setSending(false);
+      setPending(null);
+    }
+  };
+
+  const reuse = (entry) => {
+    form.reset({ title: entry.title, emoji: entry.emoji || BROADCAST_EMOJIS[0], message: entry.message });
+    setSentMessage('');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Megaphone className="h-5 w-5 text-purple-600" aria-hidden="true" /> Broadcast
+        </CardTitle>
+        <CardDescription>Send an announcement to the configured Telegram chat.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(confirmSend)} className="grid gap-4 lg:grid-cols-2" noValidate>
+            <div className="grid content-start gap-4">
+              <div className="flex items-start gap-2">
+                <FormField
+                  control={form.control}
+                  name="emoji"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Emoji</FormLabel>
+                      <EmojiPicker value={field.value} onChange={field.onChange} disabled={sending} />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="title"
+                  render={({ field }) => (
+                    <FormItem className="flex-1">
+                      <FormLabel>Title</FormLabel>
+                      <FormControl><Input {...field} placeholder="e.g. Release freeze on Friday" disabled={sending} /></FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+              <FormField
+                control={form.control}
+                name="message"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Message</FormLabel>
+                    <FormControl><Textarea {...field} rows={8} disabled={sending} /></FormControl>
+                    <p className={`text-right text-xs tabular-nums ${counterTone}`} aria-live="polite">
+                      {length.toLocaleString()} / {TELEGRAM_MESSAGE_LIMIT.toLocaleString()} characters
+                    </p>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <div className="flex justify-end">
+                <Button type="submit" disabled={sending}>
+                  {sending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Send className="mr-2 h-4 w-4" aria-hidden="true" />}
+                  {sending ? 'Sending…' : 'Send…'}
+                </Button>
+              </div>
+            </div>
+            <div className="grid content-start gap-2">
+              <span className="text-sm font-medium text-gray-900">Preview</span>
+              <BroadcastPreview title={title} emoji={emoji} message={message} />
+            </div>
+          </form>
+        </Form>
+
+        {sendError && (
+          <Alert variant="destructive" role="alert">
+            <AlertCircle className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription>{sendError}</AlertDescription>
+          </Alert>
+        )}
+        {sentMessage && (
+          <Alert className="border-green-200 bg-green-50 text-green-800" role="status">
+            <CheckCircle2 className="h-4 w-4" aria-hidden="true" />
+            <AlertDescription className="text-green-800">{sentMessage}</AlertDescription>
+          </Alert>
+        )}
+
+        <section className="space-y-2">
+          <h3 className="text-sm font-medium text-gray-900">Sent from this browser</h3>
+          {history.length ? (
+            <ul className="divide-y rounded-lg border">
+              {history.map((entry) => (
+                <li key={entry.id} className="flex items-start gap-3 p-3 text-sm">
+                  <div className="min-w-0 flex-1">
+                    <p className="break-words font-medium text-gray-900">{entry.emoji} {entry.title}</p>
+                    <p className="line-clamp-2 break-words text-gray-600">{entry.message}</p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {apiUtils.formatDate(entry.sentAt)}{entry.sentBy && ` by ${entry.sentBy}`}
+                    </p>
+                  </div>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => reuse(entry)} aria-label={`Reuse ${entry.title}`}>
+                    <RotateCcw className="h-4 w-4" aria-hidden="true" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    className="text-gray-500 hover:bg-red-50 hover:text-red-700"
+                    onClick={() => setHistory(broadcastHistoryStore.remove(entry.id))}
+                    aria-label={`Remove ${entry.title} from history`}
+                  >
+                    <Trash2 className="h-4 w-4" aria-hidden="true" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No broadcasts have been sent from this browser yet.</p>
+          )}
+        </section>
+      </CardContent>
+
+      <AlertDialog open={Boolean(pending)} onOpenChange={(nextOpen) => !nextOpen && !sending && setPending(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Send this broadcast?</AlertDialogTitle>
+            <AlertDialogDescription>Everyone in the configured Telegram chat will receive it. Telegram messages cannot be recalled from here.</AlertDialogDescription>
+          </AlertDialogHeader>
+          {pending && <BroadcastPreview {...pending} />}
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={sending}>Cancel</AlertDialogCancel>
+            <Button type="button" onClick={send} disabled={sending}>
+              {sending && <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" />}
+              {sending ? 'Sending…' : 'Send now'}
+            </Button>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default TelegramBroadcastComposer;
@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle2, Loader2, RotateCw, Send, XCircle } from 'lucide-react';
+
+import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import AppHeader from './AppHeader';
+import ReportSchedules from './ReportSchedules';
+import TelegramBroadcastComposer from './TelegramBroadcastComposer';
+import { apiUtils, telegramAPI } from '../services/api';
+import {
+  TELEGRAM_STATES,
+  normalizeTelegramStatus,
+  normalizeTelegramTest,
+  telegramFailureGuidance,
+} from '../lib/telegram';
+
+const FLAG_LABELS = { true: 'Set', false: 'Missing', null: 'Not reported' };
+
+const Guidance = ({ failure }) => {
+  const { summary, steps } = telegramFailureGuidance(failure);
+  return (
+    <div className="mt-2 space-y-1 text-sm">
+      <p className="font-medium">{summary}</p>
+      <ul className="list-disc space-y-1 pl-5">
+        {steps.map((step) => <li key={step}>{step}</li>)}
+      </ul>
+    </div>
+  );
+};
+
+const FailureAlert = ({ title, failure }) => (
+  <Alert variant="destructive" role="alert">
+    <XCircle className="h-4 w-4" aria-hidden="true" />
+    <AlertTitle>{title}</AlertTitle>
+    <AlertDescription>
+      <p className="break-words">{failure.message}</p>
+      <Guidance failure={failure} />
+    </AlertDescription>
+  </Alert>
+);
+
+const StatusRow = ({ label, children }) => (
+  <div className="flex items-start justify-between gap-4 py-2 text-sm">
+    <dt className="text-gray-600">{label}</dt>
+    <dd className="min-w-0 text-right break-words font-medium text-gray-900">{children}</dd>
+  </div>
+);
+
+const TelegramSettings = () => {
+  const [user] = useState(() => apiUtils.getCurrentUser());
+  const [status, setStatus] = useState(null);
+  const [checkedAt, setCheckedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [statusFailure, setStatusFailure] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await telegramAPI.getStatus();
+      if (response.status === 'success') {
+        setStatus(normalizeTelegramStatus(response));
+        setStatusFailure(null);
+      } else {
+        setStatusFailure({ message: response.message || 'Telegram status is unavailable.' });
+      }
+    } catch (requestError) {
+      setStatusFailure(apiUtils.handleError(requestError));
+    } finally {
+      setCheckedAt(new Date());
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const testConnection = async () => {
+    setTesting(true);
+    setTestResult(null);
+    try {
+      const result = normalizeTelegramTest(await telegramAPI.testConnection());
+      setTestResult({ ...result, failure: result.passed ? null : { message: result.message }, ranAt: new Date() });
+    } catch (requestError) {
+      const failure = apiUtils.handleError(requestError);
+      setTestResult({ passed: false, message: failure.message, failure, ranAt: new Date() });
+    } finally {
+      setTesting(false);
+      loadStatus();
+    }
+  };
+
+  const state = status?.state ?? (statusFailure ? 'error' : 'unknown');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader user={user} subtitle="Telegram integration">
+        <Button variant="outline" size="sm" onClick={loadStatus} disabled={loading}>
+          <RotateCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} aria-hidden="true" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </AppHeader>
+
+      <main className="mx-auto max-w-5xl space-y-6 px-4 py-8 sm:px-6 lg:px-8">
+        <section>
+          <div className="flex items-center gap-3">
+            <h2 className="text-2xl font-bold tracking-tight text-gray-950">Telegram</h2>
+            <Badge variant="outline" className={TELEGRAM_STATES[state].className}>{TELEGRAM_STATES[state].label}</Badge>
+          </div>
+          <p className="mt-2 text-sm text-gray-600" aria-live="polite">
+            The backend bot posts task notifications, broadcasts and performance reports to a Telegram chat.{' '}
+            {checkedAt ? `Last checked ${apiUtils.formatDate(checkedAt)}.` : 'Checking the connection…'}
+          </p>
+        </section>
+
+        {statusFailure && <FailureAlert title="Could not load the Telegram status" failure={statusFailure} />}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Connection</CardTitle>
+            <CardDescription>As reported by the backend. Secrets are never sent to the browser.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {status ? (
+              <>
+                <dl className="divide-y">
+                  <StatusRow label="Bot token">{FLAG_LABELS[status.botTokenSet]}</StatusRow>
+                  <StatusRow label="Chat ID">{status.chatId || FLAG_LABELS[status.chatIdSet]}</StatusRow>
+                  <StatusRow label="Bot">{status.botUsername || 'Not reported'}</StatusRow>
+                </dl>
+                {status.lastError && (
+                  <div className="mt-4">
+                    <FailureAlert title="Last error reported by the backend" failure={{ message: status.lastError }} />
+                  </div>
+                )}
+                {status.state === 'not_configured' && !status.lastError && (
+                  <Alert className="mt-4">
+                    <AlertCircle className="h-4 w-4" aria-hidden="true" />
+                    <AlertTitle>Finish the setup on the backend</AlertTitle>
+                    <AlertDescription>
+                      <Guidance failure={{ status: 400 }} />
+                    </AlertDescription>
+                  </Alert>
+                )}
+              </>
+            ) : (
+              <p className="py-6 text-center text-sm text-gray-500">
+                {loading ? 'Loading the Telegram status…' : 'The Telegram status is unavailable.'}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex-row items-start justify-between gap-4">
+            <div>
+              <CardTitle>Test connection</CardTitle>
+              <CardDescription className="mt-1.5">Asks the backend to send a test message to the configured chat.</CardDescription>
+            </div>
+            <Button type="button" onClick={testConnection} disabled={testing}>
+              {testing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" aria-hidden="true" /> : <Send className="mr-2 h-4 w-4" aria-hidden="true" />}
+              {testing ? 'Testing…' : 'Send test message'}
+            </Button>
+          </CardHeader>
+          <CardContent aria-live="polite">
+            {testResult ? (
+              <div className="space-y-2">
+                <p className="text-xs text-gray-500">Ran {apiUtils.formatDate(testResult.ranAt)}</p>
+                {testResult.passed ? (
+                  <Alert className="border-green-200 bg-green-50 text-green-800">
+                    <CheckCircle2 className="h-4 w-4" aria-hidden="true" />
+                    <AlertTitle>Test message sent</AlertTitle>
+                    <AlertDescription className="text-green-800">
+                      <p className="break-words">{testResult.message}</p>
+                      <p>Check the Telegram chat to confirm it arrived.</p>
+                    </AlertDescription>
+                  </Alert>
+                ) : (
+                  <FailureAlert title="The test failed" failure={testResult.failure} />
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No test has been run in this session.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        <ReportSchedules />
+
+        <TelegramBroadcastComposer user={user} />
+      </main>
+    </div>
+  );
+};
+
+export default TelegramSettings;
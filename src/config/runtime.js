@@ -1,4 +1,7 @@
 const LOCAL_API_URL = 'http://localhost:5000/api';
+const DEFAULT_AI_TIMEOUT_MS = 120_000;
+const MIN_AI_TIMEOUT_MS = 5_000;
+const MAX_AI_TIMEOUT_MS = 600_000;
 
 function trimTrailingSlashes(value) {
   return value.replace(/\/+$/, '');
@@ -51,15 +54,48 @@ export function resolveApiBaseUrl(env = {}, locationLike = {}) {
   return LOCAL_API_URL;
 }
 
+// AI generations routinely outlast the 15-second default used for ordinary API calls.
+export const AI_ENDPOINTS = ['generate_tasks', 'analyze_performance', 'suggest_assignment', 'chat_message', 'test_services'];
+
+function parseAiTimeout(value, fallback) {
+  const timeout = Number(value);
+  if (!Number.isInteger(timeout) || timeout < MIN_AI_TIMEOUT_MS || timeout > MAX_AI_TIMEOUT_MS) return fallback;
+  return timeout;
+}
+
+// VITE_AI_TIMEOUT_MS sets the default; VITE_AI_TIMEOUT_<ENDPOINT>_MS overrides one endpoint.
+export function resolveAiTimeout(env = {}, endpoint = null) {
+  const fallback = parseAiTimeout(env.VITE_AI_TIMEOUT_MS, DEFAULT_AI_TIMEOUT_MS);
+  return endpoint ? parseAiTimeout(env[`VITE_AI_TIMEOUT_${endpoint.toUpperCase()}_MS`], fallback) : fallback;
+}
+
+export function resolveAiTimeouts(env = {}) {
+  return Object.fromEntries([
+    ['default', resolveAiTimeout(env)],
+    ...AI_ENDPOINTS.map((endpoint) => [endpoint, resolveAiTimeout(env, endpoint)]),
+  ]);
+}
+
+// Open sign-up stays off unless a deployment opts in; accounts otherwise come from an administrator.
+export function resolveRegistrationEnabled(env = {}) {
+  return ['true', '1', 'yes', 'on'].includes(String(env.VITE_ENABLE_REGISTRATION ?? '').trim().toLowerCase());
+}
+
 export function createRuntimeConfig(env = {}, locationLike = {}) {
+  const aiTimeouts = resolveAiTimeouts(env);
+  const registrationEnabled = resolveRegistrationEnabled(env);
   try {
     return {
       apiBaseUrl: resolveApiBaseUrl(env, locationLike),
+      aiTimeouts,
+      registrationEnabled,
       configurationError: null,
     };
   } catch (error) {
     return {
       apiBaseUrl: LOCAL_API_URL,
+      aiTimeouts,
+      registrationEnabled,
       configurationError: error instanceof Error ? error.message : 'Invalid API configuration.',
     };
   }
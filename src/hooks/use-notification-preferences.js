@@ -0,0 +1,14 @@
+import { useCallback, useState } from 'react';
+
+import { notificationPreferenceStore } from '../lib/task-notifications';
+
+export function useNotificationPreferences(userId) {
+  const [stored, setStored] = useState(() => ({ userId, preferences: notificationPreferenceStore.get(userId) }));
+  const preferences = stored.userId === userId ? stored.preferences : notificationPreferenceStore.get(userId);
+
+  const setPreference = useCallback((kind, enabled) => {
+    setStored({ userId, preferences: notificationPreferenceStore.set(userId, { ...preferences, [kind]: enabled }) });
+  }, [preferences, userId]);
+
+  return { preferences, setPreference };
+}
@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { apiUtils, promptTemplatesAPI } from '../services/api';
+import { localTemplateStore, normalizePromptTemplate, normalizePromptTemplates } from '../lib/prompt-templates';
+
+export function usePromptTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [mode, setMode] = useState('loading');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    promptTemplatesAPI.list()
+      .then((response) => {
+        if (!active) return;
+        setTemplates(normalizePromptTemplates(response.templates));
+        setMode('remote');
+      })
+      .catch((requestError) => {
+        if (!active) return;
+        if (apiUtils.isUnsupportedEndpoint(requestError)) {
+          setTemplates(localTemplateStore.list());
+          setMode('local');
+        } else {
+          setError(apiUtils.handleError(requestError).message);
+          setMode('remote');
+        }
+      });
+    return () => { active = false; };
+  }, []);
+
+  const runRemote = useCallback(async (request) => {
+    setError('');
+    try {
+      const response = await request();
+      if (response.status && response.status !== 'success') throw new Error(response.message || 'The template could not be saved.');
+      return response;
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+      throw requestError;
+    }
+  }, []);
+
+  const createTemplate = useCallback(async (values) => {
+    if (mode === 'local') {
+      const created = localTemplateStore.create(values);
+      setTemplates((current) => [...current, created]);
+      return created;
+    }
+    const response = await runRemote(() => promptTemplatesAPI.create(values));
+    const created = normalizePromptTemplate(response.template);
+    if (created) setTemplates((current) => [...current, created]);
+    return created;
+  }, [mode, runRemote]);
+
+  const updateTemplate = useCallback(async (templateId, values) => {
+    if (mode === 'local') {
+      const updated = localTemplateStore.update(templateId, values);
+      if (updated) setTemplates((current) => current.map((template) => (template.id === templateId ? updated : template)));
+      return updated;
+    }
+    const response = await runRemote(() => promptTemplatesAPI.update(templateId, values));
+    const updated = normalizePromptTemplate(response.template);
+    if (updated) setTemplates((current) => current.map((template) => (template.id === templateId ? updated : template)));
+    return updated;
+  }, [mode, runRemote]);
+
+  const removeTemplate = useCallback(async (templateId) => {
+    if (mode === 'local') localTemplateStore.remove(templateId);
+    else await runRemote(() => promptTemplatesAPI.remove(templateId));
+    setTemplates((current) => current.filter((template) => template.id !== templateId));
+  }, [mode, runRemote]);
+
+  return { templates, mode, error, createTemplate, updateTemplate, removeTemplate };
+}
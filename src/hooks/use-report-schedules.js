@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { apiUtils } from '../services/api';
+import { SCHEDULES_CHANGED_EVENT, listReportSchedules } from '../services/report-schedules';
+
+export function useReportSchedules() {
+  const [schedules, setSchedules] = useState([]);
+  const [mode, setMode] = useState('loading');
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      const result = await listReportSchedules();
+      setSchedules(result.schedules);
+      setMode(result.mode);
+      setError('');
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+      setMode((current) => (current === 'loading' ? 'remote' : current));
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+    // The scheduler and other components change schedules too.
+    window.addEventListener(SCHEDULES_CHANGED_EVENT, reload);
+    return () => window.removeEventListener(SCHEDULES_CHANGED_EVENT, reload);
+  }, [reload]);
+
+  return { schedules, mode, error, reload };
+}
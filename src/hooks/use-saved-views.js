@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { apiUtils, savedViewsAPI } from '../services/api';
+import { localViewStore, normalizeSavedView, normalizeSavedViews } from '../lib/saved-views';
+
+export function useSavedViews(userId) {
+  const [views, setViews] = useState([]);
+  const [mode, setMode] = useState('loading');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    savedViewsAPI.list()
+      .then((response) => {
+        if (!active) return;
+        setViews(normalizeSavedViews(response.views));
+        setMode('remote');
+      })
+      .catch((requestError) => {
+        if (!active) return;
+        if (apiUtils.isUnsupportedEndpoint(requestError)) {
+          setViews(localViewStore.list(userId));
+          setMode('local');
+        } else {
+          setError(apiUtils.handleError(requestError).message);
+          setMode('remote');
+        }
+      });
+    return () => { active = false; };
+  }, [userId]);
+
+  const runRemote = useCallback(async (request) => {
+    setError('');
+    try {
+      const response = await request();
+      if (response.status && response.status !== 'success') throw new Error(response.message || 'The view could not be saved.');
+      return response;
+    } catch (requestError) {
+      setError(apiUtils.handleError(requestError).message);
+      throw requestError;
+    }
+  }, []);
+
+  const createView = useCallback(async (view) => {
+    if (mode === 'local') {
+      const created = localViewStore.create(userId, view);
+      setViews((current) => [...current, created]);
+      return created;
+    }
+    const response = await runRemote(() => savedViewsAPI.create(view));
+    const created = normalizeSavedView(response.view);
+    if (created) setViews((current) => [...current, created]);
+    return created;
+  }, [mode, runRemote, userId]);
+
+  const updateView = useCallback(async (viewId, changes) => {
+    if (mode === 'local') {
+      const updated = localViewStore.update(userId, viewId, changes);
+      if (updated) setViews((current) => current.map((view) => (view.id === viewId ? updated : view)));
+      return updated;
+    }
+    const response = await runRemote(() => savedViewsAPI.update(viewId, changes));
+    const updated = normalizeSavedView(response.view);
+    if (updated) setViews((current) => current.map((view) => (view.id === viewId ? updated : view)));
+    return updated;
+  }, [mode, runRemote, userId]);
+
+  const removeView = useCallback(async (viewId) => {
+    if (mode === 'local') localViewStore.remove(userId, viewId);
+    else await runRemote(() => savedViewsAPI.remove(viewId));
+    setViews((current) => current.filter((view) => view.id !== viewId));
+  }, [mode, runRemote, userId]);
+
+  return { views, mode, error, createView, updateView, removeView };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+
+import { apiUtils, authAPI } from '../services/api';
+
+export function useTeamMembers({ enabled = true } = {}) {
+  const [members, setMembers] = useState(() => {
+    const currentUser = apiUtils.getCurrentUser();
+    return currentUser ? [currentUser] : [];
+  });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let active = true;
+    setLoading(true);
+    authAPI.getUsers({ per_page: 100 })
+      .then((response) => {
+        if (active && response.status === 'success' && Array.isArray(response.users)) {
+          setMembers(response.users);
+        }
+      })
+      .catch(() => {
+        // Non-admin accounts may not list users; keep the current user as the only option.
+      })
+      .finally(() => active && setLoading(false));
+    return () => { active = false; };
+  }, [enabled]);
+
+  return { members, loading };
+}
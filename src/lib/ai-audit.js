@@ -0,0 +1,111 @@
+// Large analyses are sent as a truncated preview so audit requests stay small.
+const MAX_PAYLOAD_CHARS = 20_000;
+
+export const AUDIT_OPERATIONS = {
+  generate_tasks: 'Generate tasks',
+  analyze_performance: 'Analyze performance',
+  suggest_assignment: 'Suggest assignment',
+};
+
+export const AUDIT_OUTCOMES = {
+  accepted: 'Accepted',
+  rejected: 'Not accepted',
+  pending: 'Awaiting review',
+  failed: 'Failed',
+};
+
+export function capPayload(value) {
+  if (value === undefined) return null;
+  let serialized;
+  try {
+    serialized = JSON.stringify(value);
+  } catch {
+    return { truncated: true, preview: String(value) };
+  }
+  if (serialized === undefined) return null;
+  return serialized.length > MAX_PAYLOAD_CHARS ? { truncated: true, preview: serialized.slice(0, MAX_PAYLOAD_CHARS) } : value;
+}
+
+export function createAuditEntry({ operation, user = null, input = null, output = null, error = null }, now = new Date()) {
+  if (!AUDIT_OPERATIONS[operation]) throw new Error(`Unknown AI operation: ${operation}`);
+  return {
+    operation,
+    userId: user?.id ?? null,
+    username: user?.full_name || user?.username || null,
+    createdAt: now.toISOString(),
+    input: capPayload(input),
+    output: error ? null : capPayload(output),
+    error: error || null,
+    accepted: null,
+    createdTaskIds: [],
+  };
+}
+
+export function normalizeAuditEntry(raw = {}) {
+  if (raw.id === undefined || raw.id === null || !AUDIT_OPERATIONS[raw.operation]) return null;
+  const createdTaskIds = raw.createdTaskIds ?? raw.created_task_ids ?? [];
+  return {
+    id: raw.id,
+    operation: raw.operation,
+    userId: raw.userId ?? raw.user_id ?? null,
+    username: raw.username ?? raw.user_name ?? null,
+    createdAt: raw.createdAt ?? raw.created_at ?? null,
+    input: raw.input ?? null,
+    output: raw.output ?? null,
+    error: raw.error || null,
+    accepted: typeof raw.accepted === 'boolean' ? raw.accepted : null,
+    createdTaskIds: Array.isArray(createdTaskIds) ? createdTaskIds : [],
+  };
+}
+
+export function normalizeAuditEntries(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeAuditEntry).filter(Boolean);
+}
+
+export function auditOutcome(entry) {
+  if (entry.error) return 'failed';
+  if (entry.accepted === true) return 'accepted';
+  if (entry.accepted === false) return 'rejected';
+  return 'pending';
+}
+
+// Only the change is sent; the backend keeps `accepted` once true and appends `created_task_id`.
+export function auditOutcomePayload({ accepted, createdTaskId } = {}) {
+  return {
+    ...(accepted === undefined ? {} : { accepted }),
+    ...(createdTaskId === undefined || createdTaskId === null ? {} : { created_task_id: createdTaskId }),
+  };
+}
+
+export function filterAuditEntries(entries, { operation = '', userId = '', outcome = '', taskId = '', entryId = '', search = '' } = {}) {
+  const needle = search.trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (entryId && String(entry.id) !== String(entryId)) return false;
+    if (operation && entry.operation !== operation) return false;
+    if (userId && String(entry.userId) !== String(userId)) return false;
+    if (outcome && auditOutcome(entry) !== outcome) return false;
+    if (taskId && !entry.createdTaskIds.some((id) => String(id) === String(taskId))) return false;
+    if (needle) {
+      const haystack = [entry.username, JSON.stringify(entry.input), JSON.stringify(entry.output), entry.error]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+}
+
+export function auditUsers(entries) {
+  const users = new Map();
+  entries.forEach((entry) => {
+    if (entry.userId !== null && !users.has(String(entry.userId))) {
+      users.set(String(entry.userId), entry.username || `User #${entry.userId}`);
+    }
+  });
+  return [...users].map(([id, label]) => ({ id, label }));
+}
+
+export function exportAuditEntries(entries, now = new Date()) {
+  return JSON.stringify({ exported_at: now.toISOString(), count: entries.length, entries }, null, 2);
+}
@@ -0,0 +1,80 @@
+const MAX_SUGGESTIONS = 5;
+
+export function buildAssignmentRequest(values) {
+  const hours = values.estimated_hours === '' ? null : Number(values.estimated_hours);
+  return {
+    title: values.title.trim(),
+    description: values.description.trim(),
+    priority: values.priority,
+    estimated_hours: Number.isFinite(hours) ? hours : null,
+  };
+}
+
+function readScore(raw) {
+  const score = Number(raw.score ?? raw.confidence ?? raw.match_score);
+  return Number.isFinite(score) ? score : null;
+}
+
+// Some responses report 0–1, others 0–100. Only a response whose every score fits 0–1 is scaled,
+// so a 0–100 score of 1 stays 1%.
+function toPercentages(suggestions) {
+  const scores = suggestions.map((suggestion) => suggestion.score).filter((score) => score !== null);
+  const factor = scores.length && scores.every((score) => score <= 1) ? 100 : 1;
+  return suggestions.map((suggestion) => ({
+    ...suggestion,
+    score: suggestion.score === null ? null : Math.round(suggestion.score * factor),
+  }));
+}
+
+function readCandidates(response) {
+  if (Array.isArray(response.suggestions)) return response.suggestions;
+  if (Array.isArray(response.candidates)) return response.candidates;
+  const single = response.suggestion ?? response.recommendation;
+  if (single && typeof single === 'object') return [single];
+  if (response.suggested_user_id ?? response.recommended_user_id) {
+    return [{ user_id: response.suggested_user_id ?? response.recommended_user_id, reasoning: response.reasoning }];
+  }
+  return [];
+}
+
+export function normalizeAssignmentSuggestions(response = {}, members = []) {
+  const byId = new Map(members.map((member) => [String(member.id), member]));
+  const byUsername = new Map(members.map((member) => [String(member.username || '').toLowerCase(), member]));
+
+  const suggestions = toPercentages(readCandidates(response)
+    .filter((raw) => raw && typeof raw === 'object')
+    .map((raw, index) => {
+      const rawId = raw.user_id ?? raw.id ?? raw.user?.id;
+      const username = raw.username ?? raw.user?.username;
+      const member = byId.get(String(rawId)) || byUsername.get(String(username || '').toLowerCase());
+      const userId = member ? String(member.id) : (rawId === undefined || rawId === null ? null : String(rawId));
+      if (!userId) return null;
+      return {
+        userId,
+        name: member?.full_name || member?.username || raw.full_name || username || `User #${userId}`,
+        known: Boolean(member),
+        rationale: String(raw.rationale ?? raw.reasoning ?? raw.reason ?? '').trim(),
+        score: readScore(raw),
+        order: index,
+      };
+    })
+    .filter(Boolean));
+
+  // A user listed more than once keeps their best-scored entry.
+  const best = new Map();
+  suggestions.forEach((suggestion) => {
+    const current = best.get(suggestion.userId);
+    if (!current || (suggestion.score ?? -1) > (current.score ?? -1)) best.set(suggestion.userId, suggestion);
+  });
+  return [...best.values()]
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.order - b.order)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((suggestion, index) => ({
+      userId: suggestion.userId,
+      name: suggestion.name,
+      known: suggestion.known,
+      rationale: suggestion.rationale,
+      score: suggestion.score,
+      rank: index + 1,
+    }));
+}
@@ -0,0 +1,56 @@
+export function toggleSelection(selectedIds, taskId, checked = !selectedIds.includes(taskId)) {
+  if (checked) return selectedIds.includes(taskId) ? selectedIds : [...selectedIds, taskId];
+  return selectedIds.filter((id) => id !== taskId);
+}
+
+export function selectRange(selectedIds, orderedIds, anchorId, taskId, checked = true) {
+  const anchorIndex = orderedIds.indexOf(anchorId);
+  const targetIndex = orderedIds.indexOf(taskId);
+  if (anchorIndex === -1 || targetIndex === -1) return toggleSelection(selectedIds, taskId, checked);
+
+  const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+  const range = orderedIds.slice(start, end + 1);
+  if (!checked) return selectedIds.filter((id) => !range.includes(id));
+  return [...selectedIds, ...range.filter((id) => !selectedIds.includes(id))];
+}
+
+export function visibleSelectionState(selectedIds, visibleIds) {
+  const selectedVisible = visibleIds.filter((id) => selectedIds.includes(id)).length;
+  if (!selectedVisible) return false;
+  return selectedVisible === visibleIds.length ? true : 'indeterminate';
+}
+
+export function toggleAllVisible(selectedIds, visibleIds) {
+  if (visibleSelectionState(selectedIds, visibleIds) === true) {
+    return selectedIds.filter((id) => !visibleIds.includes(id));
+  }
+  return [...selectedIds, ...visibleIds.filter((id) => !selectedIds.includes(id))];
+}
+
+function failureMessage(failure) {
+  if (typeof failure === 'string') return failure;
+  return failure?.error || failure?.message || 'Update failed';
+}
+
+export function summarizeBulkResult(response = {}, requestedIds = []) {
+  const updatedTasks = response.tasks || response.updated_tasks || [];
+  const rawFailures = response.failed || response.failures || (Array.isArray(response.errors) ? response.errors : []);
+  const failures = rawFailures.map((failure) => ({
+    taskId: failure?.task_id ?? failure?.id ?? null,
+    message: failureMessage(failure),
+  }));
+
+  const failedIds = failures.map((failure) => failure.taskId).filter((id) => id !== null);
+  const reportedCount = Number(response.updated_count ?? response.updated);
+  const updatedCount = Number.isInteger(reportedCount)
+    ? reportedCount
+    : updatedTasks.length || Math.max(requestedIds.length - failures.length, 0);
+
+  return {
+    updatedTasks,
+    updatedCount,
+    failures,
+    failedIds: requestedIds.filter((id) => failedIds.some((failedId) => String(failedId) === String(id))),
+    requestedCount: requestedIds.length,
+  };
+}
@@ -0,0 +1,110 @@
+import { draftToTaskPayload, normalizeGenerationResult } from './task-generation.js';
+
+const THREAD_STORAGE_PREFIX = 'ai_agent_chat_threads';
+const MAX_THREADS = 30;
+const MAX_MESSAGES_PER_THREAD = 200;
+const HISTORY_LIMIT = 20;
+const TITLE_LENGTH = 60;
+const DEFAULT_THREAD_TITLE = 'New conversation';
+
+function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createThread(now = new Date()) {
+  const timestamp = now.toISOString();
+  return { id: createId('thread'), title: DEFAULT_THREAD_TITLE, createdAt: timestamp, updatedAt: timestamp, messages: [] };
+}
+
+export function createMessage(role, content, extras = {}, now = new Date()) {
+  return { id: createId('message'), role, content, createdAt: now.toISOString(), proposals: [], ...extras };
+}
+
+export function appendMessage(thread, message) {
+  const title = thread.title === DEFAULT_THREAD_TITLE && message.role === 'user'
+    ? message.content.replace(/\s+/g, ' ').trim().slice(0, TITLE_LENGTH) || DEFAULT_THREAD_TITLE
+    : thread.title;
+  return {
+    ...thread,
+    title,
+    updatedAt: message.createdAt,
+    messages: [...thread.messages, message].slice(-MAX_MESSAGES_PER_THREAD),
+  };
+}
+
+export function toHistoryPayload(messages) {
+  return messages
+    .filter((message) => !message.error && message.content)
+    .slice(-HISTORY_LIMIT)
+    .map((message) => ({ role: message.role, content: message.content }));
+}
+
+const JSON_BLOCK = /```json\s*\n([\s\S]*?)```/gi;
+
+function extractJsonTasks(content) {
+  const tasks = [];
+  const text = content.replace(JSON_BLOCK, (block, body) => {
+    try {
+      const parsed = JSON.parse(body);
+      const list = Array.isArray(parsed) ? parsed : parsed?.tasks;
+      if (Array.isArray(list) && list.every((item) => item && typeof item === 'object' && item.title)) {
+        tasks.push(...list);
+        return '';
+      }
+    } catch {
+      // Not a task list; leave the block in the reply as code.
+    }
+    return block;
+  });
+  return { text: text.replace(/\n{3,}/g, '\n\n').trim(), tasks };
+}
+
+export function normalizeChatReply(response = {}) {
+  const raw = [response.reply, response.response, response.content, response.answer, response.message]
+    .find((value) => typeof value === 'string' && value.trim()) || '';
+  const { text, tasks } = extractJsonTasks(raw);
+  const structured = response.tasks ?? response.task_proposals ?? response.proposed_tasks;
+  const { drafts } = normalizeGenerationResult({ tasks: [...(Array.isArray(structured) ? structured : []), ...tasks] });
+
+  return {
+    content: text,
+    proposals: drafts.map((draft) => ({ id: draft.id, state: 'proposed', taskId: null, task: draftToTaskPayload(draft) })),
+  };
+}
+
+export function updateProposal(thread, messageId, proposalId, changes) {
+  return {
+    ...thread,
+    messages: thread.messages.map((message) => (message.id !== messageId ? message : {
+      ...message,
+      proposals: message.proposals.map((proposal) => (proposal.id === proposalId ? { ...proposal, ...changes } : proposal)),
+    })),
+  };
+}
+
+export function createChatThreadStore(storage) {
+  const keyFor = (userId) => `${THREAD_STORAGE_PREFIX}:${userId ?? 'anonymous'}`;
+
+  const read = (userId) => {
+    try {
+      const threads = JSON.parse(storage?.getItem(keyFor(userId)) || '[]');
+      return Array.isArray(threads) ? threads.filter((thread) => thread?.id && Array.isArray(thread.messages)) : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (userId, threads) => {
+    const sorted = [...threads].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).slice(0, MAX_THREADS);
+    storage?.setItem(keyFor(userId), JSON.stringify(sorted));
+    return sorted;
+  };
+
+  return {
+    list: (userId) => read(userId),
+    save: (userId, thread) => write(userId, [thread, ...read(userId).filter((item) => item.id !== thread.id)]),
+    remove: (userId, threadId) => write(userId, read(userId).filter((thread) => thread.id !== threadId)),
+  };
+}
+
+export const chatThreadStore = createChatThreadStore(typeof window === 'undefined' ? null : window.localStorage);
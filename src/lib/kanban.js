@@ -0,0 +1,89 @@
+export const KANBAN_COLUMNS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'in_progress', label: 'In progress' },
+  { status: 'completed', label: 'Completed' },
+];
+
+const WIP_STORAGE_PREFIX = 'ai_agent_wip_limits';
+
+function createEmptyBoard() {
+  return Object.fromEntries(KANBAN_COLUMNS.map(({ status }) => [status, []]));
+}
+
+export function normalizeKanbanData(data = {}) {
+  const source = data.kanban || data.columns || data;
+  const board = createEmptyBoard();
+
+  if (Array.isArray(source)) {
+    source.forEach((task) => {
+      if (board[task?.status]) board[task.status].push(task);
+    });
+    return board;
+  }
+
+  KANBAN_COLUMNS.forEach(({ status }) => {
+    const column = source?.[status];
+    const tasks = Array.isArray(column) ? column : column?.tasks;
+    if (Array.isArray(tasks)) board[status] = tasks.map((task) => ({ ...task, status }));
+  });
+  return board;
+}
+
+export function findTaskColumn(board, taskId) {
+  return KANBAN_COLUMNS.find(({ status }) => board[status]?.some((task) => task.id === taskId))?.status || null;
+}
+
+// Moved tasks go to the top of the column unless `index` says where, e.g. when undoing a move.
+export function moveTask(board, taskId, toStatus, index = 0) {
+  const fromStatus = findTaskColumn(board, taskId);
+  if (!fromStatus || !board[toStatus] || fromStatus === toStatus) return board;
+
+  const task = board[fromStatus].find((item) => item.id === taskId);
+  const target = [...board[toStatus]];
+  target.splice(index, 0, { ...task, status: toStatus });
+  return {
+    ...board,
+    [fromStatus]: board[fromStatus].filter((item) => item.id !== taskId),
+    [toStatus]: target,
+  };
+}
+
+export function adjacentStatus(status, direction) {
+  const index = KANBAN_COLUMNS.findIndex((column) => column.status === status);
+  return KANBAN_COLUMNS[index + direction]?.status || null;
+}
+
+export function isWipLimitReached(count, limit) {
+  return Number.isInteger(limit) && limit > 0 && count >= limit;
+}
+
+function sanitizeLimits(limits) {
+  if (!limits || typeof limits !== 'object') return {};
+  return Object.fromEntries(
+    KANBAN_COLUMNS
+      .map(({ status }) => [status, Number(limits[status])])
+      .filter(([, limit]) => Number.isInteger(limit) && limit > 0),
+  );
+}
+
+export function createWipLimitStore(storage) {
+  const keyFor = (userId) => `${WIP_STORAGE_PREFIX}:${userId ?? 'anonymous'}`;
+
+  return {
+    get: (userId) => {
+      try {
+        return sanitizeLimits(JSON.parse(storage?.getItem(keyFor(userId)) || '{}'));
+      } catch {
+        return {};
+      }
+    },
+    set: (userId, limits) => {
+      const sanitized = sanitizeLimits(limits);
+      if (Object.keys(sanitized).length) storage?.setItem(keyFor(userId), JSON.stringify(sanitized));
+      else storage?.removeItem(keyFor(userId));
+      return sanitized;
+    },
+  };
+}
+
+export const wipLimitStore = createWipLimitStore(typeof window === 'undefined' ? null : window.localStorage);
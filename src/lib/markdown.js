@@ -0,0 +1,110 @@
+// A deliberately small Markdown subset for agent replies. It produces a plain
+// node tree that React renders directly, so model output never reaches the DOM as HTML.
+
+const SAFE_LINK = /^(https?:|mailto:|\/(?!\/))/i;
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+export function parseInline(text) {
+  const nodes = [];
+  let rest = String(text ?? '');
+
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+
+    const [token, code, strong, em, link] = match;
+    if (code) nodes.push({ type: 'code', text: code.slice(1, -1) });
+    else if (strong) nodes.push({ type: 'strong', children: parseInline(strong.slice(2, -2)) });
+    else if (em) nodes.push({ type: 'em', children: parseInline(em.slice(1, -1)) });
+    else if (link) {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(link);
+      nodes.push(SAFE_LINK.test(href)
+        ? { type: 'link', href, children: parseInline(label) }
+        : { type: 'text', text: label });
+    }
+    rest = rest.slice(match.index + token.length);
+  }
+
+  return nodes;
+}
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+export function parseMarkdown(source) {
+  const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = /^\s*```\s*([\w-]*)\s*$/.exec(line);
+    if (fence) {
+      const body = [];
+      index += 1;
+      while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+        body.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), text: body.join('\n') });
+      index += 1;
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: Math.min(heading[1].length, 4), children: parseInline(heading[2].trim()) });
+      index += 1;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (index < lines.length && /^\s*>/.test(lines[index])) {
+        quote.push(lines[index].replace(/^\s*>\s?/, ''));
+        index += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseInline(quote.join(' ')) });
+      continue;
+    }
+
+    const listItem = LIST_ITEM.exec(line);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (index < lines.length) {
+        const item = LIST_ITEM.exec(lines[index]);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push(parseInline(item[2]));
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length
+      && lines[index].trim()
+      && !/^\s*```/.test(lines[index])
+      && !/^#{1,6}\s/.test(lines[index])
+      && !/^\s*>/.test(lines[index])
+      && !LIST_ITEM.test(lines[index])
+    ) {
+      paragraph.push(lines[index].trim());
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+  }
+
+  return blocks;
+}
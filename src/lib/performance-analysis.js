@@ -0,0 +1,152 @@
+export const TIMEFRAME_PRESETS = [
+  { value: '7', label: 'Last 7 days', timeframe: '7 days' },
+  { value: '30', label: 'Last 30 days', timeframe: '30 days' },
+  { value: '90', label: 'Last 90 days', timeframe: '90 days' },
+];
+export const CUSTOM_TIMEFRAME = 'custom';
+
+const HISTORY_STORAGE_PREFIX = 'ai_agent_insights_history';
+const MAX_HISTORY_ENTRIES = 20;
+const MAX_CUSTOM_RANGE_DAYS = 366;
+const DAY_MS = 86_400_000;
+
+function toDay(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+export function buildAnalysisRequest({ preset, from, to }, now = new Date()) {
+  const match = TIMEFRAME_PRESETS.find((option) => option.value === preset);
+  if (match) return { timeframe: match.timeframe, label: match.label, range: null };
+  if (preset !== CUSTOM_TIMEFRAME) throw new Error('Choose a timeframe.');
+
+  if (!(from instanceof Date) || !(to instanceof Date)) throw new Error('Pick a start and end date.');
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+  if (start > end) throw new Error('The start date must be before the end date.');
+  if (end > startOfDay(now)) throw new Error('The range cannot end in the future.');
+  if ((end - start) / DAY_MS + 1 > MAX_CUSTOM_RANGE_DAYS) throw new Error('Choose a range of one year or less.');
+
+  const range = { start_date: toDay(start), end_date: toDay(end) };
+  return {
+    timeframe: `${range.start_date} to ${range.end_date}`,
+    label: `${range.start_date} – ${range.end_date}`,
+    range,
+  };
+}
+
+function humanize(key) {
+  const label = String(key).replace(/_/g, ' ').trim();
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function isRateKey(key) {
+  return /(rate|percent|percentage|ratio)$/i.test(key);
+}
+
+function firstText(...values) {
+  return values.find((value) => typeof value === 'string' && value.trim())?.trim() || '';
+}
+
+function numericFields(entry) {
+  return Object.fromEntries(
+    Object.entries(entry || {}).filter(([, value]) => typeof value === 'number' && Number.isFinite(value)),
+  );
+}
+
+function readSeries(list, labelKeys) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => {
+      const label = labelKeys.map((key) => entry[key]).find((value) => value !== undefined && value !== null);
+      return { label: String(label ?? ''), ...numericFields(entry) };
+    })
+    .filter((entry) => entry.label && Object.keys(entry).length > 1);
+}
+
+export function normalizeAnalysis(response = {}) {
+  const analysis = response.analysis && typeof response.analysis === 'object' ? response.analysis : {};
+  const source = response.metrics || response.performance_data || analysis.metrics || response.stats || {};
+
+  const metrics = Object.entries(source)
+    .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+    .map(([key, value]) => ({ key, label: humanize(key), value, unit: isRateKey(key) ? '%' : '' }));
+
+  return {
+    narrative: firstText(response.analysis, response.ai_analysis, analysis.summary, analysis.narrative, response.summary),
+    metrics,
+    timeline: readSeries(source.timeline ?? source.daily ?? response.timeline, ['date', 'day', 'period', 'label']),
+    breakdown: readSeries(
+      source.by_user ?? source.user_performance ?? response.user_performance,
+      ['full_name', 'username', 'name', 'user', 'user_id'],
+    ),
+    recommendations: (Array.isArray(response.recommendations ?? analysis.recommendations)
+      ? response.recommendations ?? analysis.recommendations
+      : []).filter((item) => typeof item === 'string' && item.trim()),
+  };
+}
+
+export function seriesKeys(series) {
+  const keys = new Set();
+  series.forEach((entry) => Object.keys(entry).forEach((key) => key !== 'label' && keys.add(key)));
+  return [...keys];
+}
+
+export function buildChartConfig(keys) {
+  return Object.fromEntries(keys.map((key, index) => [key, { label: humanize(key), color: `var(--chart-${(index % 5) + 1})` }]));
+}
+
+export function formatMetricValue(metric) {
+  const value = Number.isInteger(metric.value) ? metric.value : Number(metric.value.toFixed(1));
+  return `${value.toLocaleString()}${metric.unit}`;
+}
+
+export function compareMetrics(current = [], previous = []) {
+  const previousByKey = new Map(previous.map((metric) => [metric.key, metric.value]));
+  return current.map((metric) => {
+    const before = previousByKey.get(metric.key);
+    return { ...metric, previous: before ?? null, delta: before === undefined ? null : metric.value - before };
+  });
+}
+
+function createHistoryId() {
+  return `analysis-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createAnalysisHistoryStore(storage) {
+  const keyFor = (userId) => `${HISTORY_STORAGE_PREFIX}:${userId ?? 'anonymous'}`;
+
+  const read = (userId) => {
+    try {
+      const entries = JSON.parse(storage?.getItem(keyFor(userId)) || '[]');
+      return Array.isArray(entries) ? entries.filter((entry) => entry?.id && entry.result) : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (userId, entries) => {
+    storage?.setItem(keyFor(userId), JSON.stringify(entries));
+    return entries;
+  };
+
+  return {
+    list: (userId) => read(userId),
+    add: (userId, { label, timeframe, result }, createdAt = new Date()) => {
+      const entry = { id: createHistoryId(), label, timeframe, createdAt: createdAt.toISOString(), result };
+      write(userId, [entry, ...read(userId)].slice(0, MAX_HISTORY_ENTRIES));
+      return entry;
+    },
+    remove: (userId, entryId) => write(userId, read(userId).filter((entry) => entry.id !== entryId)),
+    clear: (userId) => write(userId, []),
+  };
+}
+
+export const analysisHistoryStore = createAnalysisHistoryStore(typeof window === 'undefined' ? null : window.localStorage);
@@ -0,0 +1,167 @@
+import { z } from 'zod';
+
+import { GENERATION_COUNTS } from './task-generation.js';
+
+const TEMPLATE_STORAGE_KEY = 'ai_agent_prompt_templates:shared';
+const PARAM_PATTERN = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+const NUMBER_PARAM = /^(n|num|count|number|size)$|(_count|_days|_weeks|_hours|devs|people|developers|engineers)$/;
+const MAX_PARAM_LENGTH = 200;
+const MAX_NUMBER_PARAM = 1000;
+
+const PARAM_LABELS = { n: 'Number', project: 'Project' };
+
+export const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: 'builtin-sprint-planning',
+    name: 'Sprint planning',
+    description: 'Plan a two-week sprint sized for the team.',
+    goal: 'Sprint planning for {project} with {n} devs over the next two weeks.',
+    constraints: 'Split work so {n} developers can progress in parallel. Include testing and review tasks.',
+    count: '8',
+  },
+  {
+    id: 'builtin-bug-triage',
+    name: 'Bug triage',
+    description: 'Turn a problem area into investigation and fix tasks.',
+    goal: 'Triage and fix the reported problems in {area} for {project}.',
+    constraints: 'Start with reproduction and root-cause tasks before fixes.',
+    count: '5',
+  },
+];
+
+export const templateFormSchema = z.object({
+  name: z.string().trim().min(1, 'Enter a template name.').max(80, 'Keep the name under 80 characters.'),
+  description: z.string().trim().max(200, 'Keep the description under 200 characters.'),
+  goal: z.string().trim().min(10, 'Describe the goal in at least 10 characters.').max(2000, 'Keep the goal under 2000 characters.'),
+  constraints: z.string().trim().max(2000, 'Keep the constraints under 2000 characters.'),
+  count: z.enum(GENERATION_COUNTS),
+});
+
+export function createEmptyTemplateForm() {
+  return { name: '', description: '', goal: '', constraints: '', count: '5' };
+}
+
+export function extractTemplateParams(...texts) {
+  const names = [];
+  texts.filter(Boolean).forEach((text) => {
+    for (const match of String(text).matchAll(PARAM_PATTERN)) {
+      if (!names.includes(match[1])) names.push(match[1]);
+    }
+  });
+  return names.map((name) => ({
+    name,
+    label: PARAM_LABELS[name] || (name.charAt(0).toUpperCase() + name.slice(1)).replace(/_/g, ' '),
+    type: NUMBER_PARAM.test(name) ? 'number' : 'text',
+  }));
+}
+
+export function normalizePromptTemplate(raw = {}) {
+  const name = String(raw.name || '').trim();
+  const goal = String(raw.goal || raw.prompt || raw.template || '').trim();
+  if (raw.id === undefined || raw.id === null || !name || !goal) return null;
+  const constraints = String(raw.constraints || '').trim();
+  const count = String(raw.count ?? raw.max_tasks ?? '5');
+  return {
+    id: raw.id,
+    name,
+    description: String(raw.description || '').trim(),
+    goal,
+    constraints,
+    count: GENERATION_COUNTS.includes(count) ? count : '5',
+    params: extractTemplateParams(goal, constraints),
+  };
+}
+
+export function normalizePromptTemplates(list) {
+  return (Array.isArray(list) ? list : []).map(normalizePromptTemplate).filter(Boolean);
+}
+
+export function templateToFormValues(template) {
+  return {
+    name: template.name,
+    description: template.description,
+    goal: template.goal,
+    constraints: template.constraints,
+    count: template.count,
+  };
+}
+
+export function createParamsSchema(params) {
+  return z.object(Object.fromEntries(params.map((param) => [
+    param.name,
+    param.type === 'number'
+      ? z.string().trim().min(1, `Enter ${param.label.toLowerCase()}.`).refine((value) => {
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0 && number <= MAX_NUMBER_PARAM;
+      }, `Enter a whole number between 1 and ${MAX_NUMBER_PARAM}.`)
+      : z.string().trim().min(1, `Enter ${param.label.toLowerCase()}.`).max(MAX_PARAM_LENGTH, `Keep it under ${MAX_PARAM_LENGTH} characters.`),
+  ])));
+}
+
+export function createEmptyParamValues(params) {
+  return Object.fromEntries(params.map((param) => [param.name, '']));
+}
+
+export function fillTemplate(text, values) {
+  return String(text || '').replace(PARAM_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    return value === undefined || value === null || String(value).trim() === '' ? placeholder : String(value).trim();
+  });
+}
+
+// Produces the Ask the agent form values, so the filled template stays editable before generating.
+export function applyTemplate(template, values) {
+  return {
+    goal: fillTemplate(template.goal, values),
+    project: values.project ? String(values.project).trim() : '',
+    constraints: fillTemplate(template.constraints, values),
+    count: template.count,
+  };
+}
+
+function createLocalId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Stand-in for backends without template endpoints: shared by every account on this browser.
+export function createLocalTemplateStore(storage) {
+  const read = () => {
+    try {
+      const stored = storage?.getItem(TEMPLATE_STORAGE_KEY);
+      return stored === null || stored === undefined
+        ? normalizePromptTemplates(DEFAULT_PROMPT_TEMPLATES)
+        : normalizePromptTemplates(JSON.parse(stored));
+    } catch {
+      return normalizePromptTemplates(DEFAULT_PROMPT_TEMPLATES);
+    }
+  };
+
+  const write = (templates) => {
+    storage?.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates.map((template) => ({ id: template.id, ...templateToFormValues(template) }))));
+    return templates;
+  };
+
+  return {
+    list: () => read(),
+    create: (values) => {
+      const created = normalizePromptTemplate({ ...values, id: createLocalId() });
+      if (!created) throw new Error('Enter a name and goal for the template.');
+      write([...read(), created]);
+      return created;
+    },
+    update: (templateId, values) => {
+      let updated = null;
+      write(read().map((template) => {
+        if (template.id !== templateId) return template;
+        updated = normalizePromptTemplate({ ...template, ...values, id: template.id });
+        return updated || template;
+      }));
+      return updated;
+    },
+    remove: (templateId) => {
+      write(read().filter((template) => template.id !== templateId));
+    },
+  };
+}
+
+export const localTemplateStore = createLocalTemplateStore(typeof window === 'undefined' ? null : window.localStorage);
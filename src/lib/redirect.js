@@ -0,0 +1,44 @@
+export const DEFAULT_AUTHENTICATED_PATH = '/dashboard';
+export const REDIRECT_PARAM = 'redirect';
+
+const PLACEHOLDER_ORIGIN = 'https://app.invalid';
+const PUBLIC_PATHS = ['/login'];
+
+function hasControlCharacters(value) {
+  return Array.from(value).some((character) => {
+    const code = character.charCodeAt(0);
+    return code < 32 || code === 127;
+  });
+}
+
+export function sanitizeRedirectPath(value, fallback = DEFAULT_AUTHENTICATED_PATH) {
+  if (typeof value !== 'string') return fallback;
+  const candidate = value.trim();
+  // Reject protocol-relative ("//host"), backslash and control-character tricks before URL parsing.
+  if (!candidate.startsWith('/') || candidate.startsWith('//') || candidate.includes('\\') || hasControlCharacters(candidate)) {
+    return fallback;
+  }
+
+  let url;
+  try {
+    url = new URL(candidate, PLACEHOLDER_ORIGIN);
+  } catch {
+    return fallback;
+  }
+
+  if (url.origin !== PLACEHOLDER_ORIGIN || PUBLIC_PATHS.includes(url.pathname)) return fallback;
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+export function buildLoginPath(locationLike = {}) {
+  const destination = sanitizeRedirectPath(
+    `${locationLike.pathname || ''}${locationLike.search || ''}${locationLike.hash || ''}`,
+    null,
+  );
+  if (!destination || destination === '/' || destination === DEFAULT_AUTHENTICATED_PATH) return '/login';
+  return `/login?${new URLSearchParams({ [REDIRECT_PARAM]: destination })}`;
+}
+
+export function readRedirectPath(search = '') {
+  return sanitizeRedirectPath(new URLSearchParams(search).get(REDIRECT_PARAM) ?? undefined);
+}
@@ -0,0 +1,54 @@
+import { z } from 'zod';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+export const registrationSchema = z.object({
+  username: z.string().trim()
+    .min(3, 'Use at least 3 characters.')
+    .max(50, 'Keep the username under 50 characters.')
+    .regex(USERNAME_PATTERN, 'Use letters, numbers, dots, dashes or underscores.'),
+  email: z.string().trim().min(1, 'Enter your email address.').email('Enter a valid email address.'),
+  full_name: z.string().trim().min(1, 'Enter your full name.').max(100, 'Keep the name under 100 characters.'),
+  password: z.string()
+    .min(MIN_PASSWORD_LENGTH, `Use at least ${MIN_PASSWORD_LENGTH} characters.`)
+    .max(128, 'Keep the password under 128 characters.')
+    .refine((value) => /[a-zA-Z]/.test(value) && /\d/.test(value), 'Include at least one letter and one number.'),
+  confirm_password: z.string().min(1, 'Repeat the password.'),
+}).refine((values) => values.password === values.confirm_password, {
+  message: 'The passwords do not match.',
+  path: ['confirm_password'],
+});
+
+export const REGISTRATION_FIELDS = ['username', 'email', 'full_name', 'password', 'confirm_password'];
+
+// Backends differ in how they name a few fields in validation errors.
+const FIELD_ALIASES = { name: 'full_name', fullName: 'full_name', password_confirmation: 'confirm_password', confirmPassword: 'confirm_password' };
+
+export function createEmptyRegistration() {
+  return { username: '', email: '', full_name: '', password: '', confirm_password: '' };
+}
+
+export function toRegistrationPayload(values) {
+  return {
+    username: values.username.trim(),
+    email: values.email.trim(),
+    full_name: values.full_name.trim(),
+    password: values.password,
+  };
+}
+
+export function mapRegistrationErrors(errors) {
+  if (!errors) return [];
+  return Object.entries(errors)
+    .map(([field, message]) => [FIELD_ALIASES[field] || field, message])
+    .filter(([field]) => REGISTRATION_FIELDS.includes(field));
+}
+
+export function applyRegistrationErrors(setError, errors) {
+  const fieldErrors = mapRegistrationErrors(errors);
+  fieldErrors.forEach(([field, message], index) => {
+    setError(field, { type: 'server', message }, { shouldFocus: index === 0 });
+  });
+  return fieldErrors.length;
+}
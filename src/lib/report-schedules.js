@@ -0,0 +1,218 @@
+import { z } from 'zod';
+
+import { TIMEFRAME_PRESETS } from './performance-analysis.js';
+
+const SCHEDULE_STORAGE_KEY = 'ai_agent_report_schedules:shared';
+const CLAIM_STORAGE_KEY = 'ai_agent_report_schedule_claims';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Runs missed by more than this (for example while every browser was closed) are skipped, not sent late.
+export const MAX_CATCH_UP_MS = 6 * 60 * 60 * 1000;
+export const SCHEDULER_INTERVAL_MS = 60_000;
+// A failed run is retried after 2, 4, 8 and 16 minutes, then left alone until the next run.
+export const MAX_SEND_ATTEMPTS = 5;
+export const RETRY_DELAY_MS = 2 * 60 * 1000;
+
+export const REPORT_FREQUENCIES = { weekly: 'Weekly', monthly: 'Monthly' };
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Capped at 28 so every month has the day.
+export const MONTH_DAYS = Array.from({ length: 28 }, (_, index) => String(index + 1));
+export const REPORT_TIMEFRAMES = TIMEFRAME_PRESETS.map((preset) => preset.timeframe);
+
+export const scheduleFormSchema = z.object({
+  name: z.string().trim().min(1, 'Enter a name.').max(80, 'Keep the name under 80 characters.'),
+  frequency: z.enum(Object.keys(REPORT_FREQUENCIES)),
+  weekday: z.enum(WEEKDAYS.map((_, index) => String(index))),
+  dayOfMonth: z.enum(MONTH_DAYS),
+  time: z.string().regex(TIME_PATTERN, 'Enter a time such as 09:00.'),
+  timeframe: z.enum(REPORT_TIMEFRAMES),
+  enabled: z.boolean(),
+});
+
+export function createEmptyScheduleForm() {
+  return { name: 'Weekly report', frequency: 'weekly', weekday: '1', dayOfMonth: '1', time: '09:00', timeframe: '7 days', enabled: true };
+}
+
+function toInteger(value, fallback, min, max) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : fallback;
+}
+
+// snake_case wins so API-shaped changes can be merged over an already normalized schedule.
+export function normalizeReportSchedule(raw = {}) {
+  if (raw.id === undefined || raw.id === null) return null;
+  const frequency = REPORT_FREQUENCIES[raw.frequency] ? raw.frequency : 'weekly';
+  const time = TIME_PATTERN.test(String(raw.time || '')) ? raw.time : '09:00';
+  const timeframe = REPORT_TIMEFRAMES.includes(raw.timeframe) ? raw.timeframe : '30 days';
+  return {
+    id: raw.id,
+    name: String(raw.name || '').trim() || `${REPORT_FREQUENCIES[frequency]} report`,
+    frequency,
+    weekday: toInteger(raw.weekday, 1, 0, 6),
+    dayOfMonth: toInteger(raw.day_of_month ?? raw.dayOfMonth, 1, 1, 28),
+    time,
+    timeframe,
+    enabled: raw.enabled !== false,
+    createdAt: raw.created_at ?? raw.createdAt ?? null,
+    lastSentAt: raw.last_sent_at ?? raw.lastSentAt ?? null,
+    lastError: raw.last_error ?? raw.lastError ?? '',
+  };
+}
+
+export function normalizeReportSchedules(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeReportSchedule).filter(Boolean);
+}
+
+export function scheduleToFormValues(schedule) {
+  return {
+    name: schedule.name,
+    frequency: schedule.frequency,
+    weekday: String(schedule.weekday),
+    dayOfMonth: String(schedule.dayOfMonth),
+    time: schedule.time,
+    timeframe: schedule.timeframe,
+    enabled: schedule.enabled,
+  };
+}
+
+export function scheduleToPayload(values) {
+  return {
+    name: values.name.trim(),
+    frequency: values.frequency,
+    weekday: Number(values.weekday),
+    day_of_month: Number(values.dayOfMonth),
+    time: values.time,
+    timeframe: values.timeframe,
+    enabled: values.enabled,
+  };
+}
+
+export function describeSchedule(schedule) {
+  const day = schedule.frequency === 'weekly'
+    ? `Every ${WEEKDAYS[schedule.weekday]}`
+    : `Monthly on day ${schedule.dayOfMonth}`;
+  return `${day} at ${schedule.time}`;
+}
+
+function atTime(date, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+}
+
+// Schedule times are in the browser's local time zone.
+export function nextRunAt(schedule, from = new Date()) {
+  if (!schedule.enabled) return null;
+  if (schedule.frequency === 'weekly') {
+    const candidate = atTime(from, schedule.time);
+    candidate.setDate(candidate.getDate() + ((schedule.weekday - candidate.getDay() + 7) % 7));
+    if (candidate <= from) candidate.setDate(candidate.getDate() + 7);
+    return candidate;
+  }
+  const candidate = atTime(new Date(from.getFullYear(), from.getMonth(), schedule.dayOfMonth), schedule.time);
+  if (candidate <= from) candidate.setMonth(candidate.getMonth() + 1);
+  return candidate;
+}
+
+export function previousRunAt(schedule, at = new Date()) {
+  if (schedule.frequency === 'weekly') {
+    const candidate = atTime(at, schedule.time);
+    candidate.setDate(candidate.getDate() - ((candidate.getDay() - schedule.weekday + 7) % 7));
+    if (candidate > at) candidate.setDate(candidate.getDate() - 7);
+    return candidate;
+  }
+  const candidate = atTime(new Date(at.getFullYear(), at.getMonth(), schedule.dayOfMonth), schedule.time);
+  if (candidate > at) candidate.setMonth(candidate.getMonth() - 1);
+  return candidate;
+}
+
+export function dueOccurrence(schedule, now = new Date()) {
+  if (!schedule.enabled) return null;
+  const occurrence = previousRunAt(schedule, now);
+  if (now - occurrence > MAX_CATCH_UP_MS) return null;
+  const after = (value) => !value || new Date(value) < occurrence;
+  return after(schedule.lastSentAt) && after(schedule.createdAt) ? occurrence : null;
+}
+
+function createLocalId() {
+  return `schedule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Stand-in for backends without schedule endpoints: shared by every account on this browser.
+export function createLocalScheduleStore(storage) {
+  const read = () => {
+    try {
+      return normalizeReportSchedules(JSON.parse(storage?.getItem(SCHEDULE_STORAGE_KEY) || '[]'));
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (schedules) => {
+    storage?.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(schedules));
+    return schedules;
+  };
+
+  return {
+    list: () => read(),
+    create: (values, now = new Date()) => {
+      const created = normalizeReportSchedule({ ...scheduleToPayload(values), id: createLocalId(), created_at: now.toISOString() });
+      write([...read(), created]);
+      return created;
+    },
+    update: (scheduleId, changes) => {
+      let updated = null;
+      write(read().map((schedule) => {
+        if (schedule.id !== scheduleId) return schedule;
+        updated = normalizeReportSchedule({ ...schedule, ...changes, id: schedule.id });
+        return updated;
+      }));
+      return updated;
+    },
+    remove: (scheduleId) => {
+      write(read().filter((schedule) => schedule.id !== scheduleId));
+    },
+  };
+}
+
+// Lets only one open tab send a given run, and spaces out retries of a run whose send failed.
+// A claim without `retryAt` is being sent or was sent; one with `retryAt` failed `attempts` times.
+export function createScheduleClaimStore(storage) {
+  const keyOf = (scheduleId, occurrence) => `${scheduleId}@${occurrence.toISOString()}`;
+  const read = () => {
+    try {
+      const claims = JSON.parse(storage?.getItem(CLAIM_STORAGE_KEY) || '[]');
+      return Array.isArray(claims) ? claims.filter((claim) => typeof claim?.key === 'string') : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (claims) => storage?.setItem(CLAIM_STORAGE_KEY, JSON.stringify(claims.slice(0, 100)));
+  const find = (scheduleId, occurrence) => read().find((claim) => claim.key === keyOf(scheduleId, occurrence)) || null;
+  const put = (claim) => write([claim, ...read().filter((other) => other.key !== claim.key)]);
+
+  return {
+    claim: (scheduleId, occurrence, now = new Date()) => {
+      const existing = find(scheduleId, occurrence);
+      if (existing && (!existing.retryAt || existing.attempts >= MAX_SEND_ATTEMPTS || new Date(existing.retryAt) > now)) return false;
+      put({ key: keyOf(scheduleId, occurrence), attempts: existing?.attempts ?? 0, retryAt: null });
+      return true;
+    },
+    // Returns when the run will be retried, or null once it has used all its attempts.
+    fail: (scheduleId, occurrence, now = new Date()) => {
+      const attempts = (find(scheduleId, occurrence)?.attempts ?? 0) + 1;
+      const retryAt = new Date(now.getTime() + RETRY_DELAY_MS * 2 ** (attempts - 1));
+      put({ key: keyOf(scheduleId, occurrence), attempts, retryAt: retryAt.toISOString() });
+      return attempts < MAX_SEND_ATTEMPTS ? retryAt : null;
+    },
+    status: (scheduleId, occurrence) => {
+      const claim = find(scheduleId, occurrence);
+      if (!claim?.retryAt) return null;
+      return { attempts: claim.attempts, retryAt: claim.attempts < MAX_SEND_ATTEMPTS ? new Date(claim.retryAt) : null };
+    },
+  };
+}
+
+export const localScheduleStore = createLocalScheduleStore(typeof window === 'undefined' ? null : window.localStorage);
+export const scheduleClaimStore = createScheduleClaimStore(typeof window === 'undefined' ? null : window.localStorage);
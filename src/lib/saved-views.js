@@ -0,0 +1,73 @@
+import { buildTaskQueryParams, parseTaskSearchParams, toTaskSearchParams } from './task-query.js';
+
+const VIEW_STORAGE_PREFIX = 'ai_agent_saved_views';
+const MAX_VIEW_NAME_LENGTH = 60;
+
+export function viewQueryFromState(view = {}) {
+  return toTaskSearchParams({ ...view, page: 1 }).toString();
+}
+
+export function normalizeSavedView(raw = {}) {
+  const name = String(raw.name || '').trim().slice(0, MAX_VIEW_NAME_LENGTH);
+  if (!name || raw.id === undefined || raw.id === null) return null;
+  return {
+    id: raw.id,
+    name,
+    query: viewQueryFromState(parseTaskSearchParams(raw.query || '')),
+    pinned: Boolean(raw.pinned),
+  };
+}
+
+export function normalizeSavedViews(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeSavedView).filter(Boolean);
+}
+
+// The sidebar count reads the total of a one-item page, so it covers the whole view, not just the loaded page.
+export function viewCountParams(query, currentUserId = null) {
+  return buildTaskQueryParams({ ...parseTaskSearchParams(query), page: 1, perPage: 1, currentUserId });
+}
+
+function createLocalId() {
+  return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createLocalViewStore(storage) {
+  const keyFor = (userId) => `${VIEW_STORAGE_PREFIX}:${userId ?? 'anonymous'}`;
+
+  const read = (userId) => {
+    try {
+      return normalizeSavedViews(JSON.parse(storage?.getItem(keyFor(userId)) || '[]'));
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (userId, views) => {
+    storage?.setItem(keyFor(userId), JSON.stringify(views));
+    return views;
+  };
+
+  return {
+    list: (userId) => read(userId),
+    create: (userId, view) => {
+      const created = normalizeSavedView({ ...view, id: createLocalId() });
+      if (!created) throw new Error('Enter a name for the view.');
+      write(userId, [...read(userId), created]);
+      return created;
+    },
+    update: (userId, viewId, changes) => {
+      let updated = null;
+      write(userId, read(userId).map((view) => {
+        if (view.id !== viewId) return view;
+        updated = normalizeSavedView({ ...view, ...changes, id: view.id });
+        return updated || view;
+      }));
+      return updated;
+    },
+    remove: (userId, viewId) => {
+      write(userId, read(userId).filter((view) => view.id !== viewId));
+    },
+  };
+}
+
+export const localViewStore = createLocalViewStore(typeof window === 'undefined' ? null : window.localStorage);
@@ -0,0 +1,93 @@
+export const SERVICE_POLL_INTERVAL_MS = 30_000;
+
+export const SERVICE_STATES = {
+  healthy: { label: 'Operational', className: 'bg-green-100 text-green-800 border-green-200' },
+  degraded: { label: 'Degraded', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  down: { label: 'Unavailable', className: 'bg-red-100 text-red-800 border-red-200' },
+  unknown: { label: 'Unknown', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+};
+
+const HEALTHY_VALUES = ['ok', 'healthy', 'available', 'up', 'online', 'operational', 'connected', 'pass', 'passed', 'success'];
+const DEGRADED_VALUES = ['degraded', 'slow', 'partial', 'warning', 'limited'];
+const DOWN_VALUES = ['down', 'error', 'failed', 'fail', 'unavailable', 'offline', 'disconnected', 'timeout'];
+
+export function toServiceState(value) {
+  if (value === true) return 'healthy';
+  if (value === false) return 'down';
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (HEALTHY_VALUES.includes(normalized)) return 'healthy';
+  if (DEGRADED_VALUES.includes(normalized)) return 'degraded';
+  if (DOWN_VALUES.includes(normalized)) return 'down';
+  return 'unknown';
+}
+
+function humanize(key) {
+  const label = String(key).replace(/[_-]/g, ' ').trim();
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function readLatency(raw) {
+  const milliseconds = Number(raw.latency_ms ?? raw.response_time_ms ?? raw.latency);
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) return Math.round(milliseconds);
+  const seconds = Number(raw.response_time);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : null;
+}
+
+function readError(raw) {
+  const error = raw.last_error ?? raw.error ?? (toServiceState(raw.status ?? raw.state) === 'down' ? raw.message : null);
+  if (!error) return '';
+  return typeof error === 'string' ? error : String(error.message || JSON.stringify(error));
+}
+
+function toEntries(source) {
+  if (Array.isArray(source)) {
+    return source.filter((raw) => raw && typeof raw === 'object').map((raw, index) => [raw.name ?? raw.service ?? raw.id ?? `service-${index + 1}`, raw]);
+  }
+  if (source && typeof source === 'object') {
+    return Object.entries(source).map(([name, raw]) => [name, raw && typeof raw === 'object' ? raw : { status: raw }]);
+  }
+  return [];
+}
+
+export function normalizeServiceStatus(response = {}) {
+  const source = response.services ?? response.service_status ?? response.data?.services ?? [];
+  return toEntries(source).map(([name, raw]) => ({
+    name: String(name),
+    label: raw.display_name || raw.label || humanize(name),
+    state: toServiceState(raw.status ?? raw.state ?? raw.available ?? raw.healthy),
+    latencyMs: readLatency(raw),
+    lastError: readError(raw),
+    model: raw.model || raw.provider || '',
+  }));
+}
+
+export function normalizeDiagnostics(response = {}) {
+  const source = response.results ?? response.tests ?? response.test_results ?? response.services ?? [];
+  return toEntries(source).map(([name, raw]) => {
+    const state = toServiceState(raw.passed ?? raw.success ?? raw.status ?? raw.result);
+    return {
+      name: String(name),
+      label: raw.display_name || raw.label || humanize(name),
+      passed: state === 'unknown' ? null : state === 'healthy',
+      latencyMs: readLatency(raw),
+      message: String(raw.message ?? raw.error ?? raw.response ?? '').trim(),
+    };
+  });
+}
+
+export function mergeServiceStatus(previous = [], next = [], checkedAt = new Date()) {
+  const previousByName = new Map(previous.map((service) => [service.name, service]));
+  return next.map((service) => {
+    const before = previousByName.get(service.name);
+    if (service.lastError) return { ...service, lastErrorAt: checkedAt.toISOString() };
+    // Keep the most recent error visible after the service recovers.
+    return { ...service, lastError: before?.lastError || '', lastErrorAt: before?.lastErrorAt || null };
+  });
+}
+
+export function overallServiceState(services) {
+  if (!services.length) return 'unknown';
+  if (services.every((service) => service.state === 'healthy')) return 'healthy';
+  if (services.every((service) => service.state === 'down')) return 'down';
+  return 'degraded';
+}
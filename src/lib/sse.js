@@ -0,0 +1,115 @@
+const DONE_MARKER = '[DONE]';
+
+export function createSseParser(onEvent) {
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length) onEvent({ event, data: data.join('\n') });
+    event = 'message';
+    data = [];
+  };
+
+  const consume = (line) => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return undefined;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'data') data.push(value);
+    if (field === 'event') event = value || 'message';
+    return undefined;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(consume);
+    },
+    flush() {
+      if (buffer) consume(buffer);
+      buffer = '';
+      dispatch();
+    },
+  };
+}
+
+// Accepts the event shapes common AI backends emit: bare text, `{token|delta|text|content}`,
+// OpenAI-style `choices[0].delta.content`, a terminal `[DONE]`, and `done`/`error` events.
+export function interpretStreamEvent({ event = 'message', data = '' }) {
+  if (data.trim() === DONE_MARKER) return { type: 'done' };
+
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    return event === 'error' ? { type: 'error', message: data } : { type: 'token', text: data };
+  }
+  if (!payload || typeof payload !== 'object') return { type: 'token', text: String(payload ?? '') };
+
+  if (event === 'error' || payload.error || payload.status === 'error') {
+    const message = [payload.error?.message, payload.error, payload.message].find((value) => typeof value === 'string');
+    return { type: 'error', message: message || 'The agent stream failed.' };
+  }
+  if (event === 'done' || payload.done === true) return { type: 'final', payload };
+
+  const text = [payload.token, payload.delta, payload.text, payload.content, payload.choices?.[0]?.delta?.content]
+    .find((value) => typeof value === 'string');
+  return text === undefined ? { type: 'ignore' } : { type: 'token', text };
+}
+
+// Reads a streamed response body, reporting each token as it arrives. Resolves with the
+// backend's final payload (if it sent one) and `reply` falling back to the accumulated text.
+export async function readTokenStream(body, { eventStream = true, onToken, onActivity } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let finalPayload = {};
+  let finished = false;
+
+  const append = (token) => {
+    if (!token) return;
+    text += token;
+    onToken?.(token, text);
+  };
+  const handle = (streamEvent) => {
+    if (finished) return;
+    const result = interpretStreamEvent(streamEvent);
+    if (result.type === 'error') throw new Error(result.message);
+    if (result.type === 'done') finished = true;
+    if (result.type === 'final') {
+      finalPayload = result.payload;
+      finished = true;
+    }
+    if (result.type === 'token') append(result.text);
+  };
+  const parser = createSseParser(handle);
+
+  try {
+    while (!finished) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      onActivity?.();
+      const chunk = decoder.decode(value, { stream: true });
+      if (eventStream) parser.push(chunk);
+      else append(chunk);
+    }
+    if (!finished) {
+      const tail = decoder.decode();
+      if (eventStream) {
+        parser.push(tail);
+        parser.flush();
+      } else {
+        append(tail);
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+
+  const { reply, ...details } = finalPayload;
+  return { status: 'success', ...details, reply: typeof reply === 'string' && reply ? reply : text };
+}
@@ -0,0 +1,86 @@
+import { UNASSIGNED } from './task-form.js';
+import { buildGenerationContext, draftToTaskPayload, normalizeGenerationResult } from './task-generation.js';
+
+export const BREAKDOWN_COUNTS = ['3', '5', '8'];
+// Children within this share of the parent estimate count as matching it.
+const ESTIMATE_TOLERANCE = 0.1;
+
+export function parentIdOf(task) {
+  const parentId = task?.parent_task_id ?? task?.parent_id ?? task?.parent?.id ?? null;
+  return parentId === null || parentId === '' ? null : parentId;
+}
+
+function toHours(value) {
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours > 0 ? hours : 0;
+}
+
+export function buildBreakdownContext(parent, { count = '5', existingTitles = [] } = {}) {
+  const parentHours = toHours(parent.estimated_hours);
+  const goal = [`Break down the task "${parent.title}" into smaller child tasks.`, parent.description?.trim()]
+    .filter(Boolean)
+    .join('\n\n');
+  const constraints = parentHours
+    ? `Child estimates should add up to about ${parentHours} hours in total.`
+    : 'Estimate each child task in hours.';
+
+  return {
+    ...buildGenerationContext({ goal, project: '', constraints, count }, { existingTitles }),
+    parent_task: {
+      id: parent.id,
+      title: parent.title,
+      description: parent.description || '',
+      priority: parent.priority,
+      estimated_hours: parentHours || null,
+    },
+  };
+}
+
+// Children stay with the parent's assignee unless the agent proposes someone else.
+export function normalizeBreakdown(response, parent) {
+  const { drafts, summary } = normalizeGenerationResult(response);
+  const parentAssignee = parent.assigned_to ?? parent.assignee_info?.id ?? null;
+  return {
+    summary,
+    children: drafts.map((draft) => ({
+      ...draft,
+      include: true,
+      values: draft.values.assigned_to === UNASSIGNED && parentAssignee !== null
+        ? { ...draft.values, assigned_to: String(parentAssignee) }
+        : draft.values,
+    })),
+  };
+}
+
+export function childTaskPayload(draft, parent) {
+  return { ...draftToTaskPayload(draft), parent_task_id: parent.id };
+}
+
+export function compareEstimates(children, parentEstimate) {
+  const total = children.reduce((sum, child) => sum + toHours(child.values?.estimated_hours ?? child.estimated_hours), 0);
+  const parentHours = toHours(parentEstimate);
+  const difference = total - parentHours;
+  let status = 'unestimated';
+  if (parentHours) {
+    if (Math.abs(difference) <= parentHours * ESTIMATE_TOLERANCE) status = 'match';
+    else status = difference > 0 ? 'over' : 'under';
+  }
+  return { total, parentHours, difference, status };
+}
+
+export function subtaskProgress(children) {
+  const completed = children.filter((child) => child.status === 'completed');
+  const estimatedHours = children.reduce((sum, child) => sum + toHours(child.estimated_hours), 0);
+  const completedHours = completed.reduce((sum, child) => sum + toHours(child.estimated_hours), 0);
+  return {
+    total: children.length,
+    completed: completed.length,
+    percent: children.length ? Math.round((completed.length / children.length) * 100) : 0,
+    estimatedHours,
+    completedHours,
+  };
+}
+
+export function childrenOf(tasks, parentId) {
+  return tasks.filter((task) => parentIdOf(task) !== null && String(parentIdOf(task)) === String(parentId));
+}
@@ -0,0 +1,90 @@
+import { z } from 'zod';
+
+export const TASK_PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+export const UNASSIGNED = 'unassigned';
+
+const MAX_ESTIMATED_HOURS = 1000;
+
+export const taskFormSchema = z.object({
+  title: z.string().trim().min(1, 'Enter a task title.').max(200, 'Keep the title under 200 characters.'),
+  description: z.string().trim().max(5000, 'Keep the description under 5000 characters.'),
+  priority: z.enum(TASK_PRIORITIES, { errorMap: () => ({ message: 'Choose a priority.' }) }),
+  due_date: z.date().nullable(),
+  estimated_hours: z.string().trim().refine((value) => {
+    if (!value) return true;
+    const hours = Number(value);
+    return Number.isFinite(hours) && hours >= 0 && hours <= MAX_ESTIMATED_HOURS;
+  }, `Enter a number of hours between 0 and ${MAX_ESTIMATED_HOURS}.`),
+  assigned_to: z.string(),
+});
+
+export const TASK_FORM_FIELDS = Object.keys(taskFormSchema.shape);
+
+export function createEmptyTaskForm() {
+  return {
+    title: '',
+    description: '',
+    priority: 'medium',
+    due_date: null,
+    estimated_hours: '',
+    assigned_to: UNASSIGNED,
+  };
+}
+
+export function taskToFormValues(task = {}) {
+  const dueDate = task.due_date ? new Date(task.due_date) : null;
+  const assignee = task.assigned_to ?? task.assignee_info?.id;
+  return {
+    title: task.title || '',
+    description: task.description || '',
+    priority: TASK_PRIORITIES.includes(task.priority) ? task.priority : 'medium',
+    due_date: dueDate && !Number.isNaN(dueDate.getTime()) ? dueDate : null,
+    estimated_hours: Number(task.estimated_hours) > 0 ? String(task.estimated_hours) : '',
+    assigned_to: assignee === null || assignee === undefined ? UNASSIGNED : String(assignee),
+  };
+}
+
+export function toDueDatePayload(date) {
+  if (!date) return null;
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 0);
+  return endOfDay.toISOString();
+}
+
+export function toAssigneePayload(value) {
+  if (!value || value === UNASSIGNED) return null;
+  const numericId = Number(value);
+  return Number.isInteger(numericId) ? numericId : value;
+}
+
+export function toTaskPayload(values) {
+  return {
+    title: values.title.trim(),
+    description: values.description.trim(),
+    priority: values.priority,
+    due_date: toDueDatePayload(values.due_date),
+    estimated_hours: values.estimated_hours === '' ? null : Number(values.estimated_hours),
+    assigned_to: toAssigneePayload(values.assigned_to),
+  };
+}
+
+export function mapServerFieldErrors(errors) {
+  if (!errors) return [];
+  return Object.entries(errors).filter(([field]) => TASK_FORM_FIELDS.includes(field));
+}
+
+export function applyServerFieldErrors(setError, errors) {
+  const fieldErrors = mapServerFieldErrors(errors);
+  fieldErrors.forEach(([field, message], index) => {
+    setError(field, { type: 'server', message }, { shouldFocus: index === 0 });
+  });
+  return fieldErrors.length;
+}
+
+export function diffTaskPayload(task, values) {
+  const original = toTaskPayload(taskToFormValues(task));
+  const next = toTaskPayload(values);
+  return Object.fromEntries(
+    Object.entries(next).filter(([field, value]) => value !== original[field]),
+  );
+}
@@ -0,0 +1,95 @@
+import { z } from 'zod';
+
+import { taskFormSchema, taskToFormValues, toTaskPayload } from './task-form.js';
+
+export const GENERATION_COUNTS = ['3', '5', '8', '10'];
+export const DRAFT_STATES = ['proposed', 'accepted', 'rejected'];
+
+export const generationRequestSchema = z.object({
+  goal: z.string().trim().min(10, 'Describe the goal in at least 10 characters.').max(2000, 'Keep the goal under 2000 characters.'),
+  project: z.string().trim().max(200, 'Keep the project name under 200 characters.'),
+  constraints: z.string().trim().max(2000, 'Keep the constraints under 2000 characters.'),
+  count: z.enum(GENERATION_COUNTS),
+});
+
+export function createEmptyGenerationRequest() {
+  return { goal: '', project: '', constraints: '', count: '5' };
+}
+
+export function buildGenerationContext(request, { replace = null, existingTitles = [] } = {}) {
+  const context = {
+    goal: request.goal.trim(),
+    max_tasks: replace ? 1 : Number(request.count),
+  };
+  if (request.project.trim()) context.project = request.project.trim();
+  if (request.constraints.trim()) context.constraints = request.constraints.trim();
+  if (replace) context.replace_task = { title: replace.title, description: replace.description };
+  if (existingTitles.length) context.existing_tasks = existingTitles;
+  return context;
+}
+
+function createDraftId() {
+  return `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toDraft(raw) {
+  const source = typeof raw === 'string' ? { title: raw } : raw || {};
+  const title = String(source.title || source.name || '').trim();
+  if (!title) return null;
+
+  return {
+    id: createDraftId(),
+    state: 'proposed',
+    values: taskToFormValues({
+      title,
+      description: source.description,
+      priority: String(source.priority || '').toLowerCase(),
+      due_date: source.due_date,
+      estimated_hours: source.estimated_hours ?? source.estimate_hours,
+      assigned_to: source.assigned_to,
+    }),
+    aiContext: String(source.ai_context || source.reasoning || source.rationale || '').trim(),
+    taskId: null,
+    error: '',
+    fieldErrors: null,
+  };
+}
+
+export function normalizeGenerationResult(response = {}) {
+  const list = response.tasks ?? response.generated_tasks ?? response.data?.tasks ?? [];
+  const summary = [response.summary, response.analysis, response.ai_response].find((value) => typeof value === 'string');
+  return {
+    drafts: (Array.isArray(list) ? list : []).map(toDraft).filter(Boolean),
+    summary: summary?.trim() || '',
+  };
+}
+
+export function draftFieldErrors(values) {
+  const result = taskFormSchema.safeParse(values);
+  if (result.success) return null;
+  return Object.fromEntries(result.error.issues.map((issue) => [issue.path[0], issue.message]).reverse());
+}
+
+export function draftToTaskPayload(draft) {
+  return {
+    ...toTaskPayload(draft.values),
+    is_ai_generated: true,
+    ai_context: draft.aiContext || null,
+  };
+}
+
+export function updateDraft(drafts, draftId, changes) {
+  return drafts.map((draft) => (draft.id === draftId ? { ...draft, ...changes } : draft));
+}
+
+export function replaceDraft(drafts, draftId, replacement) {
+  return drafts.map((draft) => (draft.id === draftId ? replacement : draft));
+}
+
+export function mergeRegeneratedDrafts(drafts, generated) {
+  return [...drafts.filter((draft) => draft.state === 'accepted'), ...generated];
+}
+
+export function summarizeDrafts(drafts) {
+  return Object.fromEntries(DRAFT_STATES.map((state) => [state, drafts.filter((draft) => draft.state === state).length]));
+}
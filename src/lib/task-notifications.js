@@ -0,0 +1,100 @@
+const PREFERENCE_STORAGE_PREFIX = 'ai_agent_task_notifications';
+
+export const NOTIFICATION_OPTIONS = [
+  { kind: 'assignment', label: 'Assignee changes', description: 'Notify the chat when you assign a task to someone.' },
+  { kind: 'completion', label: 'Completed tasks', description: 'Notify the chat when you mark a task completed.' },
+];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = { assignment: true, completion: true };
+
+function assigneeOf(task = {}) {
+  // An explicit `assigned_to: null` in the update wins over the stale `assignee_info`.
+  const assignee = 'assigned_to' in task ? task.assigned_to : task.assignee_info?.id;
+  return assignee === undefined || assignee === '' ? null : assignee;
+}
+
+export function taskNotifications(previousTask, nextTask, preferences = DEFAULT_NOTIFICATION_PREFERENCES) {
+  if (!nextTask) return [];
+  const notifications = [];
+  const assignee = assigneeOf(nextTask);
+  if (preferences.assignment && assignee !== null && String(assignee) !== String(assigneeOf(previousTask))) {
+    notifications.push({ kind: 'assignment', taskId: nextTask.id, title: nextTask.title || '' });
+  }
+  if (preferences.completion && nextTask.status === 'completed' && previousTask?.status !== 'completed') {
+    notifications.push({ kind: 'completion', taskId: nextTask.id, title: nextTask.title || '' });
+  }
+  return notifications;
+}
+
+// Saves one task change optimistically. Only a failed save rolls the task back: notifications are
+// built from the saved task straight away, and a failed stats refresh afterwards is ignored.
+export async function applyTaskUpdate(taskId, previousTask, updates, {
+  save,
+  replaceTask,
+  notify,
+  refreshStats,
+  preferences = DEFAULT_NOTIFICATION_PREFERENCES,
+}) {
+  if (previousTask) replaceTask({ ...previousTask, ...updates });
+  let response;
+  try {
+    response = await save(taskId, updates);
+    if (response.status !== 'success') throw new Error(response.message || 'The task could not be updated.');
+  } catch (requestError) {
+    if (previousTask) replaceTask(previousTask);
+    throw requestError;
+  }
+  const savedTask = response.task || { ...previousTask, ...updates, id: taskId };
+  if (response.task) replaceTask(response.task);
+  notify(taskNotifications(previousTask, savedTask, preferences));
+  refreshStats().catch(() => {});
+  return savedTask;
+}
+
+// Backends that do not echo the updated tasks still tell us which ids failed; the rest got `updates`.
+export function bulkTaskNotifications(previousTasks, summary, requestedIds, updates, preferences = DEFAULT_NOTIFICATION_PREFERENCES) {
+  const previousById = new Map(previousTasks.map((task) => [String(task.id), task]));
+  const failed = new Set(summary.failedIds.map(String));
+  const nextTasks = summary.updatedTasks.length
+    ? summary.updatedTasks
+    : requestedIds.filter((id) => !failed.has(String(id))).map((id) => ({ ...previousById.get(String(id)), ...updates, id }));
+  return nextTasks.flatMap((task) => taskNotifications(previousById.get(String(task.id)), task, preferences));
+}
+
+export function describeNotificationFailures(failures) {
+  if (!failures.length) return '';
+  if (failures.length === 1) {
+    const [failure] = failures;
+    const subject = failure.title ? `“${failure.title}”` : `task #${failure.taskId}`;
+    return `The ${failure.kind} notification for ${subject} could not be sent to Telegram: ${failure.message}`;
+  }
+  return `${failures.length} Telegram notifications could not be sent: ${failures[0].message}`;
+}
+
+export function normalizeNotificationPreferences(raw) {
+  return Object.fromEntries(Object.entries(DEFAULT_NOTIFICATION_PREFERENCES).map(([kind, fallback]) => [
+    kind,
+    typeof raw?.[kind] === 'boolean' ? raw[kind] : fallback,
+  ]));
+}
+
+export function createNotificationPreferenceStore(storage) {
+  const keyFor = (userId) => `${PREFERENCE_STORAGE_PREFIX}:${userId ?? 'anonymous'}`;
+
+  return {
+    get: (userId) => {
+      try {
+        return normalizeNotificationPreferences(JSON.parse(storage?.getItem(keyFor(userId)) || 'null'));
+      } catch {
+        return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+      }
+    },
+    set: (userId, preferences) => {
+      const normalized = normalizeNotificationPreferences(preferences);
+      storage?.setItem(keyFor(userId), JSON.stringify(normalized));
+      return normalized;
+    },
+  };
+}
+
+export const notificationPreferenceStore = createNotificationPreferenceStore(typeof window === 'undefined' ? null : window.localStorage);
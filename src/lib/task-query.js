@@ -0,0 +1,278 @@
+import { TASK_PRIORITIES } from './task-form.js';
+
+export const TASK_PAGE_SIZE = 20;
+export const TASK_STATUSES = ['pending', 'in_progress', 'completed'];
+export const TASK_SOURCES = ['ai', 'manual'];
+
+export const SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'due_date:asc', label: 'Due soonest' },
+  { value: 'priority:desc', label: 'Highest priority' },
+  { value: 'updated_at:desc', label: 'Recently updated' },
+  { value: 'title:asc', label: 'Title A–Z' },
+];
+
+export const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+export const DEFAULT_TASK_VIEW = {
+  status: [],
+  search: '',
+  sort: DEFAULT_SORT,
+  page: 1,
+  assignee: [],
+  priority: [],
+  creator: '',
+  source: '',
+  overdue: false,
+  dueFrom: '',
+  dueTo: '',
+  hoursMin: '',
+  hoursMax: '',
+};
+
+const SEARCH_PARAM_KEYS = {
+  status: 'status',
+  search: 'q',
+  sort: 'sort',
+  page: 'page',
+  assignee: 'assignee',
+  priority: 'priority',
+  creator: 'creator',
+  source: 'source',
+  overdue: 'overdue',
+  dueFrom: 'due_from',
+  dueTo: 'due_to',
+  hoursMin: 'hours_min',
+  hoursMax: 'hours_max',
+};
+
+const LIST_FIELDS = ['status', 'assignee', 'priority'];
+
+function positiveInteger(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+function isUserReference(value) {
+  return value === 'me' || /^\d+$/.test(value);
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+}
+
+export function toDayParam(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function fromDayParam(value) {
+  return isIsoDate(value) ? new Date(`${value}T00:00:00`) : undefined;
+}
+
+function normalizeHours(value) {
+  if (value === '' || value === null || value === undefined) return '';
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours >= 0 ? String(hours) : '';
+}
+
+function readList(value, isAllowed) {
+  const values = String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+  return [...new Set(values.filter(isAllowed))];
+}
+
+// Multi-value criteria used to be single strings with an 'all' sentinel; accept both.
+function asList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return value && value !== 'all' ? [String(value)] : [];
+}
+
+export function parseTaskSearchParams(searchParams) {
+  const params = new URLSearchParams(searchParams);
+  const read = (field) => params.get(SEARCH_PARAM_KEYS[field]) ?? '';
+
+  const sort = read('sort');
+  const creator = read('creator');
+  const source = read('source');
+  const dueFrom = read('dueFrom');
+  const dueTo = read('dueTo');
+  return {
+    status: readList(read('status'), (value) => TASK_STATUSES.includes(value)),
+    search: read('search').trim(),
+    sort: SORT_OPTIONS.some((option) => option.value === sort) ? sort : DEFAULT_SORT,
+    page: positiveInteger(read('page'), 1),
+    assignee: readList(read('assignee'), isUserReference),
+    priority: readList(read('priority'), (value) => TASK_PRIORITIES.includes(value)),
+    creator: isUserReference(creator) ? creator : '',
+    source: TASK_SOURCES.includes(source) ? source : '',
+    overdue: read('overdue') === 'true',
+    dueFrom: isIsoDate(dueFrom) ? dueFrom : '',
+    dueTo: isIsoDate(dueTo) ? dueTo : '',
+    hoursMin: normalizeHours(read('hoursMin')),
+    hoursMax: normalizeHours(read('hoursMax')),
+  };
+}
+
+export function toTaskSearchParams(view = {}) {
+  const params = new URLSearchParams();
+  Object.entries(SEARCH_PARAM_KEYS).forEach(([field, key]) => {
+    const value = view[field];
+    if (LIST_FIELDS.includes(field)) {
+      const values = asList(value);
+      if (values.length) params.set(key, values.join(','));
+      return;
+    }
+    if (value === undefined || value === null || value === '' || value === false) return;
+    if (String(value) === String(DEFAULT_TASK_VIEW[field])) return;
+    params.set(key, String(value));
+  });
+  return params;
+}
+
+function resolveUser(reference, currentUserId) {
+  if (reference !== 'me') return reference;
+  return currentUserId === null || currentUserId === undefined ? null : String(currentUserId);
+}
+
+function toCriteria(view) {
+  const criteria = { ...DEFAULT_TASK_VIEW, ...view };
+  LIST_FIELDS.forEach((field) => { criteria[field] = asList(criteria[field]); });
+  return criteria;
+}
+
+export function buildTaskQueryParams({ perPage = TASK_PAGE_SIZE, currentUserId = null, ...view } = {}) {
+  const criteria = toCriteria(view);
+  const [sortBy, sortOrder] = (SORT_OPTIONS.some((option) => option.value === criteria.sort) ? criteria.sort : DEFAULT_SORT).split(':');
+  const params = {
+    page: positiveInteger(criteria.page, 1),
+    per_page: positiveInteger(perPage, TASK_PAGE_SIZE),
+    sort_by: sortBy,
+    sort_order: sortOrder,
+  };
+
+  if (criteria.status.length) params.status = criteria.status.join(',');
+  if (criteria.priority.length) params.priority = criteria.priority.join(',');
+  const assignees = criteria.assignee.map((reference) => resolveUser(reference, currentUserId)).filter(Boolean);
+  if (assignees.length) params.assigned_to = assignees.join(',');
+  const creator = criteria.creator && resolveUser(criteria.creator, currentUserId);
+  if (creator) params.created_by = creator;
+  if (criteria.source) params.is_ai_generated = criteria.source === 'ai';
+  if (criteria.overdue) params.overdue = true;
+  if (criteria.dueFrom) params.due_after = criteria.dueFrom;
+  if (criteria.dueTo) params.due_before = criteria.dueTo;
+  if (criteria.hoursMin !== '') params.min_hours = Number(criteria.hoursMin);
+  if (criteria.hoursMax !== '') params.max_hours = Number(criteria.hoursMax);
+  const normalizedSearch = String(criteria.search || '').trim();
+  if (normalizedSearch) params.search = normalizedSearch;
+  return params;
+}
+
+function includesText(value, search) {
+  return String(value || '').toLowerCase().includes(search);
+}
+
+function isTaskOverdue(task, now) {
+  if (task.is_overdue) return true;
+  if (!task.due_date || task.status === 'completed') return false;
+  const dueDate = new Date(task.due_date);
+  return !Number.isNaN(dueDate.getTime()) && dueDate < now;
+}
+
+export function taskMatchesCriteria(task, view = {}, { currentUserId = null, now = new Date() } = {}) {
+  const criteria = toCriteria(view);
+  if (criteria.status.length && !criteria.status.includes(task.status)) return false;
+  if (criteria.priority.length && !criteria.priority.includes(task.priority)) return false;
+
+  if (criteria.assignee.length) {
+    const assigneeId = String(task.assigned_to ?? task.assignee_info?.id ?? '');
+    const allowed = criteria.assignee.map((reference) => resolveUser(reference, currentUserId));
+    if (!assigneeId || !allowed.includes(assigneeId)) return false;
+  }
+
+  if (criteria.creator) {
+    const creatorId = String(task.created_by ?? task.creator_info?.id ?? '');
+    if (!creatorId || creatorId !== resolveUser(criteria.creator, currentUserId)) return false;
+  }
+
+  if (criteria.source === 'ai' && !task.is_ai_generated) return false;
+  if (criteria.source === 'manual' && task.is_ai_generated) return false;
+  if (criteria.overdue && !isTaskOverdue(task, now)) return false;
+
+  if (criteria.dueFrom || criteria.dueTo) {
+    const dueDate = task.due_date ? new Date(task.due_date) : null;
+    if (!dueDate || Number.isNaN(dueDate.getTime())) return false;
+    if (criteria.dueFrom && dueDate < new Date(`${criteria.dueFrom}T00:00:00`)) return false;
+    if (criteria.dueTo && dueDate > new Date(`${criteria.dueTo}T23:59:59.999`)) return false;
+  }
+
+  if (criteria.hoursMin !== '' || criteria.hoursMax !== '') {
+    const hours = Number(task.estimated_hours);
+    if (!Number.isFinite(hours)) return false;
+    if (criteria.hoursMin !== '' && hours < Number(criteria.hoursMin)) return false;
+    if (criteria.hoursMax !== '' && hours > Number(criteria.hoursMax)) return false;
+  }
+
+  const search = criteria.search.toLowerCase();
+  if (search) {
+    return includesText(task.title, search)
+      || includesText(task.description, search)
+      || includesText(task.assignee_info?.username, search);
+  }
+  return true;
+}
+
+const STATUS_LABELS = { pending: 'Pending', in_progress: 'In progress', completed: 'Completed' };
+
+export function activeFilterChips(view = {}, { userLabel = (id) => `User #${id}` } = {}) {
+  const criteria = toCriteria(view);
+  const personLabel = (reference) => (reference === 'me' ? 'me' : userLabel(reference));
+  const chips = [];
+
+  criteria.status.forEach((status) => chips.push({ field: 'status', value: status, label: `Status: ${STATUS_LABELS[status]}` }));
+  criteria.priority.forEach((priority) => chips.push({ field: 'priority', value: priority, label: `Priority: ${priority}` }));
+  criteria.assignee.forEach((assignee) => chips.push({ field: 'assignee', value: assignee, label: `Assignee: ${personLabel(assignee)}` }));
+  if (criteria.creator) chips.push({ field: 'creator', label: `Created by: ${personLabel(criteria.creator)}` });
+  if (criteria.source) chips.push({ field: 'source', label: criteria.source === 'ai' ? 'AI generated' : 'Created manually' });
+  if (criteria.overdue) chips.push({ field: 'overdue', label: 'Overdue' });
+  if (criteria.dueFrom) chips.push({ field: 'dueFrom', label: `Due from ${criteria.dueFrom}` });
+  if (criteria.dueTo) chips.push({ field: 'dueTo', label: `Due until ${criteria.dueTo}` });
+  if (criteria.hoursMin !== '') chips.push({ field: 'hoursMin', label: `≥ ${criteria.hoursMin}h estimated` });
+  if (criteria.hoursMax !== '') chips.push({ field: 'hoursMax', label: `≤ ${criteria.hoursMax}h estimated` });
+  if (criteria.search) chips.push({ field: 'search', label: `Search: “${criteria.search}”` });
+
+  return chips.map((chip) => ({ ...chip, id: `${chip.field}:${chip.value ?? ''}` }));
+}
+
+export function removeFilterChip(view, chip) {
+  if (LIST_FIELDS.includes(chip.field)) {
+    return { [chip.field]: asList(view[chip.field]).filter((value) => value !== chip.value) };
+  }
+  return { [chip.field]: DEFAULT_TASK_VIEW[chip.field] };
+}
+
+export function normalizePagination(response = {}, params = {}) {
+  const meta = response.pagination || response.meta || response;
+  const perPage = positiveInteger(meta.per_page ?? meta.perPage, params.per_page || TASK_PAGE_SIZE);
+  const page = positiveInteger(meta.page ?? meta.current_page, params.page || 1);
+  const taskCount = Array.isArray(response.tasks) ? response.tasks.length : 0;
+  const reportedTotal = Number(meta.total ?? meta.total_items ?? meta.total_count);
+  const total = Number.isInteger(reportedTotal) && reportedTotal >= 0 ? reportedTotal : (page - 1) * perPage + taskCount;
+  const pages = positiveInteger(meta.pages ?? meta.total_pages, Math.max(1, Math.ceil(total / perPage)));
+
+  return { page, perPage, total, pages };
+}
+
+export function paginationRange(page, pages, siblings = 1) {
+  if (pages <= 5 + siblings * 2) return Array.from({ length: pages }, (_, index) => index + 1);
+
+  const start = Math.max(2, page - siblings);
+  const end = Math.min(pages - 1, page + siblings);
+  const range = [1];
+  if (start > 2) range.push('ellipsis-start');
+  for (let current = start; current <= end; current += 1) range.push(current);
+  if (end < pages - 1) range.push('ellipsis-end');
+  range.push(pages);
+  return range;
+}
@@ -0,0 +1,154 @@
+export const REFINEMENT_PRESETS = [
+  { id: 'steps', label: 'Break into steps', instruction: 'Break this task into clear, ordered implementation steps.' },
+  { id: 'criteria', label: 'Add acceptance criteria', instruction: 'Add concise, testable acceptance criteria.' },
+  { id: 'clarify', label: 'Clarify scope', instruction: 'Clarify the scope, call out assumptions and list what is out of scope.' },
+];
+
+export const MAX_INSTRUCTION_LENGTH = 1000;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+export function buildRefinementRequest(task, instruction) {
+  const trimmed = String(instruction || '').trim();
+  if (!trimmed) throw new Error('Describe how the task should be refined.');
+  if (trimmed.length > MAX_INSTRUCTION_LENGTH) throw new Error(`Keep the instruction under ${MAX_INSTRUCTION_LENGTH} characters.`);
+
+  return {
+    message: [
+      `Refine the task "${task.title}". ${trimmed}`,
+      'Reply with a JSON block of the form {"description": "...", "ai_context": "..."} containing the complete new description and the reasoning behind it.',
+    ].join('\n'),
+    context: {
+      instruction: trimmed,
+      refine_task: {
+        id: task.id,
+        title: task.title,
+        description: task.description || '',
+        ai_context: task.ai_context || '',
+        priority: task.priority,
+        estimated_hours: task.estimated_hours ?? null,
+      },
+    },
+  };
+}
+
+const JSON_BLOCK = /```(?:json)?\s*\n([\s\S]*?)```/i;
+
+function parseJsonObject(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function pickString(...values) {
+  return values.find((value) => typeof value === 'string');
+}
+
+// Backends may return the refinement as fields on the response, nested under `refinement`/`task`,
+// as a fenced or bare JSON reply, or as plain text that becomes the new description.
+export function normalizeRefinement(response = {}, task = {}) {
+  // Only `reply`/`response` carry the model output; `message` is a status line like "Message processed".
+  const reply = pickString(response.reply, response.response) || '';
+  const fenced = reply.match(JSON_BLOCK);
+  const fromReply = fenced ? parseJsonObject(fenced[1]) : parseJsonObject(reply.trim());
+  const source = [response.refinement, response.task, fromReply, response]
+    .find((candidate) => candidate && typeof candidate === 'object' && pickString(candidate.description, candidate.ai_context, candidate.context));
+
+  const current = { description: task.description || '', aiContext: task.ai_context || '' };
+  let proposal;
+  let note = '';
+  if (source) {
+    proposal = {
+      description: pickString(source.description) ?? current.description,
+      aiContext: pickString(source.ai_context, source.context, source.reasoning) ?? current.aiContext,
+    };
+    if (fenced) note = reply.replace(fenced[0], '').trim();
+  } else if (reply.trim()) {
+    proposal = { description: reply.trim(), aiContext: current.aiContext };
+  } else {
+    throw new Error('The agent did not propose a refinement.');
+  }
+
+  const description = proposal.description.trim().slice(0, MAX_DESCRIPTION_LENGTH);
+  const aiContext = proposal.aiContext.trim();
+  return {
+    description,
+    aiContext,
+    note,
+    changed: {
+      description: description !== current.description.trim(),
+      aiContext: aiContext !== current.aiContext.trim(),
+    },
+  };
+}
+
+export function refinementChanges(refinement) {
+  const changes = {};
+  if (refinement.changed.description) changes.description = refinement.description;
+  if (refinement.changed.aiContext) changes.ai_context = refinement.aiContext || null;
+  return changes;
+}
+
+function splitLines(text) {
+  return text ? String(text).replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+// Longest-common-subsequence line diff; task descriptions are short enough for the quadratic table.
+export function diffLines(before, after) {
+  const left = splitLines(before);
+  const right = splitLines(after);
+  const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = left[i] === right[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      operations.push({ type: 'same', text: left[i] });
+      i += 1;
+      j += 1;
+    } else if (i < left.length && (j === right.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: 'removed', text: left[i] });
+      i += 1;
+    } else {
+      operations.push({ type: 'added', text: right[j] });
+      j += 1;
+    }
+  }
+  return operations;
+}
+
+// Pairs removals with the additions that replace them so both columns stay aligned.
+export function sideBySideRows(before, after) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index += 1) {
+      rows.push({
+        left: index < removed.length ? { type: 'removed', text: removed[index] } : null,
+        right: index < added.length ? { type: 'added', text: added[index] } : null,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffLines(before, after).forEach((operation) => {
+    if (operation.type === 'removed') removed.push(operation.text);
+    else if (operation.type === 'added') added.push(operation.text);
+    else {
+      flush();
+      rows.push({ left: { type: 'same', text: operation.text }, right: { type: 'same', text: operation.text } });
+    }
+  });
+  flush();
+  return rows;
+}
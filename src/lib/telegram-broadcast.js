@@ -0,0 +1,82 @@
+import { z } from 'zod';
+
+const HISTORY_STORAGE_KEY = 'ai_agent_telegram_broadcasts';
+const MAX_HISTORY = 50;
+const MAX_TITLE_LENGTH = 100;
+
+// Telegram rejects text messages longer than 4096 characters.
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+export const BROADCAST_WARNING_RATIO = 0.9;
+
+export const BROADCAST_EMOJIS = ['📢', '🚀', '✅', '⚠️', '🎉', '📌', '🛠️', '📊', '🔥', '💡', '⏰', '🙌'];
+
+export function createEmptyBroadcast() {
+  return { title: '', emoji: BROADCAST_EMOJIS[0], message: '' };
+}
+
+// Mirrors the backend layout: the emoji and title on the first line, a blank line, then the body.
+export function formatBroadcast({ title = '', emoji = '', message = '' } = {}) {
+  const heading = [emoji, title.trim()].filter(Boolean).join(' ');
+  return [heading, message.trim()].filter(Boolean).join('\n\n');
+}
+
+export function broadcastLength(values) {
+  return formatBroadcast(values).length;
+}
+
+export const broadcastSchema = z.object({
+  title: z.string().trim().min(1, 'Enter a title.').max(MAX_TITLE_LENGTH, `Keep the title under ${MAX_TITLE_LENGTH} characters.`),
+  emoji: z.string().min(1, 'Pick an emoji.').max(16),
+  message: z.string().trim().min(1, 'Write a message.'),
+}).refine((values) => broadcastLength(values) <= TELEGRAM_MESSAGE_LIMIT, {
+  message: `Telegram messages are limited to ${TELEGRAM_MESSAGE_LIMIT} characters including the title.`,
+  path: ['message'],
+});
+
+export function normalizeBroadcast(raw = {}) {
+  const message = String(raw.message || '').trim();
+  if (raw.id === undefined || raw.id === null || !message) return null;
+  return {
+    id: raw.id,
+    title: String(raw.title || '').trim(),
+    emoji: String(raw.emoji || ''),
+    message,
+    sentAt: raw.sentAt || null,
+    sentBy: raw.sentBy || null,
+  };
+}
+
+function createLocalId() {
+  return `broadcast-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Sent broadcasts are only known to the browser that sent them; newest first.
+export function createBroadcastHistoryStore(storage) {
+  const read = () => {
+    try {
+      const stored = JSON.parse(storage?.getItem(HISTORY_STORAGE_KEY) || '[]');
+      return (Array.isArray(stored) ? stored : []).map(normalizeBroadcast).filter(Boolean);
+    } catch {
+      return [];
+    }
+  };
+
+  const write = (entries) => {
+    const kept = entries.slice(0, MAX_HISTORY);
+    storage?.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+    return kept;
+  };
+
+  return {
+    list: () => read(),
+    add: ({ title, emoji, message }, sentBy = null, now = new Date()) => {
+      const entry = normalizeBroadcast({ id: createLocalId(), title, emoji, message, sentAt: now.toISOString(), sentBy });
+      if (!entry) throw new Error('Write a message.');
+      return write([entry, ...read()]);
+    },
+    remove: (entryId) => write(read().filter((entry) => entry.id !== entryId)),
+    clear: () => write([]),
+  };
+}
+
+export const broadcastHistoryStore = createBroadcastHistoryStore(typeof window === 'undefined' ? null : window.localStorage);
@@ -0,0 +1,135 @@
+import { toServiceState } from './service-health.js';
+
+export const TELEGRAM_STATES = {
+  connected: { label: 'Connected', className: 'bg-green-100 text-green-800 border-green-200' },
+  configured: { label: 'Configured, not verified', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  not_configured: { label: 'Not configured', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  error: { label: 'Not working', className: 'bg-red-100 text-red-800 border-red-200' },
+  unknown: { label: 'Unknown', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+};
+
+const SETUP_STEPS = [
+  'Set the bot token from @BotFather and the target chat ID in the backend Telegram settings (commonly TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID).',
+  'Restart the backend so it picks up the new settings, then refresh this page.',
+];
+
+// Telegram Bot API errors the backend usually passes through verbatim.
+const TELEGRAM_ERRORS = [
+  {
+    pattern: /unauthorized|invalid (bot )?token/i,
+    summary: 'Telegram rejected the bot token.',
+    steps: ['Copy the token again from @BotFather; revoked or regenerated tokens stop working immediately.', ...SETUP_STEPS.slice(1)],
+  },
+  {
+    pattern: /chat not found|invalid chat/i,
+    summary: 'Telegram could not find the configured chat.',
+    steps: [
+      'Check the chat ID; group and channel IDs are negative numbers such as -1001234567890.',
+      'Send any message to the bot or group first so the chat exists for the bot.',
+    ],
+  },
+  {
+    pattern: /blocked by the user|bot was kicked|not a member|not enough rights|forbidden/i,
+    summary: 'The bot is not allowed to post in the configured chat.',
+    steps: [
+      'Add the bot to the group or channel, or unblock it in the private chat.',
+      'In channels, make the bot an administrator with permission to post messages.',
+    ],
+  },
+  {
+    pattern: /too many requests|retry after|flood/i,
+    summary: 'Telegram is rate limiting the bot.',
+    steps: ['Wait a minute before testing again; Telegram lifts the limit automatically.'],
+  },
+];
+
+function readFlag(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  const state = toServiceState(value);
+  if (state === 'unknown') return ['yes', 'true', 'set', 'configured', 'enabled'].includes(String(value).toLowerCase()) || null;
+  return state === 'healthy';
+}
+
+function readText(value) {
+  if (!value) return '';
+  return typeof value === 'string' ? value : String(value.message || JSON.stringify(value));
+}
+
+export function normalizeTelegramStatus(response = {}) {
+  const source = response.telegram ?? response.data ?? response;
+  const bot = source.bot_info ?? source.bot ?? {};
+  const botTokenSet = readFlag(source.bot_token_configured ?? source.bot_token_set ?? source.has_bot_token);
+  const chatIdSet = readFlag(source.chat_id_configured ?? source.chat_id_set ?? source.has_chat_id);
+  const configured = readFlag(source.configured ?? source.is_configured ?? source.enabled)
+    ?? (botTokenSet === null || chatIdSet === null ? null : botTokenSet && chatIdSet);
+  const connection = source.connected ?? source.connection ?? source.bot_status ?? source.state;
+  const lastError = readText(source.last_error ?? source.error);
+
+  let state = 'unknown';
+  if (configured === false || botTokenSet === false || chatIdSet === false) state = 'not_configured';
+  else if (toServiceState(connection) === 'healthy') state = 'connected';
+  else if (toServiceState(connection) === 'down' || lastError) state = 'error';
+  else if (configured) state = 'configured';
+
+  return {
+    state,
+    configured,
+    botTokenSet,
+    chatIdSet,
+    botUsername: bot.username ? String(bot.username).replace(/^@?/, '@') : '',
+    chatId: source.chat_id === undefined || source.chat_id === null ? '' : String(source.chat_id),
+    lastError,
+  };
+}
+
+export function normalizeTelegramTest(response = {}) {
+  const passed = response.status === 'success' && response.success !== false && response.sent !== false;
+  return {
+    passed,
+    message: readText(response.message ?? response.error) || (passed ? 'Test message sent.' : 'The backend reported that the test failed.'),
+  };
+}
+
+// `failure` is apiUtils.handleError output, or `{ message }` when the backend answered with an unsuccessful status.
+export function telegramFailureGuidance({ status, message = '' } = {}) {
+  if (status === 0) {
+    return {
+      summary: 'The backend did not answer.',
+      steps: [
+        'Check that the backend is running and that the configured API URL is correct.',
+        'If the request timed out, the backend may be unable to reach api.telegram.org; check its outbound network or proxy settings.',
+      ],
+    };
+  }
+  if (status === 401) return { summary: 'Your session has expired.', steps: ['Sign in again and retry.'] };
+  if (status === 403) {
+    return { summary: 'Your account may not manage integrations.', steps: ['Ask an administrator to confirm your role on the backend.'] };
+  }
+
+  const known = TELEGRAM_ERRORS.find((entry) => entry.pattern.test(message));
+  if (known) return { summary: known.summary, steps: known.steps };
+
+  if (status === undefined || status === null || status === 200) {
+    return {
+      summary: 'The backend answered, but its Telegram integration reported a problem.',
+      steps: [...SETUP_STEPS, 'Check the backend logs for the Telegram API response.'],
+    };
+  }
+  if (status === 404 || status === 405 || status === 501) {
+    return {
+      summary: 'The backend does not expose the Telegram endpoints.',
+      steps: ['Enable or deploy the Telegram integration on the backend (/api/telegram/status and /api/telegram/test).'],
+    };
+  }
+  if (status === 400 || status === 422) return { summary: 'The Telegram integration is not fully configured.', steps: SETUP_STEPS };
+  if (status === 429) return { summary: 'Too many requests.', steps: ['Wait a minute before testing again.'] };
+  return {
+    summary: 'The backend failed while talking to Telegram.',
+    steps: [
+      'Check that the bot token and chat ID are correct and that the bot can post in the chat.',
+      'Check that the backend can reach api.telegram.org.',
+      'Check the backend logs for the Telegram API response.',
+    ],
+  };
+}
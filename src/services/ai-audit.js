@@ -0,0 +1,70 @@
+import { aiAuditAPI, apiUtils, tokenManager } from './api';
+import { auditOutcomePayload, createAuditEntry, normalizeAuditEntries, normalizeAuditEntry } from '../lib/ai-audit';
+
+// Without the backend endpoint nothing is recorded: a log kept in the browser could be edited by anyone using it.
+let endpointUnsupported = false;
+
+function toPayload(entry) {
+  return {
+    operation: entry.operation,
+    user_id: entry.userId,
+    input: entry.input,
+    output: entry.output,
+    error: entry.error,
+    accepted: entry.accepted,
+    created_task_ids: entry.createdTaskIds,
+    created_at: entry.createdAt,
+  };
+}
+
+// Auditing must never break the AI feature itself, so these helpers swallow their own failures.
+export async function recordAiOperation(details) {
+  if (endpointUnsupported) return null;
+  const entry = createAuditEntry({ ...details, user: tokenManager.getUser() });
+  try {
+    const saved = normalizeAuditEntry((await aiAuditAPI.create(toPayload(entry))).entry);
+    return saved ? saved.id : null;
+  } catch (requestError) {
+    if (apiUtils.isUnsupportedEndpoint(requestError)) endpointUnsupported = true;
+    return null;
+  }
+}
+
+export async function recordAiOutcome(entryId, outcome) {
+  const id = await entryId;
+  if (id === null || id === undefined) return;
+  try {
+    await aiAuditAPI.update(id, auditOutcomePayload(outcome));
+  } catch {
+    // The outcome is best effort; the original entry is already recorded.
+  }
+}
+
+// Runs an AI request and records it. Resolves with the response and a promise of the entry id.
+export async function runAudited(operation, input, request) {
+  let output;
+  try {
+    output = await request();
+  } catch (requestError) {
+    if (!apiUtils.isCancellation(requestError)) {
+      recordAiOperation({ operation, input, error: apiUtils.handleError(requestError).message });
+    }
+    throw requestError;
+  }
+  const failed = output?.status && output.status !== 'success';
+  const auditId = recordAiOperation(failed
+    ? { operation, input, error: output.message || 'The AI service reported an error.' }
+    : { operation, input, output });
+  return { output, auditId };
+}
+
+// Resolves with `available: false` when the backend has no audit endpoint.
+export async function listAiAudit(params = {}) {
+  try {
+    return { entries: normalizeAuditEntries((await aiAuditAPI.list(params)).entries), available: true };
+  } catch (requestError) {
+    if (!apiUtils.isUnsupportedEndpoint(requestError)) throw requestError;
+    endpointUnsupported = true;
+    return { entries: [], available: false };
+  }
+}
@@ -1,9 +1,11 @@
 import axios from 'axios';
 
 import { runtimeConfig } from '../config/runtime';
+import { readTokenStream } from '../lib/sse';
 import { tokenManager } from './session';
 
 export const API_BASE_URL = runtimeConfig.apiBaseUrl;
+export const REGISTRATION_ENABLED = runtimeConfig.registrationEnabled;
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -21,7 +23,7 @@ let refreshPromise = null;
 
 function isAuthenticationRequest(config = {}) {
   const url = String(config.url || '');
-  return url.includes('/auth/login') || url.includes('/auth/refresh');
+  return url.includes('/auth/login') || url.includes('/auth/refresh') || url.includes('/auth/register');
 }
 
 async function refreshAccessToken() {
@@ -37,6 +39,15 @@ async function refreshAccessToken() {
   return accessToken;
 }
 
+function refreshAccessTokenOnce() {
+  if (!refreshPromise) {
+    refreshPromise = refreshAccessToken().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
 api.interceptors.request.use((config) => {
   const token = tokenManager.getToken();
   if (token) {
@@ -64,12 +75,7 @@ api.interceptors.response.use(
 
     originalRequest._retry = true;
     try {
-      if (!refreshPromise) {
-        refreshPromise = refreshAccessToken().finally(() => {
-          refreshPromise = null;
-        });
-      }
-      const accessToken = await refreshPromise;
+      const accessToken = await refreshAccessTokenOnce();
       originalRequest.headers = originalRequest.headers || {};
       originalRequest.headers.Authorization = `Bearer ${accessToken}`;
       return api(originalRequest);
@@ -80,6 +86,79 @@ api.interceptors.response.use(
   },
 );
 
+// AI routes wait on model generations, so each uses its longer runtime-configured timeout.
+const aiTimeout = (endpoint) => runtimeConfig.aiTimeouts[endpoint] ?? runtimeConfig.aiTimeouts.default;
+const aiRequestConfig = (endpoint, { signal } = {}) => ({ timeout: aiTimeout(endpoint), signal });
+
+function streamError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+// Axios cannot read a response body incrementally in the browser, so streamed AI replies use
+// fetch with the same bearer token, single shared refresh and handleError-compatible errors.
+async function postStream(path, body, { signal, onToken, timeoutMs } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const abortFromCaller = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  const send = (token) => fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream, application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+    signal: controller.signal,
+  });
+
+  try {
+    resetIdleTimer();
+    let response = await send(tokenManager.getToken());
+    if (response.status === 401 && tokenManager.getRefreshToken()) {
+      try {
+        response = await send(await refreshAccessTokenOnce());
+      } catch (refreshError) {
+        if (refreshError?.name === 'AbortError') throw refreshError;
+        tokenManager.clearAll();
+        throw refreshError;
+      }
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) tokenManager.clearAll();
+      throw streamError(data.message || `Request failed with status ${response.status}.`, { response: { status: response.status, data } });
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json') || !response.body) return await response.json();
+    return await readTokenStream(response.body, {
+      eventStream: contentType.includes('text/event-stream'),
+      onToken,
+      onActivity: resetIdleTimer,
+    });
+  } catch (error) {
+    if (timedOut) throw streamError('The agent took too long to respond.', { code: 'ECONNABORTED' });
+    if (error?.name === 'AbortError') throw streamError('The request was cancelled.', { code: 'ERR_CANCELED' });
+    if (error instanceof TypeError) throw streamError(error.message, { request: {} });
+    throw error;
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+}
+
 export const healthAPI = {
   check: async () => {
     const response = await api.get('/health');
@@ -162,6 +241,10 @@ export const tasksAPI = {
     const response = await api.delete(`/tasks/${taskId}`);
     return response.data;
   },
+  getSubtasks: async (parentId) => {
+    const response = await api.get('/tasks', { params: { parent_task_id: parentId, per_page: 100 } });
+    return response.data;
+  },
   getTaskStats: async () => {
     const response = await api.get('/tasks/stats');
     return response.data;
@@ -176,25 +259,88 @@ export const tasksAPI = {
   },
 };
 
+export const savedViewsAPI = {
+  list: async () => {
+    const response = await api.get('/views');
+    return response.data;
+  },
+  create: async (view) => {
+    const response = await api.post('/views', view);
+    return response.data;
+  },
+  update: async (viewId, changes) => {
+    const response = await api.put(`/views/${viewId}`, changes);
+    return response.data;
+  },
+  remove: async (viewId) => {
+    const response = await api.delete(`/views/${viewId}`);
+    return response.data;
+  },
+};
+
+export const promptTemplatesAPI = {
+  list: async () => {
+    const response = await api.get('/prompt-templates');
+    return response.data;
+  },
+  create: async (template) => {
+    const response = await api.post('/prompt-templates', template);
+    return response.data;
+  },
+  update: async (templateId, changes) => {
+    const response = await api.put(`/prompt-templates/${templateId}`, changes);
+    return response.data;
+  },
+  remove: async (templateId) => {
+    const response = await api.delete(`/prompt-templates/${templateId}`);
+    return response.data;
+  },
+};
+
+export const aiAuditAPI = {
+  list: async (params = {}) => {
+    const response = await api.get('/ai-audit', { params });
+    return response.data;
+  },
+  create: async (entry) => {
+    const response = await api.post('/ai-audit', entry);
+    return response.data;
+  },
+  update: async (entryId, changes) => {
+    const response = await api.patch(`/ai-audit/${entryId}`, changes);
+    return response.data;
+  },
+};
+
 export const chatAPI = {
-  generateTasks: async (context = {}) => {
-    const response = await api.post('/chat/generate-tasks', context);
+  generateTasks: async (context = {}, options = {}) => {
+    const response = await api.post('/chat/generate-tasks', context, aiRequestConfig('generate_tasks', options));
     return response.data;
   },
-  analyzePerformance: async (timeframe = '30 days') => {
-    const response = await api.post('/chat/analyze-performance', { timeframe });
+  analyzePerformance: async (timeframe = '30 days', range = null, options = {}) => {
+    const response = await api.post('/chat/analyze-performance', { timeframe, ...range }, aiRequestConfig('analyze_performance', options));
     return response.data;
   },
-  suggestAssignment: async (taskInfo) => {
-    const response = await api.post('/chat/suggest-assignment', { task_info: taskInfo });
+  suggestAssignment: async (taskInfo, options = {}) => {
+    const response = await api.post('/chat/suggest-assignment', { task_info: taskInfo }, aiRequestConfig('suggest_assignment', options));
     return response.data;
   },
+  sendMessage: async (message, { history = [], conversationId = null, context = null, signal } = {}) => {
+    const payload = { message, history, conversation_id: conversationId, ...(context ? { context } : {}) };
+    const response = await api.post('/chat/message', payload, aiRequestConfig('chat_message', { signal }));
+    return response.data;
+  },
+  streamMessage: (message, { history = [], conversationId = null, context = null, signal, onToken } = {}) => postStream(
+    '/chat/message',
+    { message, history, conversation_id: conversationId, ...(context ? { context } : {}), stream: true },
+    { signal, onToken, timeoutMs: aiTimeout('chat_message') },
+  ),
   getServiceStatus: async () => {
     const response = await api.get('/chat/service-status');
     return response.data;
   },
-  testServices: async () => {
-    const response = await api.post('/chat/test-services');
+  testServices: async (options = {}) => {
+    const response = await api.post('/chat/test-services', {}, aiRequestConfig('test_services', options));
     return response.data;
   },
 };
@@ -226,6 +372,25 @@ export const telegramAPI = {
   },
 };
 
+export const reportSchedulesAPI = {
+  list: async () => {
+    const response = await api.get('/telegram/report-schedules');
+    return response.data;
+  },
+  create: async (schedule) => {
+    const response = await api.post('/telegram/report-schedules', schedule);
+    return response.data;
+  },
+  update: async (scheduleId, changes) => {
+    const response = await api.patch(`/telegram/report-schedules/${scheduleId}`, changes);
+    return response.data;
+  },
+  remove: async (scheduleId) => {
+    const response = await api.delete(`/telegram/report-schedules/${scheduleId}`);
+    return response.data;
+  },
+};
+
 function flattenValidationErrors(errors) {
   if (!errors || typeof errors !== 'object') return null;
   const messages = Object.values(errors)
@@ -234,12 +399,32 @@ function flattenValidationErrors(errors) {
   return messages.length ? messages.join(' ') : null;
 }
 
+// Backends without an optional resource answer with one of these; callers then fall back to this browser.
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+function normalizeFieldErrors(errors) {
+  if (!errors || typeof errors !== 'object' || Array.isArray(errors)) return null;
+  const entries = Object.entries(errors)
+    .map(([field, value]) => [field, (Array.isArray(value) ? value : [value]).filter((item) => typeof item === 'string')])
+    .filter(([, messages]) => messages.length)
+    .map(([field, messages]) => [field, messages.join(' ')]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
 export const apiUtils = {
   handleError: (error) => {
     if (runtimeConfig.configurationError) {
       return { status: 0, message: runtimeConfig.configurationError };
     }
 
+    if (apiUtils.isCancellation(error)) {
+      return { status: 0, message: 'The request was cancelled.', cancelled: true };
+    }
+
+    if (error.code === 'ECONNABORTED') {
+      return { status: 0, message: 'The request timed out. The service may be busy; please try again.' };
+    }
+
     if (error.response) {
       const { status, data = {} } = error.response;
       const validationMessage = flattenValidationErrors(data.errors);
@@ -253,6 +438,7 @@ export const apiUtils = {
       return {
         status,
         message: validationMessage || data.message || fallbackMessages[status] || 'The server could not complete the request.',
+        errors: normalizeFieldErrors(data.errors),
       };
     }
 
@@ -269,9 +455,14 @@ export const apiUtils = {
     };
   },
 
+  isCancellation: (error) => axios.isCancel(error) || error?.code === 'ERR_CANCELED' || error?.name === 'AbortError',
+  isUnsupportedEndpoint: (error) => UNSUPPORTED_STATUSES.includes(apiUtils.handleError(error).status),
+
   isAuthenticated: () => Boolean(tokenManager.getToken()),
   getCurrentUser: () => tokenManager.getUser(),
   isAdmin: () => tokenManager.getUser()?.role === 'admin',
+  // Admins can do everything managers can.
+  isManager: () => ['admin', 'manager'].includes(tokenManager.getUser()?.role),
 
   formatDate: (dateString) => {
     if (!dateString) return 'N/A';
@@ -301,5 +492,25 @@ export const apiUtils = {
   getStatusEmoji: (status) => ({ pending: '⏳', in_progress: '🔄', completed: '✅' }[status] || '⏳'),
 };
 
+// Remote-first access to an optional resource. Once the backend reports the endpoint as
+// unsupported, later calls go straight to the local stand-in.
+export function createFallbackStore() {
+  let mode = null;
+  return {
+    run: async (remote, local) => {
+      if (mode === 'local') return local();
+      try {
+        const result = await remote();
+        mode = 'remote';
+        return result;
+      } catch (requestError) {
+        if (!apiUtils.isUnsupportedEndpoint(requestError)) throw requestError;
+        mode = 'local';
+        return local();
+      }
+    },
+  };
+}
+
 export { tokenManager };
 export default api;
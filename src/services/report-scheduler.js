@@ -0,0 +1,41 @@
+import { SCHEDULER_INTERVAL_MS, dueOccurrence, scheduleClaimStore } from '../lib/report-schedules';
+import { listReportSchedules, sendScheduledReport } from './report-schedules';
+
+// Sends every local schedule whose run is due. Each run is claimed first so other open tabs skip it;
+// a failed send is retried with backoff, up to MAX_SEND_ATTEMPTS times. Schedules stored on the backend
+// need a server-side scheduler: claims only coordinate tabs of this browser, so two managers would both send them.
+export async function runDueReports(now = new Date()) {
+  const { schedules, mode } = await listReportSchedules();
+  if (mode !== 'local') return { mode, sent: 0 };
+  const due = schedules
+    .map((schedule) => ({ schedule, occurrence: dueOccurrence(schedule, now) }))
+    .filter(({ schedule, occurrence }) => occurrence && scheduleClaimStore.claim(schedule.id, occurrence, now));
+  for (const { schedule, occurrence } of due) {
+    await sendScheduledReport(schedule, now).catch(() => {
+      // The failure is stored on the schedule and shown with the retry time on the schedules card.
+      scheduleClaimStore.fail(schedule.id, occurrence, now);
+    });
+  }
+  return { mode, sent: due.length };
+}
+
+// Reports are sent by the browser of a signed-in manager or admin, so they only go out while one has the app open.
+export function startReportScheduler({ intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+  let running = false;
+  let interval = null;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { mode } = await runDueReports();
+      if (mode === 'remote') window.clearInterval(interval);
+    } catch {
+      // Schedules could not be loaded; try again on the next tick.
+    } finally {
+      running = false;
+    }
+  };
+  interval = window.setInterval(tick, intervalMs);
+  tick();
+  return () => window.clearInterval(interval);
+}
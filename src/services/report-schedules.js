@@ -0,0 +1,66 @@
+import { apiUtils, createFallbackStore, reportSchedulesAPI, telegramAPI } from './api';
+import {
+  localScheduleStore,
+  normalizeReportSchedule,
+  normalizeReportSchedules,
+  scheduleToPayload,
+} from '../lib/report-schedules';
+
+export const SCHEDULES_CHANGED_EVENT = 'report-schedules:changed';
+const storage = createFallbackStore();
+
+async function remoteSchedule(request) {
+  const response = await request();
+  if (response.status && response.status !== 'success') throw new Error(response.message || 'The schedule could not be saved.');
+  return normalizeReportSchedule(response.schedule);
+}
+
+function notifyChanged() {
+  if (typeof window !== 'undefined') window.dispatchEvent(new Event(SCHEDULES_CHANGED_EVENT));
+}
+
+export async function listReportSchedules() {
+  return storage.run(
+    async () => ({ schedules: normalizeReportSchedules((await reportSchedulesAPI.list()).schedules), mode: 'remote' }),
+    () => ({ schedules: localScheduleStore.list(), mode: 'local' }),
+  );
+}
+
+export async function createReportSchedule(values) {
+  const created = await storage.run(
+    () => remoteSchedule(() => reportSchedulesAPI.create(scheduleToPayload(values))),
+    () => localScheduleStore.create(values),
+  );
+  notifyChanged();
+  return created;
+}
+
+export async function updateReportSchedule(scheduleId, changes) {
+  const updated = await storage.run(
+    () => remoteSchedule(() => reportSchedulesAPI.update(scheduleId, changes)),
+    () => localScheduleStore.update(scheduleId, changes),
+  );
+  notifyChanged();
+  return updated;
+}
+
+export async function removeReportSchedule(scheduleId) {
+  await storage.run(() => reportSchedulesAPI.remove(scheduleId), () => localScheduleStore.remove(scheduleId));
+  notifyChanged();
+}
+
+// Sends the report and records the attempt on the schedule; rejects if Telegram did not accept it.
+export async function sendScheduledReport(schedule, now = new Date()) {
+  let lastError = '';
+  try {
+    const response = await telegramAPI.sendPerformanceReport(schedule.timeframe);
+    if (response.status !== 'success') throw new Error(response.message || 'The report could not be sent.');
+  } catch (requestError) {
+    lastError = apiUtils.handleError(requestError).message;
+  }
+  await updateReportSchedule(schedule.id, {
+    last_error: lastError,
+    ...(lastError ? {} : { last_sent_at: now.toISOString() }),
+  }).catch(() => {});
+  if (lastError) throw new Error(lastError);
+}
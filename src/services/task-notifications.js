@@ -0,0 +1,17 @@
+import { apiUtils, telegramAPI } from './api';
+
+const SENDERS = {
+  assignment: (taskId) => telegramAPI.notifyTaskAssignment(taskId),
+  completion: (taskId) => telegramAPI.notifyTaskCompletion(taskId),
+};
+
+// Resolves with the notifications that failed; never rejects, so callers can fire and forget.
+export async function sendTaskNotifications(notifications) {
+  const results = await Promise.allSettled(notifications.map(async (notification) => {
+    const response = await SENDERS[notification.kind](notification.taskId);
+    if (response?.status !== 'success') throw new Error(response?.message || 'Telegram did not accept the notification.');
+  }));
+  return results.flatMap((result, index) => (
+    result.status === 'rejected' ? [{ ...notifications[index], message: apiUtils.handleError(result.reason).message }] : []
+  ));
+}
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  auditOutcome,
+  auditOutcomePayload,
+  auditUsers,
+  capPayload,
+  createAuditEntry,
+  exportAuditEntries,
+  filterAuditEntries,
+  normalizeAuditEntry,
+} from '../src/lib/ai-audit.js';
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+test('creates entries with the acting user and no outcome yet', () => {
+  const entry = createAuditEntry({
+    operation: 'generate_tasks',
+    user: { id: 7, username: 'dana', full_name: 'Dana Smith' },
+    input: { goal: 'Launch' },
+    output: { status: 'success', tasks: [] },
+  }, NOW);
+
+  assert.equal('id' in entry, false);
+  assert.equal(entry.userId, 7);
+  assert.equal(entry.username, 'Dana Smith');
+  assert.equal(entry.createdAt, NOW.toISOString());
+  assert.deepEqual(entry.input, { goal: 'Launch' });
+  assert.equal(entry.accepted, null);
+  assert.equal(auditOutcome(entry), 'pending');
+  assert.throws(() => createAuditEntry({ operation: 'delete_everything' }), /Unknown AI operation/);
+});
+
+test('failed entries keep the error instead of the output', () => {
+  const entry = createAuditEntry({ operation: 'suggest_assignment', input: {}, output: { status: 'error' }, error: 'Timed out' }, NOW);
+  assert.equal(entry.output, null);
+  assert.equal(auditOutcome(entry), 'failed');
+});
+
+test('caps oversized payloads to a preview', () => {
+  assert.deepEqual(capPayload({ a: 1 }), { a: 1 });
+  assert.equal(capPayload(undefined), null);
+  const capped = capPayload({ text: 'x'.repeat(30_000) });
+  assert.equal(capped.truncated, true);
+  assert.equal(capped.preview.length, 20_000);
+});
+
+test('normalizes snake_case entries from the backend', () => {
+  assert.deepEqual(normalizeAuditEntry({
+    id: 3,
+    operation: 'analyze_performance',
+    user_id: 2,
+    created_at: '2026-03-01T00:00:00Z',
+    accepted: 'yes',
+    created_task_ids: [9],
+  }), {
+    id: 3,
+    operation: 'analyze_performance',
+    userId: 2,
+    username: null,
+    createdAt: '2026-03-01T00:00:00Z',
+    input: null,
+    output: null,
+    error: null,
+    accepted: null,
+    createdTaskIds: [9],
+  });
+  assert.equal(normalizeAuditEntry({ id: 1, operation: 'unknown' }), null);
+});
+
+test('outcome updates send only the change', () => {
+  assert.deepEqual(auditOutcomePayload({ accepted: true, createdTaskId: 11 }), { accepted: true, created_task_id: 11 });
+  assert.deepEqual(auditOutcomePayload({ accepted: false }), { accepted: false });
+  assert.deepEqual(auditOutcomePayload({ accepted: null }), { accepted: null });
+  assert.deepEqual(auditOutcomePayload({}), {});
+});
+
+test('filters by operation, user, outcome, created task and search text', () => {
+  const entries = [
+    { ...createAuditEntry({ operation: 'generate_tasks', user: { id: 1, username: 'ana' }, input: { goal: 'Billing revamp' } }, NOW), accepted: true, createdTaskIds: [5] },
+    createAuditEntry({ operation: 'suggest_assignment', user: { id: 2, username: 'ben' }, input: { title: 'Fix login' } }, NOW),
+    createAuditEntry({ operation: 'analyze_performance', user: { id: 2, username: 'ben' }, error: 'Timed out' }, NOW),
+  ];
+
+  assert.equal(filterAuditEntries(entries, { operation: 'suggest_assignment' }).length, 1);
+  assert.equal(filterAuditEntries(entries, { userId: '2' }).length, 2);
+  assert.equal(filterAuditEntries(entries, { outcome: 'failed' })[0].operation, 'analyze_performance');
+  assert.equal(filterAuditEntries(entries, { taskId: '5' })[0].username, 'ana');
+  assert.equal(filterAuditEntries(entries, { search: 'billing' }).length, 1);
+  assert.equal(filterAuditEntries(entries.map((entry, index) => ({ ...entry, id: index + 1 })), { entryId: '2' })[0].operation, 'suggest_assignment');
+  assert.deepEqual(auditUsers(entries), [{ id: '1', label: 'ana' }, { id: '2', label: 'ben' }]);
+});
+
+test('exports entries as JSON with a timestamp and count', () => {
+  const entry = createAuditEntry({ operation: 'generate_tasks' }, NOW);
+  const exported = JSON.parse(exportAuditEntries([entry], NOW));
+  assert.equal(exported.exported_at, NOW.toISOString());
+  assert.equal(exported.count, 1);
+  assert.deepEqual(exported.entries, [entry]);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildAssignmentRequest, normalizeAssignmentSuggestions } from '../src/lib/assignment-suggestions.js';
+
+const members = [
+  { id: 7, username: 'sara', full_name: 'Sara K' },
+  { id: 9, username: 'ali' },
+];
+
+test('sends the draft title, description, priority and estimate', () => {
+  assert.deepEqual(
+    buildAssignmentRequest({ title: ' Fix login ', description: '', priority: 'high', estimated_hours: '2.5', assigned_to: '7' }),
+    { title: 'Fix login', description: '', priority: 'high', estimated_hours: 2.5 },
+  );
+  assert.equal(buildAssignmentRequest({ title: 'x', description: '', priority: 'low', estimated_hours: '' }).estimated_hours, null);
+});
+
+test('ranks candidates by score, keeps the best entry per user and resolves names', () => {
+  const suggestions = normalizeAssignmentSuggestions({
+    suggestions: [
+      { user_id: 9, score: 0.4, reasoning: 'Has capacity' },
+      { username: 'SARA', confidence: 0.92, rationale: 'Owns auth' },
+      { user_id: 9, score: 0.9 },
+      { user_id: 42 },
+      { reason: 'no user' },
+    ],
+  }, members);
+  assert.deepEqual(suggestions, [
+    { userId: '7', name: 'Sara K', known: true, rationale: 'Owns auth', score: 92, rank: 1 },
+    { userId: '9', name: 'ali', known: true, rationale: '', score: 90, rank: 2 },
+    { userId: '42', name: 'User #42', known: false, rationale: '', score: null, rank: 3 },
+  ]);
+});
+
+test('accepts a single recommended user id', () => {
+  const [suggestion] = normalizeAssignmentSuggestions({ recommended_user_id: 7, reasoning: 'Best fit' }, members);
+  assert.equal(suggestion.name, 'Sara K');
+  assert.equal(suggestion.rationale, 'Best fit');
+  assert.deepEqual(normalizeAssignmentSuggestions({}, members), []);
+});
+
+test('decides the score scale once per response', () => {
+  const percent = normalizeAssignmentSuggestions({ suggestions: [{ user_id: 7, score: 80 }, { user_id: 9, score: 1 }] }, members);
+  assert.deepEqual(percent.map((suggestion) => suggestion.score), [80, 1]);
+  const fractions = normalizeAssignmentSuggestions({ suggestions: [{ user_id: 7, score: 0.8 }, { user_id: 9, score: 1 }] }, members);
+  assert.deepEqual(fractions.map((suggestion) => suggestion.score), [100, 80]);
+});
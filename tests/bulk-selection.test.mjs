@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  selectRange,
+  summarizeBulkResult,
+  toggleAllVisible,
+  toggleSelection,
+  visibleSelectionState,
+} from '../src/lib/bulk-selection.js';
+
+test('toggles single tasks in and out of the selection', () => {
+  assert.deepEqual(toggleSelection([], 1), [1]);
+  assert.deepEqual(toggleSelection([1, 2], 1), [2]);
+  assert.deepEqual(toggleSelection([1], 1, true), [1]);
+});
+
+test('selects and clears a shift-click range in visible order', () => {
+  const ordered = [5, 3, 8, 1, 9];
+  assert.deepEqual(selectRange([5], ordered, 5, 1), [5, 3, 8, 1]);
+  assert.deepEqual(selectRange([5, 3, 8, 1, 9], ordered, 1, 3, false), [5, 9]);
+  assert.deepEqual(selectRange([], ordered, 42, 8), [8]);
+});
+
+test('select-all only affects the visible tasks', () => {
+  assert.equal(visibleSelectionState([1], [1, 2]), 'indeterminate');
+  assert.deepEqual(toggleAllVisible([7], [1, 2]), [7, 1, 2]);
+  assert.deepEqual(toggleAllVisible([7, 1, 2], [1, 2]), [7]);
+});
+
+test('summarizes partial bulk failures', () => {
+  const summary = summarizeBulkResult({
+    updated_tasks: [{ id: 1 }],
+    failed: [{ task_id: 2, error: 'Task not found' }],
+  }, [1, 2]);
+
+  assert.equal(summary.updatedCount, 1);
+  assert.equal(summary.requestedCount, 2);
+  assert.deepEqual(summary.failedIds, [2]);
+  assert.deepEqual(summary.failures, [{ taskId: 2, message: 'Task not found' }]);
+});
+
+test('falls back to the requested count when the server omits details', () => {
+  const summary = summarizeBulkResult({ status: 'success', message: 'Updated' }, [1, 2, 3]);
+  assert.equal(summary.updatedCount, 3);
+  assert.deepEqual(summary.failedIds, []);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  appendMessage,
+  createChatThreadStore,
+  createMessage,
+  createThread,
+  normalizeChatReply,
+  toHistoryPayload,
+  updateProposal,
+} from '../src/lib/chat-threads.js';
+
+function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+test('titles a thread from its first user message', () => {
+  let thread = appendMessage(createThread(), createMessage('user', '  Plan the   billing launch  '));
+  thread = appendMessage(thread, createMessage('user', 'Something else'));
+  assert.equal(thread.title, 'Plan the billing launch');
+  assert.equal(thread.messages.length, 2);
+});
+
+test('sends recent successful messages as history', () => {
+  const messages = [
+    createMessage('user', 'Hi'),
+    createMessage('assistant', '', { error: 'Timed out' }),
+    createMessage('assistant', 'Hello'),
+  ];
+  assert.deepEqual(toHistoryPayload(messages), [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+});
+
+test('turns structured and fenced task lists into proposals', () => {
+  const reply = normalizeChatReply({
+    reply: 'Here is a plan:\n\n```json\n{"tasks":[{"title":"Write spec","priority":"high"}]}\n```\n\n```json\n{"other":1}\n```',
+    tasks: [{ title: 'Kick-off', estimated_hours: 1 }],
+  });
+  assert.equal(reply.content, 'Here is a plan:\n\n```json\n{"other":1}\n```');
+  assert.deepEqual(reply.proposals.map((proposal) => proposal.task.title), ['Kick-off', 'Write spec']);
+  assert.equal(reply.proposals[1].task.priority, 'high');
+  assert.equal(reply.proposals[0].state, 'proposed');
+});
+
+test('persists threads per user and updates proposals', () => {
+  const store = createChatThreadStore(createMemoryStorage());
+  const message = createMessage('assistant', 'ok', { proposals: [{ id: 'p1', state: 'proposed', task: { title: 'A' } }] });
+  const thread = appendMessage(createThread(), message);
+  store.save(7, thread);
+  assert.deepEqual(store.list(8), []);
+
+  store.save(7, updateProposal(thread, message.id, 'p1', { state: 'accepted', taskId: 12 }));
+  const [saved] = store.list(7);
+  assert.equal(saved.messages[0].proposals[0].taskId, 12);
+  assert.deepEqual(store.remove(7, thread.id), []);
+});
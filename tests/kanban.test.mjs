@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  adjacentStatus,
+  createWipLimitStore,
+  isWipLimitReached,
+  moveTask,
+  normalizeKanbanData,
+} from '../src/lib/kanban.js';
+
+function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+test('normalizes keyed, nested and flat kanban payloads', () => {
+  const keyed = normalizeKanbanData({ status: 'success', kanban: { pending: [{ id: 1 }], completed: { tasks: [{ id: 2 }] } } });
+  assert.deepEqual(keyed.pending, [{ id: 1, status: 'pending' }]);
+  assert.deepEqual(keyed.in_progress, []);
+  assert.deepEqual(keyed.completed, [{ id: 2, status: 'completed' }]);
+
+  const flat = normalizeKanbanData({ kanban: [{ id: 3, status: 'in_progress' }, { id: 4, status: 'archived' }] });
+  assert.deepEqual(flat.in_progress, [{ id: 3, status: 'in_progress' }]);
+  assert.equal(flat.pending.length + flat.completed.length, 0);
+});
+
+test('moves a task to the top of the target column without mutating the board', () => {
+  const board = normalizeKanbanData({ pending: [{ id: 1 }, { id: 2 }], in_progress: [{ id: 3 }] });
+  const moved = moveTask(board, 2, 'in_progress');
+
+  assert.deepEqual(moved.pending.map((task) => task.id), [1]);
+  assert.deepEqual(moved.in_progress.map((task) => task.id), [2, 3]);
+  assert.equal(moved.in_progress[0].status, 'in_progress');
+  assert.equal(board.pending.length, 2);
+  assert.equal(moveTask(board, 99, 'completed'), board);
+});
+
+test('moves a task back to its original position without touching other moves', () => {
+  const board = normalizeKanbanData({
+    pending: [{ id: 1, status: 'pending' }, { id: 2, status: 'pending' }, { id: 3, status: 'pending' }],
+    in_progress: [],
+  });
+  let current = moveTask(board, 2, 'in_progress');
+  current = moveTask(current, 3, 'completed');
+  current = moveTask(current, 2, 'pending', 1);
+
+  assert.deepEqual(current.pending.map((task) => task.id), [1, 2]);
+  assert.equal(current.pending[1].status, 'pending');
+  assert.deepEqual(current.completed.map((task) => task.id), [3]);
+});
+
+test('resolves neighbouring columns for keyboard moves', () => {
+  assert.equal(adjacentStatus('pending', 1), 'in_progress');
+  assert.equal(adjacentStatus('pending', -1), null);
+  assert.equal(adjacentStatus('completed', 1), null);
+});
+
+test('stores sanitized WIP limits per user', () => {
+  const storage = createMemoryStorage();
+  const store = createWipLimitStore(storage);
+
+  assert.deepEqual(store.set(7, { pending: 5, in_progress: '3', completed: -1 }), { pending: 5, in_progress: 3 });
+  assert.deepEqual(store.get(7), { pending: 5, in_progress: 3 });
+  assert.deepEqual(store.get(8), {});
+  assert.equal(isWipLimitReached(3, 3), true);
+  assert.equal(isWipLimitReached(3, undefined), false);
+});
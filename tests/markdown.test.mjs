@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseInline, parseMarkdown } from '../src/lib/markdown.js';
+
+test('parses inline emphasis, code and safe links', () => {
+  assert.deepEqual(parseInline('Run **`npm test`** or see [docs](https://example.com)'), [
+    { type: 'text', text: 'Run ' },
+    { type: 'strong', children: [{ type: 'code', text: 'npm test' }] },
+    { type: 'text', text: ' or see ' },
+    { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'docs' }] },
+  ]);
+});
+
+test('drops unsafe link targets but keeps their text', () => {
+  assert.deepEqual(parseInline('[click](javascript:alert(1))'), [{ type: 'text', text: 'click' }, { type: 'text', text: ')' }]);
+  assert.deepEqual(parseInline('[home](//evil.example)'), [{ type: 'text', text: 'home' }]);
+  assert.deepEqual(parseInline('<img src=x onerror=alert(1)>'), [{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+});
+
+test('parses headings, lists, quotes, code blocks and paragraphs', () => {
+  const blocks = parseMarkdown('## Plan\n1. Design\n2. Build\n- loose\n\n> note\n```js\nconst a = 1;\n```\nLine one\nline two');
+  assert.deepEqual(blocks.map((block) => block.type), ['heading', 'list', 'list', 'blockquote', 'code', 'paragraph']);
+  assert.equal(blocks[0].level, 2);
+  assert.equal(blocks[1].ordered, true);
+  assert.equal(blocks[1].items.length, 2);
+  assert.equal(blocks[2].ordered, false);
+  assert.deepEqual(blocks[4], { type: 'code', language: 'js', text: 'const a = 1;' });
+  assert.deepEqual(blocks[5].children, [{ type: 'text', text: 'Line one line two' }]);
+});
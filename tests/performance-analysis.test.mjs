@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CUSTOM_TIMEFRAME,
+  buildAnalysisRequest,
+  compareMetrics,
+  createAnalysisHistoryStore,
+  normalizeAnalysis,
+} from '../src/lib/performance-analysis.js';
+
+function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+const now = new Date(2026, 2, 15, 12);
+
+test('builds preset and custom timeframe requests', () => {
+  assert.deepEqual(buildAnalysisRequest({ preset: '7' }), { timeframe: '7 days', label: 'Last 7 days', range: null });
+  const custom = buildAnalysisRequest({ preset: CUSTOM_TIMEFRAME, from: new Date(2026, 0, 1), to: new Date(2026, 0, 31, 18) }, now);
+  assert.equal(custom.timeframe, '2026-01-01 to 2026-01-31');
+  assert.deepEqual(custom.range, { start_date: '2026-01-01', end_date: '2026-01-31' });
+});
+
+test('rejects incomplete, reversed, future and overlong custom ranges', () => {
+  const build = (from, to) => () => buildAnalysisRequest({ preset: CUSTOM_TIMEFRAME, from, to }, now);
+  assert.throws(build(new Date(2026, 0, 1), undefined), /start and end/);
+  assert.throws(build(new Date(2026, 1, 2), new Date(2026, 1, 1)), /before the end/);
+  assert.throws(build(new Date(2026, 2, 1), new Date(2026, 2, 16)), /future/);
+  assert.throws(build(new Date(2024, 0, 1), new Date(2026, 0, 1)), /one year/);
+});
+
+test('normalizes the narrative, metrics and series from the response', () => {
+  const result = normalizeAnalysis({
+    status: 'success',
+    analysis: 'Throughput improved.',
+    metrics: {
+      completed_tasks: 12,
+      completion_rate: 66.67,
+      label: 'ignored',
+      timeline: [{ date: '2026-03-01', completed: 3, note: 'x' }, { completed: 1 }],
+      by_user: [{ username: 'ali', completed: 5 }],
+    },
+    recommendations: ['Review blockers weekly', 4],
+  });
+  assert.equal(result.narrative, 'Throughput improved.');
+  assert.deepEqual(result.metrics, [
+    { key: 'completed_tasks', label: 'Completed tasks', value: 12, unit: '' },
+    { key: 'completion_rate', label: 'Completion rate', value: 66.67, unit: '%' },
+  ]);
+  assert.deepEqual(result.timeline, [{ label: '2026-03-01', completed: 3 }]);
+  assert.deepEqual(result.breakdown, [{ label: 'ali', completed: 5 }]);
+  assert.deepEqual(result.recommendations, ['Review blockers weekly']);
+  assert.equal(normalizeAnalysis({ analysis: { summary: ' Nested ' } }).narrative, 'Nested');
+});
+
+test('compares metrics with an earlier analysis', () => {
+  const current = [{ key: 'a', value: 10 }, { key: 'b', value: 4 }];
+  assert.deepEqual(
+    compareMetrics(current, [{ key: 'a', value: 7 }]).map(({ delta, previous }) => ({ delta, previous })),
+    [{ delta: 3, previous: 7 }, { delta: null, previous: null }],
+  );
+});
+
+test('keeps a capped per-user history, newest first', () => {
+  const store = createAnalysisHistoryStore(createMemoryStorage());
+  for (let index = 0; index < 22; index += 1) {
+    store.add(7, { label: `Run ${index}`, timeframe: '7 days', result: { metrics: [] } });
+  }
+  const entries = store.list(7);
+  assert.equal(entries.length, 20);
+  assert.equal(entries[0].label, 'Run 21');
+  assert.deepEqual(store.list(8), []);
+  assert.equal(store.remove(7, entries[0].id).length, 19);
+});
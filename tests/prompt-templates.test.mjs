@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  applyTemplate,
+  createLocalTemplateStore,
+  createParamsSchema,
+  extractTemplateParams,
+  fillTemplate,
+  normalizePromptTemplate,
+} from '../src/lib/prompt-templates.js';
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+test('extracts unique placeholders with inferred labels and types', () => {
+  assert.deepEqual(extractTemplateParams('Plan {project} with {n} devs', 'Keep {n} busy for {sprint_days}; ask {owner}'), [
+    { name: 'project', label: 'Project', type: 'text' },
+    { name: 'n', label: 'Number', type: 'number' },
+    { name: 'sprint_days', label: 'Sprint days', type: 'number' },
+    { name: 'owner', label: 'Owner', type: 'text' },
+  ]);
+  assert.deepEqual(extractTemplateParams('No placeholders {} or {1x}'), []);
+});
+
+test('validates generated parameter forms', () => {
+  const schema = createParamsSchema(extractTemplateParams('Plan {project} with {n} devs'));
+  assert.equal(schema.safeParse({ project: 'Portal', n: '4' }).success, true);
+  assert.equal(schema.safeParse({ project: 'Portal', n: '2.5' }).success, false);
+  assert.equal(schema.safeParse({ project: '  ', n: '4' }).success, false);
+});
+
+test('fills templates into Ask the agent form values', () => {
+  const template = normalizePromptTemplate(DEFAULT_PROMPT_TEMPLATES[0]);
+  const values = applyTemplate(template, { project: ' Portal ', n: '4' });
+  assert.equal(values.goal, 'Sprint planning for Portal with 4 devs over the next two weeks.');
+  assert.match(values.constraints, /4 developers/);
+  assert.equal(values.project, 'Portal');
+  assert.equal(values.count, '8');
+  assert.equal(fillTemplate('Fix {area}', {}), 'Fix {area}');
+});
+
+test('normalizes backend templates and rejects incomplete ones', () => {
+  const template = normalizePromptTemplate({ id: 3, name: ' Release ', prompt: 'Release {project}', max_tasks: 12 });
+  assert.equal(template.name, 'Release');
+  assert.equal(template.goal, 'Release {project}');
+  assert.equal(template.count, '5');
+  assert.deepEqual(template.params.map((param) => param.name), ['project']);
+  assert.equal(normalizePromptTemplate({ id: 4, name: 'Empty' }), null);
+});
+
+test('local template store seeds defaults and persists changes', () => {
+  const storage = createMemoryStorage();
+  const store = createLocalTemplateStore(storage);
+  assert.equal(store.list().length, DEFAULT_PROMPT_TEMPLATES.length);
+
+  const created = store.create({ name: 'Onboarding', description: '', goal: 'Onboard {person} to {project}', constraints: '', count: '3' });
+  assert.equal(store.list().length, DEFAULT_PROMPT_TEMPLATES.length + 1);
+  assert.equal(store.update(created.id, { name: 'Onboarding plan' }).name, 'Onboarding plan');
+
+  store.remove(created.id);
+  store.remove(DEFAULT_PROMPT_TEMPLATES[0].id);
+  assert.deepEqual(store.list().map((template) => template.id), [DEFAULT_PROMPT_TEMPLATES[1].id]);
+  assert.throws(() => store.create({ name: '', goal: '' }), /name and goal/);
+});
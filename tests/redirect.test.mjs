@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildLoginPath, readRedirectPath, sanitizeRedirectPath } from '../src/lib/redirect.js';
+
+test('keeps same-origin app paths with query and hash', () => {
+  assert.equal(sanitizeRedirectPath('/tasks/42?tab=ai#context'), '/tasks/42?tab=ai#context');
+});
+
+test('rejects absolute, protocol-relative and backslash redirects', () => {
+  assert.equal(sanitizeRedirectPath('https://evil.example.com/tasks'), '/dashboard');
+  assert.equal(sanitizeRedirectPath('//evil.example.com'), '/dashboard');
+  assert.equal(sanitizeRedirectPath('/\\evil.example.com'), '/dashboard');
+  assert.equal(sanitizeRedirectPath('javascript:alert(1)'), '/dashboard');
+  assert.equal(sanitizeRedirectPath('/tasks\n/1'), '/dashboard');
+  assert.equal(sanitizeRedirectPath(undefined), '/dashboard');
+});
+
+test('never redirects back to the login page', () => {
+  assert.equal(sanitizeRedirectPath('/login?redirect=/tasks/1'), '/dashboard');
+});
+
+test('carries the original location through the login URL', () => {
+  const loginPath = buildLoginPath({ pathname: '/tasks/7', search: '?view=full', hash: '#ai' });
+  assert.equal(loginPath, '/login?redirect=%2Ftasks%2F7%3Fview%3Dfull%23ai');
+  assert.equal(readRedirectPath(loginPath.slice('/login'.length)), '/tasks/7?view=full#ai');
+  assert.equal(buildLoginPath({ pathname: '/dashboard' }), '/login');
+  assert.equal(readRedirectPath(''), '/dashboard');
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyRegistrationErrors,
+  mapRegistrationErrors,
+  registrationSchema,
+  toRegistrationPayload,
+} from '../src/lib/registration.js';
+
+const valid = {
+  username: ' dana.s ',
+  email: 'dana@example.com',
+  full_name: 'Dana Smith',
+  password: 'correct1horse',
+  confirm_password: 'correct1horse',
+};
+
+function fieldsWithErrors(values) {
+  const result = registrationSchema.safeParse(values);
+  return result.success ? [] : result.error.issues.map((issue) => issue.path[0]);
+}
+
+test('accepts a complete registration and trims the payload', () => {
+  assert.deepEqual(fieldsWithErrors(valid), []);
+  assert.deepEqual(toRegistrationPayload(valid), {
+    username: 'dana.s',
+    email: 'dana@example.com',
+    full_name: 'Dana Smith',
+    password: 'correct1horse',
+  });
+});
+
+test('validates each field', () => {
+  assert.deepEqual(fieldsWithErrors({ ...valid, username: 'da na' }), ['username']);
+  assert.deepEqual(fieldsWithErrors({ ...valid, email: 'dana@' }), ['email']);
+  assert.deepEqual(fieldsWithErrors({ ...valid, full_name: '  ' }), ['full_name']);
+  assert.deepEqual(fieldsWithErrors({ ...valid, password: 'letters-only', confirm_password: 'letters-only' }), ['password']);
+  assert.deepEqual(fieldsWithErrors({ ...valid, confirm_password: 'correct1horsf' }), ['confirm_password']);
+});
+
+test('maps server validation errors onto form fields', () => {
+  assert.deepEqual(mapRegistrationErrors({ username: 'Username already exists.', name: 'Required.', role: 'Not allowed.' }), [
+    ['username', 'Username already exists.'],
+    ['full_name', 'Required.'],
+  ]);
+  assert.deepEqual(mapRegistrationErrors(null), []);
+
+  const calls = [];
+  const count = applyRegistrationErrors((...args) => calls.push(args), { email: 'Email already registered.' });
+  assert.equal(count, 1);
+  assert.deepEqual(calls, [['email', { type: 'server', message: 'Email already registered.' }, { shouldFocus: true }]]);
+});
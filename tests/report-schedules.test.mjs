@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_SEND_ATTEMPTS,
+  createLocalScheduleStore,
+  createScheduleClaimStore,
+  describeSchedule,
+  dueOccurrence,
+  nextRunAt,
+  normalizeReportSchedule,
+  previousRunAt,
+  scheduleFormSchema,
+} from '../src/lib/report-schedules.js';
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+// Local-time dates, matching how the scheduler interprets schedule times.
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+const weekly = normalizeReportSchedule({ id: 1, frequency: 'weekly', weekday: 1, time: '09:00', timeframe: '7 days' });
+const monthly = normalizeReportSchedule({ id: 2, frequency: 'monthly', day_of_month: 15, time: '18:30' });
+
+test('computes the next weekly and monthly runs', () => {
+  // 2026-03-04 is a Wednesday.
+  assert.deepEqual(nextRunAt(weekly, at(2026, 3, 4, 12)), at(2026, 3, 9, 9));
+  assert.deepEqual(nextRunAt(weekly, at(2026, 3, 9, 8, 59)), at(2026, 3, 9, 9));
+  assert.deepEqual(nextRunAt(weekly, at(2026, 3, 9, 9)), at(2026, 3, 16, 9));
+  assert.deepEqual(nextRunAt(monthly, at(2026, 3, 20)), at(2026, 4, 15, 18, 30));
+  assert.equal(nextRunAt({ ...weekly, enabled: false }), null);
+});
+
+test('computes the most recent run', () => {
+  assert.deepEqual(previousRunAt(weekly, at(2026, 3, 4, 12)), at(2026, 3, 2, 9));
+  assert.deepEqual(previousRunAt(monthly, at(2026, 3, 10)), at(2026, 2, 15, 18, 30));
+});
+
+test('a run is due once, shortly after its time', () => {
+  const now = at(2026, 3, 9, 9, 1);
+  assert.deepEqual(dueOccurrence(weekly, now), at(2026, 3, 9, 9));
+  assert.equal(dueOccurrence({ ...weekly, lastSentAt: at(2026, 3, 9, 9).toISOString() }, now), null);
+  assert.equal(dueOccurrence({ ...weekly, createdAt: at(2026, 3, 9, 9, 0).toISOString() }, now), null);
+  assert.equal(dueOccurrence(weekly, at(2026, 3, 10, 9)), null);
+  assert.equal(dueOccurrence({ ...weekly, enabled: false }, now), null);
+});
+
+test('describes schedules and validates the form', () => {
+  assert.equal(describeSchedule(weekly), 'Every Monday at 09:00');
+  assert.equal(describeSchedule(monthly), 'Monthly on day 15 at 18:30');
+  const base = { name: 'Weekly', frequency: 'weekly', weekday: '1', dayOfMonth: '1', time: '09:00', timeframe: '7 days', enabled: true };
+  assert.equal(scheduleFormSchema.safeParse(base).success, true);
+  assert.equal(scheduleFormSchema.safeParse({ ...base, time: '25:00' }).success, false);
+  assert.equal(scheduleFormSchema.safeParse({ ...base, dayOfMonth: '31' }).success, false);
+});
+
+test('local store records sends over the stored schedule', () => {
+  const store = createLocalScheduleStore(createMemoryStorage());
+  const created = store.create({ name: 'Monthly', frequency: 'monthly', weekday: '1', dayOfMonth: '3', time: '08:00', timeframe: '30 days', enabled: true }, at(2026, 3, 1));
+
+  assert.equal(created.dayOfMonth, 3);
+  assert.equal(created.createdAt, at(2026, 3, 1).toISOString());
+  const updated = store.update(created.id, { last_sent_at: '2026-03-03T08:00:00.000Z', last_error: '', day_of_month: 5 });
+  assert.equal(updated.lastSentAt, '2026-03-03T08:00:00.000Z');
+  assert.equal(updated.dayOfMonth, 5);
+  assert.equal(store.list()[0].dayOfMonth, 5);
+  store.remove(created.id);
+  assert.deepEqual(store.list(), []);
+});
+
+test('each run can only be claimed once', () => {
+  const claims = createScheduleClaimStore(createMemoryStorage());
+  assert.equal(claims.claim(1, at(2026, 3, 9, 9)), true);
+  assert.equal(claims.claim(1, at(2026, 3, 9, 9)), false);
+  assert.equal(claims.claim(1, at(2026, 3, 16, 9)), true);
+});
+
+test('a failed run is retried with backoff until it runs out of attempts', () => {
+  const claims = createScheduleClaimStore(createMemoryStorage());
+  const run = at(2026, 3, 9, 9);
+  const minutes = (count) => new Date(run.getTime() + count * 60_000);
+
+  assert.equal(claims.claim(1, run, run), true);
+  assert.deepEqual(claims.fail(1, run, run), minutes(2));
+  assert.equal(claims.claim(1, run, minutes(1)), false);
+  assert.deepEqual(claims.status(1, run), { attempts: 1, retryAt: minutes(2) });
+
+  assert.equal(claims.claim(1, run, minutes(2)), true);
+  assert.equal(claims.status(1, run), null);
+  assert.deepEqual(claims.fail(1, run, minutes(2)), minutes(6));
+  for (const [claimAt, retryAt] of [[6, 14], [14, 30]]) {
+    assert.equal(claims.claim(1, run, minutes(claimAt)), true);
+    assert.deepEqual(claims.fail(1, run, minutes(claimAt)), minutes(retryAt));
+  }
+
+  assert.equal(claims.claim(1, run, minutes(30)), true);
+  assert.equal(claims.fail(1, run, minutes(30)), null);
+  assert.equal(claims.claim(1, run, minutes(300)), false);
+  assert.deepEqual(claims.status(1, run), { attempts: MAX_SEND_ATTEMPTS, retryAt: null });
+});
@@ -1,7 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { createRuntimeConfig, resolveApiBaseUrl } from '../src/config/runtime.js';
+import {
+  createRuntimeConfig,
+  resolveAiTimeout,
+  resolveAiTimeouts,
+  resolveApiBaseUrl,
+  resolveRegistrationEnabled,
+} from '../src/config/runtime.js';
 
 test('prefers VITE_API_URL and removes trailing slashes', () => {
   assert.equal(
@@ -36,3 +42,29 @@ test('rejects credentials embedded in a URL without crashing the app config', ()
   assert.equal(config.apiBaseUrl, 'http://localhost:5000/api');
   assert.match(config.configurationError, /Credentials/);
 });
+
+test('uses a longer default timeout for AI routes and accepts bounded overrides', () => {
+  assert.equal(resolveAiTimeout({}), 120_000);
+  assert.equal(resolveAiTimeout({ VITE_AI_TIMEOUT_MS: '45000' }), 45_000);
+  assert.equal(resolveAiTimeout({ VITE_AI_TIMEOUT_MS: '100' }), 120_000);
+  assert.equal(resolveAiTimeout({ VITE_AI_TIMEOUT_MS: 'soon' }), 120_000);
+  assert.equal(createRuntimeConfig({ VITE_API_URL: 'ftp://bad', VITE_AI_TIMEOUT_MS: '30000' }).aiTimeouts.default, 30_000);
+});
+
+test('overrides the AI timeout per endpoint', () => {
+  const env = { VITE_AI_TIMEOUT_MS: '60000', VITE_AI_TIMEOUT_ANALYZE_PERFORMANCE_MS: '300000', VITE_AI_TIMEOUT_CHAT_MESSAGE_MS: '1' };
+  assert.equal(resolveAiTimeout(env, 'analyze_performance'), 300_000);
+  assert.equal(resolveAiTimeout(env, 'chat_message'), 60_000);
+  const timeouts = resolveAiTimeouts(env);
+  assert.equal(timeouts.default, 60_000);
+  assert.equal(timeouts.analyze_performance, 300_000);
+  assert.equal(timeouts.generate_tasks, 60_000);
+});
+
+test('keeps open registration off unless explicitly enabled', () => {
+  assert.equal(resolveRegistrationEnabled({}), false);
+  assert.equal(resolveRegistrationEnabled({ VITE_ENABLE_REGISTRATION: 'false' }), false);
+  assert.equal(resolveRegistrationEnabled({ VITE_ENABLE_REGISTRATION: ' TRUE ' }), true);
+  assert.equal(resolveRegistrationEnabled({ VITE_ENABLE_REGISTRATION: '1' }), true);
+  assert.equal(createRuntimeConfig({ VITE_API_URL: 'ftp://bad', VITE_ENABLE_REGISTRATION: 'yes' }).registrationEnabled, true);
+});
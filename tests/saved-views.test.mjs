@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createLocalViewStore,
+  normalizeSavedView,
+  viewCountParams,
+  viewQueryFromState,
+} from '../src/lib/saved-views.js';
+
+function createMemoryStorage(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+test('counts a saved view with a one-item page of the same query', () => {
+  assert.deepEqual(viewCountParams('status=in_progress&priority=urgent&assignee=me&page=3', 7), {
+    page: 1,
+    per_page: 1,
+    sort_by: 'created_at',
+    sort_order: 'desc',
+    status: 'in_progress',
+    priority: 'urgent',
+    assigned_to: '7',
+  });
+  assert.equal(viewCountParams('q=ALI').search, 'ALI');
+});
+
+test('drops paging and invalid criteria from stored views', () => {
+  assert.equal(viewQueryFromState({ status: 'pending', page: 4 }), 'status=pending');
+  assert.deepEqual(
+    normalizeSavedView({ id: 'a', name: '  Urgent ', query: 'priority=urgent&status=bogus&page=3' }),
+    { id: 'a', name: 'Urgent', query: 'priority=urgent', pinned: false },
+  );
+  assert.equal(normalizeSavedView({ id: 'b', name: '   ' }), null);
+});
+
+test('persists local views per user', () => {
+  const storage = createMemoryStorage();
+  const store = createLocalViewStore(storage);
+
+  const created = store.create(7, { name: 'Mine', query: 'assignee=me', pinned: true });
+  assert.match(created.id, /^local-/);
+  assert.deepEqual(store.list(8), []);
+
+  store.update(7, created.id, { pinned: false });
+  assert.equal(store.list(7)[0].pinned, false);
+
+  store.remove(7, created.id);
+  assert.deepEqual(store.list(7), []);
+});
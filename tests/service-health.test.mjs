@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  mergeServiceStatus,
+  normalizeDiagnostics,
+  normalizeServiceStatus,
+  overallServiceState,
+  toServiceState,
+} from '../src/lib/service-health.js';
+
+test('maps reported statuses onto service states', () => {
+  assert.equal(toServiceState('OK'), 'healthy');
+  assert.equal(toServiceState(true), 'healthy');
+  assert.equal(toServiceState('slow'), 'degraded');
+  assert.equal(toServiceState('unavailable'), 'down');
+  assert.equal(toServiceState(undefined), 'unknown');
+});
+
+test('normalizes service maps and lists', () => {
+  assert.deepEqual(
+    normalizeServiceStatus({ services: { openai_api: { status: 'error', response_time: 1.25, error: 'Rate limited' }, ollama: 'ok' } }),
+    [
+      { name: 'openai_api', label: 'Openai api', state: 'down', latencyMs: 1250, lastError: 'Rate limited', model: '' },
+      { name: 'ollama', label: 'Ollama', state: 'healthy', latencyMs: null, lastError: '', model: '' },
+    ],
+  );
+  const [service] = normalizeServiceStatus({ services: [{ name: 'claude', display_name: 'Claude', available: true, latency_ms: 80.4 }] });
+  assert.equal(service.label, 'Claude');
+  assert.equal(service.latencyMs, 80);
+});
+
+test('keeps the last error after a service recovers', () => {
+  const failedAt = new Date('2026-03-01T10:00:00Z');
+  const failed = mergeServiceStatus([], [{ name: 'a', state: 'down', lastError: 'Timeout' }], failedAt);
+  const recovered = mergeServiceStatus(failed, [{ name: 'a', state: 'healthy', lastError: '' }]);
+  assert.equal(recovered[0].lastError, 'Timeout');
+  assert.equal(recovered[0].lastErrorAt, failedAt.toISOString());
+});
+
+test('summarizes diagnostics and overall state', () => {
+  assert.deepEqual(
+    normalizeDiagnostics({ results: { openai: { success: false, message: 'Invalid key' }, gemini: { passed: true, latency_ms: 300 }, other: {} } })
+      .map(({ name, passed }) => [name, passed]),
+    [['openai', false], ['gemini', true], ['other', null]],
+  );
+  assert.equal(overallServiceState([{ state: 'healthy' }, { state: 'down' }]), 'degraded');
+  assert.equal(overallServiceState([{ state: 'healthy' }]), 'healthy');
+  assert.equal(overallServiceState([]), 'unknown');
+});
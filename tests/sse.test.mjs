@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSseParser, interpretStreamEvent, readTokenStream } from '../src/lib/sse.js';
+
+function bodyFrom(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+}
+
+test('parses server-sent events split across arbitrary chunks', () => {
+  const events = [];
+  const parser = createSseParser((event) => events.push(event));
+  parser.push('data: Hel');
+  parser.push('lo\n\n: keep-alive\n\nevent: done\r\ndata: {"a":1}\r\n');
+  parser.push('data: {"b":2}\n\ndata: tail');
+  parser.flush();
+
+  assert.deepEqual(events, [
+    { event: 'message', data: 'Hello' },
+    { event: 'done', data: '{"a":1}\n{"b":2}' },
+    { event: 'message', data: 'tail' },
+  ]);
+});
+
+test('interprets common token, completion and error payload shapes', () => {
+  assert.deepEqual(interpretStreamEvent({ data: 'plain text' }), { type: 'token', text: 'plain text' });
+  assert.deepEqual(interpretStreamEvent({ data: '{"token":"Hi"}' }), { type: 'token', text: 'Hi' });
+  assert.deepEqual(interpretStreamEvent({ data: '{"choices":[{"delta":{"content":" there"}}]}' }), { type: 'token', text: ' there' });
+  assert.deepEqual(interpretStreamEvent({ data: '[DONE]' }), { type: 'done' });
+  assert.deepEqual(interpretStreamEvent({ event: 'done', data: '{"tasks":[]}' }), { type: 'final', payload: { tasks: [] } });
+  assert.deepEqual(interpretStreamEvent({ data: '{"error":"Quota exceeded"}' }), { type: 'error', message: 'Quota exceeded' });
+  assert.deepEqual(interpretStreamEvent({ data: '{"heartbeat":true}' }), { type: 'ignore' });
+});
+
+test('reads a token stream, reporting progress and merging the final payload', async () => {
+  const seen = [];
+  const result = await readTokenStream(bodyFrom([
+    'data: {"token":"Plan "}\n\n',
+    'data: {"token":"ready"}\n\nevent: done\ndata: {"done":true,"tasks":[{"title":"Ship"}]}\n\n',
+    'data: {"token":"ignored"}\n\n',
+  ]), { onToken: (token, text) => seen.push([token, text]) });
+
+  assert.deepEqual(seen, [['Plan ', 'Plan '], ['ready', 'Plan ready']]);
+  assert.equal(result.status, 'success');
+  assert.equal(result.reply, 'Plan ready');
+  assert.deepEqual(result.tasks, [{ title: 'Ship' }]);
+});
+
+test('reads plain chunked text and surfaces stream errors', async () => {
+  const result = await readTokenStream(bodyFrom(['Hello, ', 'world']), { eventStream: false });
+  assert.equal(result.reply, 'Hello, world');
+
+  await assert.rejects(
+    readTokenStream(bodyFrom(['data: {"token":"a"}\n\nevent: error\ndata: The model is overloaded\n\n'])),
+    /overloaded/,
+  );
+});
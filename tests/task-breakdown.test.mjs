@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildBreakdownContext,
+  childTaskPayload,
+  childrenOf,
+  compareEstimates,
+  normalizeBreakdown,
+  parentIdOf,
+  subtaskProgress,
+} from '../src/lib/task-breakdown.js';
+
+const parent = { id: 9, title: 'Launch portal', description: 'Public launch.', priority: 'high', estimated_hours: 20, assigned_to: 3 };
+
+test('builds a generation context that links the parent and its estimate', () => {
+  const context = buildBreakdownContext(parent, { count: '3', existingTitles: ['Write copy'] });
+  assert.match(context.goal, /Launch portal/);
+  assert.match(context.goal, /Public launch\./);
+  assert.equal(context.max_tasks, 3);
+  assert.match(context.constraints, /20 hours/);
+  assert.deepEqual(context.existing_tasks, ['Write copy']);
+  assert.deepEqual(context.parent_task, { id: 9, title: 'Launch portal', description: 'Public launch.', priority: 'high', estimated_hours: 20 });
+});
+
+test('normalizes children with the parent assignee and links created payloads', () => {
+  const { children } = normalizeBreakdown({ tasks: [{ title: 'Design', estimated_hours: 8 }, { title: 'Build', assigned_to: 5 }] }, parent);
+  assert.equal(children.length, 2);
+  assert.equal(children[0].include, true);
+  assert.equal(children[0].values.assigned_to, '3');
+  assert.equal(children[1].values.assigned_to, '5');
+
+  const payload = childTaskPayload(children[0], parent);
+  assert.equal(payload.parent_task_id, 9);
+  assert.equal(payload.is_ai_generated, true);
+  assert.equal(payload.estimated_hours, 8);
+});
+
+test('compares child estimates with the parent estimate', () => {
+  const drafts = (hours) => hours.map((value) => ({ values: { estimated_hours: String(value) } }));
+  assert.equal(compareEstimates(drafts([8, 11]), 20).status, 'match');
+  assert.deepEqual(compareEstimates(drafts([10, 15]), 20), { total: 25, parentHours: 20, difference: 5, status: 'over' });
+  assert.equal(compareEstimates([{ estimated_hours: 4 }, ...drafts([4])], 20).status, 'under');
+  assert.equal(compareEstimates(drafts([4]), null).status, 'unestimated');
+});
+
+test('computes subtask progress and finds children of a parent', () => {
+  const tasks = [
+    { id: 1, parent_task_id: 9, status: 'completed', estimated_hours: 4 },
+    { id: 2, parent_id: '9', status: 'in_progress', estimated_hours: 6 },
+    { id: 3, parent_task_id: 7, status: 'completed' },
+    { id: 4 },
+  ];
+  const children = childrenOf(tasks, 9);
+  assert.deepEqual(children.map((task) => task.id), [1, 2]);
+  assert.deepEqual(subtaskProgress(children), { total: 2, completed: 1, percent: 50, estimatedHours: 10, completedHours: 4 });
+  assert.equal(subtaskProgress([]).percent, 0);
+  assert.equal(parentIdOf({ parent: { id: 5 } }), 5);
+  assert.equal(parentIdOf({}), null);
+});
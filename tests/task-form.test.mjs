@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createEmptyTaskForm,
+  diffTaskPayload,
+  mapServerFieldErrors,
+  taskFormSchema,
+  taskToFormValues,
+  toTaskPayload,
+  UNASSIGNED,
+} from '../src/lib/task-form.js';
+
+test('requires a title and rejects out-of-range estimates', () => {
+  const result = taskFormSchema.safeParse({ ...createEmptyTaskForm(), title: '   ', estimated_hours: '-2' });
+  assert.equal(result.success, false);
+  const fields = result.error.issues.map((issue) => issue.path[0]).sort();
+  assert.deepEqual(fields, ['estimated_hours', 'title']);
+});
+
+test('builds an API payload with numeric estimate, assignee and end-of-day due date', () => {
+  const payload = toTaskPayload({
+    ...createEmptyTaskForm(),
+    title: '  Ship release  ',
+    due_date: new Date(2030, 0, 15),
+    estimated_hours: '2.5',
+    assigned_to: '7',
+  });
+
+  assert.equal(payload.title, 'Ship release');
+  assert.equal(payload.estimated_hours, 2.5);
+  assert.equal(payload.assigned_to, 7);
+  assert.equal(new Date(payload.due_date).getTime(), new Date(2030, 0, 15, 23, 59, 59).getTime());
+});
+
+test('sends null for unassigned tasks without an estimate or due date', () => {
+  const payload = toTaskPayload({ ...createEmptyTaskForm(), title: 'Triage' });
+  assert.equal(payload.assigned_to, null);
+  assert.equal(payload.estimated_hours, null);
+  assert.equal(payload.due_date, null);
+});
+
+test('round-trips an existing task into form values', () => {
+  const values = taskToFormValues({
+    title: 'Review',
+    priority: 'unknown',
+    estimated_hours: 3,
+    assignee_info: { id: 4, username: 'ali' },
+  });
+  assert.equal(values.priority, 'medium');
+  assert.equal(values.estimated_hours, '3');
+  assert.equal(values.assigned_to, '4');
+  assert.equal(taskToFormValues({}).assigned_to, UNASSIGNED);
+});
+
+test('maps only known form fields from server validation errors', () => {
+  assert.deepEqual(
+    mapServerFieldErrors({ title: 'Title already exists.', internal: 'ignored' }),
+    [['title', 'Title already exists.']],
+  );
+  assert.deepEqual(mapServerFieldErrors(null), []);
+});
+
+test('diffs only the fields that changed on an existing task', () => {
+  const task = {
+    title: 'Review',
+    description: 'Check the copy',
+    priority: 'low',
+    due_date: '2030-01-15T10:00:00',
+    estimated_hours: 2,
+    assignee_info: { id: 4 },
+  };
+  const values = { ...taskToFormValues(task), title: 'Review docs', priority: 'high' };
+
+  assert.deepEqual(diffTaskPayload(task, values), { title: 'Review docs', priority: 'high' });
+  assert.deepEqual(diffTaskPayload(task, taskToFormValues(task)), {});
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildGenerationContext,
+  createEmptyGenerationRequest,
+  draftFieldErrors,
+  draftToTaskPayload,
+  mergeRegeneratedDrafts,
+  normalizeGenerationResult,
+  summarizeDrafts,
+} from '../src/lib/task-generation.js';
+
+const request = { ...createEmptyGenerationRequest(), goal: 'Ship the billing page', project: ' Billing ', count: '3' };
+
+test('builds the generation context and omits empty fields', () => {
+  assert.deepEqual(buildGenerationContext(request), { goal: 'Ship the billing page', max_tasks: 3, project: 'Billing' });
+  assert.deepEqual(
+    buildGenerationContext(request, { replace: { title: 'Old', description: 'x' }, existingTitles: ['Keep'] }),
+    {
+      goal: 'Ship the billing page',
+      max_tasks: 1,
+      project: 'Billing',
+      replace_task: { title: 'Old', description: 'x' },
+      existing_tasks: ['Keep'],
+    },
+  );
+});
+
+test('normalizes generated tasks into editable drafts', () => {
+  const { drafts, summary } = normalizeGenerationResult({
+    summary: ' Two steps. ',
+    tasks: [
+      { title: 'Design invoices', priority: 'HIGH', estimated_hours: 6, reasoning: 'Blocks the rest' },
+      { title: '   ' },
+      'Write tests',
+    ],
+  });
+  assert.equal(summary, 'Two steps.');
+  assert.equal(drafts.length, 2);
+  assert.equal(drafts[0].state, 'proposed');
+  assert.equal(drafts[0].values.priority, 'high');
+  assert.equal(drafts[0].values.estimated_hours, '6');
+  assert.equal(drafts[0].aiContext, 'Blocks the rest');
+  assert.equal(drafts[1].values.priority, 'medium');
+  assert.deepEqual(normalizeGenerationResult({ generated_tasks: null }).drafts, []);
+});
+
+test('flags invalid drafts and marks accepted ones as AI generated', () => {
+  const [draft] = normalizeGenerationResult({ tasks: [{ title: 'x'.repeat(201), estimated_hours: 5000 }] }).drafts;
+  assert.deepEqual(Object.keys(draftFieldErrors(draft.values)).sort(), ['estimated_hours', 'title']);
+
+  const [valid] = normalizeGenerationResult({ tasks: [{ title: 'Deploy', ai_context: 'Needed for launch' }] }).drafts;
+  assert.equal(draftFieldErrors(valid.values), null);
+  const payload = draftToTaskPayload(valid);
+  assert.equal(payload.is_ai_generated, true);
+  assert.equal(payload.ai_context, 'Needed for launch');
+  assert.equal(payload.assigned_to, null);
+});
+
+test('keeps accepted drafts when regenerating all proposals', () => {
+  const accepted = { id: 'a', state: 'accepted' };
+  const drafts = [accepted, { id: 'b', state: 'proposed' }, { id: 'c', state: 'rejected' }];
+  assert.deepEqual(mergeRegeneratedDrafts(drafts, [{ id: 'd', state: 'proposed' }]).map((draft) => draft.id), ['a', 'd']);
+  assert.deepEqual(summarizeDrafts(drafts), { proposed: 1, accepted: 1, rejected: 1 });
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyTaskUpdate,
+  bulkTaskNotifications,
+  createNotificationPreferenceStore,
+  describeNotificationFailures,
+  taskNotifications,
+} from '../src/lib/task-notifications.js';
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+const task = { id: 1, title: 'Ship', status: 'in_progress', assigned_to: 2, assignee_info: { id: 2 } };
+
+test('notifies on a new assignee and on completion', () => {
+  assert.deepEqual(taskNotifications(task, { ...task, assigned_to: 3, status: 'completed' }), [
+    { kind: 'assignment', taskId: 1, title: 'Ship' },
+    { kind: 'completion', taskId: 1, title: 'Ship' },
+  ]);
+});
+
+test('skips unchanged fields, unassignment and already completed tasks', () => {
+  assert.deepEqual(taskNotifications(task, { ...task, priority: 'high' }), []);
+  assert.deepEqual(taskNotifications(task, { ...task, assigned_to: '2' }), []);
+  assert.deepEqual(taskNotifications(task, { ...task, assigned_to: null }), []);
+  assert.deepEqual(taskNotifications({ ...task, status: 'completed' }, { ...task, status: 'completed' }), []);
+});
+
+test('respects disabled preferences', () => {
+  const next = { ...task, assigned_to: 3, status: 'completed' };
+  assert.deepEqual(taskNotifications(task, next, { assignment: false, completion: true }).map((item) => item.kind), ['completion']);
+  assert.deepEqual(taskNotifications(task, next, { assignment: false, completion: false }), []);
+});
+
+test('bulk updates use returned tasks, or apply the updates to the ids that did not fail', () => {
+  const previous = [task, { ...task, id: 2, title: 'Test' }, { ...task, id: 3, title: 'Docs' }];
+  const fromServer = bulkTaskNotifications(previous, { updatedTasks: [{ ...task, status: 'completed' }], failedIds: [] }, [1], { status: 'completed' });
+  assert.deepEqual(fromServer.map((item) => item.taskId), [1]);
+
+  const inferred = bulkTaskNotifications(previous, { updatedTasks: [], failedIds: [2] }, [1, 2, 3], { assigned_to: 9 });
+  assert.deepEqual(inferred.map((item) => [item.kind, item.taskId]), [['assignment', 1], ['assignment', 3]]);
+});
+
+test('describes failures for the warning banner', () => {
+  assert.equal(describeNotificationFailures([]), '');
+  assert.equal(
+    describeNotificationFailures([{ kind: 'completion', taskId: 1, title: 'Ship', message: 'Bot offline' }]),
+    'The completion notification for “Ship” could not be sent to Telegram: Bot offline',
+  );
+  assert.match(describeNotificationFailures([{ message: 'a' }, { message: 'b' }]), /^2 Telegram notifications/);
+});
+
+test('stores preferences per user with defaults', () => {
+  const store = createNotificationPreferenceStore(createMemoryStorage());
+  assert.deepEqual(store.get(1), { assignment: true, completion: true });
+  store.set(1, { assignment: false, completion: 'yes' });
+  assert.deepEqual(store.get(1), { assignment: false, completion: true });
+  assert.deepEqual(store.get(2), { assignment: true, completion: true });
+});
+
+function createUpdateHarness(save, refreshStats = async () => {}) {
+  const calls = { replaced: [], notified: [] };
+  const options = {
+    save,
+    replaceTask: (nextTask) => calls.replaced.push(nextTask),
+    notify: (notifications) => calls.notified.push(...notifications),
+    refreshStats,
+  };
+  return { calls, options };
+}
+
+test('a stats failure still notifies and keeps the change', async () => {
+  const saved = { ...task, assigned_to: 3, status: 'completed' };
+  const { calls, options } = createUpdateHarness(
+    async () => ({ status: 'success', task: saved }),
+    async () => { throw new Error('Stats unavailable'); },
+  );
+
+  assert.equal(await applyTaskUpdate(1, task, { assigned_to: 3, status: 'completed' }, options), saved);
+  assert.equal(calls.replaced.at(-1), saved);
+  assert.deepEqual(calls.notified.map((notification) => notification.kind), ['assignment', 'completion']);
+});
+
+test('a failed save rolls the task back without notifying', async () => {
+  const { calls, options } = createUpdateHarness(async () => ({ status: 'error', message: 'Nope' }));
+
+  await assert.rejects(applyTaskUpdate(1, task, { status: 'completed' }, options), /Nope/);
+  assert.deepEqual(calls.replaced, [{ ...task, status: 'completed' }, task]);
+  assert.deepEqual(calls.notified, []);
+});
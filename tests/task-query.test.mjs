@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_TASK_VIEW,
+  activeFilterChips,
+  buildTaskQueryParams,
+  fromDayParam,
+  normalizePagination,
+  paginationRange,
+  parseTaskSearchParams,
+  removeFilterChip,
+  taskMatchesCriteria,
+  toDayParam,
+  toTaskSearchParams,
+} from '../src/lib/task-query.js';
+
+test('builds server query params and omits empty filters', () => {
+  assert.deepEqual(buildTaskQueryParams(), {
+    page: 1,
+    per_page: 20,
+    sort_by: 'created_at',
+    sort_order: 'desc',
+  });
+  assert.deepEqual(
+    buildTaskQueryParams({ status: 'pending', search: '  deploy ', sort: 'due_date:asc', page: 3 }),
+    { page: 3, per_page: 20, sort_by: 'due_date', sort_order: 'asc', status: 'pending', search: 'deploy' },
+  );
+});
+
+test('falls back to the default sort for unknown values', () => {
+  const params = buildTaskQueryParams({ sort: 'password:asc', page: -4 });
+  assert.equal(params.sort_by, 'created_at');
+  assert.equal(params.page, 1);
+});
+
+test('reads pagination metadata from the server response', () => {
+  assert.deepEqual(
+    normalizePagination({ tasks: [{}, {}], pagination: { page: 2, per_page: 2, total: 9, pages: 5 } }),
+    { page: 2, perPage: 2, total: 9, pages: 5 },
+  );
+});
+
+test('estimates totals when the server omits pagination metadata', () => {
+  assert.deepEqual(
+    normalizePagination({ tasks: [{}, {}, {}] }, { page: 1, per_page: 20 }),
+    { page: 1, perPage: 20, total: 3, pages: 1 },
+  );
+});
+
+test('collapses long page ranges with ellipses', () => {
+  assert.deepEqual(paginationRange(1, 4), [1, 2, 3, 4]);
+  assert.deepEqual(paginationRange(6, 20), [1, 'ellipsis-start', 5, 6, 7, 'ellipsis-end', 20]);
+  assert.deepEqual(paginationRange(2, 20), [1, 2, 3, 'ellipsis-end', 20]);
+});
+
+test('parses and validates dashboard state from the URL', () => {
+  assert.deepEqual(
+    parseTaskSearchParams('?status=in_progress&q=%20api%20&priority=urgent&assignee=me&page=2&sort=bogus'),
+    { ...DEFAULT_TASK_VIEW, status: ['in_progress'], search: 'api', page: 2, assignee: ['me'], priority: ['urgent'] },
+  );
+  assert.deepEqual(parseTaskSearchParams('?status=archived&assignee=%3Cscript%3E'), DEFAULT_TASK_VIEW);
+});
+
+test('writes only non-default state to the URL', () => {
+  assert.equal(toTaskSearchParams(DEFAULT_TASK_VIEW).toString(), '');
+  assert.equal(
+    toTaskSearchParams({ ...DEFAULT_TASK_VIEW, status: ['in_progress'], priority: ['urgent'], assignee: ['me'] }).toString(),
+    'status=in_progress&assignee=me&priority=urgent',
+  );
+});
+
+test('resolves the "me" assignee filter to the current user id', () => {
+  const params = buildTaskQueryParams({ assignee: 'me', priority: 'high', currentUserId: 7 });
+  assert.equal(params.assigned_to, '7');
+  assert.equal(params.priority, 'high');
+  assert.equal(buildTaskQueryParams({ assignee: 'me' }).assigned_to, undefined);
+});
+
+test('round-trips multi-criteria filters through the URL', () => {
+  const view = parseTaskSearchParams(
+    '?status=pending,in_progress,bogus&priority=urgent,high&assignee=me,12&creator=3&source=ai'
+    + '&overdue=true&due_from=2026-01-01&due_to=2026-01-31&hours_min=2&hours_max=abc',
+  );
+  assert.deepEqual(view.status, ['pending', 'in_progress']);
+  assert.deepEqual(view.assignee, ['me', '12']);
+  assert.equal(view.hoursMin, '2');
+  assert.equal(view.hoursMax, '');
+  assert.equal(
+    toTaskSearchParams(view).toString(),
+    'status=pending%2Cin_progress&assignee=me%2C12&priority=urgent%2Chigh&creator=3&source=ai'
+    + '&overdue=true&due_from=2026-01-01&due_to=2026-01-31&hours_min=2',
+  );
+  assert.deepEqual(parseTaskSearchParams('?due_from=2026-13-45&source=robot'), DEFAULT_TASK_VIEW);
+});
+
+test('sends every criterion to the server', () => {
+  const params = buildTaskQueryParams({
+    ...DEFAULT_TASK_VIEW,
+    status: ['pending', 'in_progress'],
+    assignee: ['me', '12'],
+    creator: 'me',
+    source: 'manual',
+    overdue: true,
+    dueFrom: '2026-01-01',
+    hoursMax: '8',
+    currentUserId: 7,
+  });
+  assert.equal(params.status, 'pending,in_progress');
+  assert.equal(params.assigned_to, '7,12');
+  assert.equal(params.created_by, '7');
+  assert.equal(params.is_ai_generated, false);
+  assert.equal(params.overdue, true);
+  assert.equal(params.due_after, '2026-01-01');
+  assert.equal(params.max_hours, 8);
+  assert.equal(params.min_hours, undefined);
+});
+
+test('matches tasks against every criterion at once', () => {
+  const now = new Date('2026-02-01T12:00:00');
+  const task = {
+    status: 'pending',
+    priority: 'high',
+    assigned_to: 7,
+    created_by: 3,
+    is_ai_generated: true,
+    due_date: '2026-01-20T23:59:00',
+    estimated_hours: 4,
+  };
+  const view = {
+    status: ['pending', 'in_progress'],
+    priority: ['high'],
+    assignee: ['me'],
+    creator: '3',
+    source: 'ai',
+    overdue: true,
+    dueFrom: '2026-01-01',
+    dueTo: '2026-01-31',
+    hoursMin: '2',
+    hoursMax: '4',
+  };
+  assert.equal(taskMatchesCriteria(task, view, { currentUserId: 7, now }), true);
+  assert.equal(taskMatchesCriteria(task, { ...view, source: 'manual' }, { currentUserId: 7, now }), false);
+  assert.equal(taskMatchesCriteria(task, { ...view, hoursMax: '3' }, { currentUserId: 7, now }), false);
+  assert.equal(taskMatchesCriteria({ ...task, status: 'completed' }, { overdue: true }, { now }), false);
+  assert.equal(taskMatchesCriteria({ ...task, due_date: null }, { dueTo: '2026-01-31' }), false);
+});
+
+test('describes active filters as removable chips', () => {
+  const view = { ...DEFAULT_TASK_VIEW, priority: ['urgent', 'high'], assignee: ['12'], overdue: true };
+  const chips = activeFilterChips(view, { userLabel: (id) => (id === '12' ? 'Ali' : id) });
+  assert.deepEqual(chips.map((chip) => chip.label), ['Priority: urgent', 'Priority: high', 'Assignee: Ali', 'Overdue']);
+  assert.deepEqual(removeFilterChip(view, chips[0]), { priority: ['high'] });
+  assert.deepEqual(removeFilterChip(view, chips[3]), { overdue: false });
+});
+
+test('converts calendar dates to local day params', () => {
+  assert.equal(toDayParam(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+  assert.equal(toDayParam(undefined), '');
+  assert.equal(toDayParam(fromDayParam('2026-03-09')), '2026-03-09');
+  assert.equal(fromDayParam('nope'), undefined);
+});
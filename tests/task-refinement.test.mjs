@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildRefinementRequest,
+  diffLines,
+  normalizeRefinement,
+  refinementChanges,
+  sideBySideRows,
+} from '../src/lib/task-refinement.js';
+
+const task = { id: 4, title: 'Ship portal', description: 'Build the portal.\nDeploy it.', ai_context: '', priority: 'high' };
+
+test('builds a chat request carrying the task and the trimmed instruction', () => {
+  const request = buildRefinementRequest(task, '  Add acceptance criteria ');
+  assert.match(request.message, /Ship portal/);
+  assert.match(request.message, /Add acceptance criteria/);
+  assert.equal(request.context.instruction, 'Add acceptance criteria');
+  assert.equal(request.context.refine_task.description, task.description);
+  assert.throws(() => buildRefinementRequest(task, '   '), /Describe how/);
+});
+
+test('reads refinements from fenced JSON, structured fields or plain text', () => {
+  const fenced = normalizeRefinement({
+    reply: 'Here you go.\n```json\n{"description": "Build the portal.\\nTest it.\\nDeploy it.", "ai_context": "Testing was missing."}\n```',
+  }, task);
+  assert.equal(fenced.description, 'Build the portal.\nTest it.\nDeploy it.');
+  assert.equal(fenced.aiContext, 'Testing was missing.');
+  assert.equal(fenced.note, 'Here you go.');
+  assert.deepEqual(fenced.changed, { description: true, aiContext: true });
+
+  const structured = normalizeRefinement({ refinement: { ai_context: 'Why' } }, task);
+  assert.equal(structured.description, task.description);
+  assert.deepEqual(refinementChanges(structured), { ai_context: 'Why' });
+
+  const plain = normalizeRefinement({ reply: 'Step 1\nStep 2' }, task);
+  assert.equal(plain.description, 'Step 1\nStep 2');
+  assert.equal(plain.changed.aiContext, false);
+
+  assert.throws(() => normalizeRefinement({ reply: '' }, task), /did not propose/);
+  assert.throws(() => normalizeRefinement({ status: 'success', message: 'Message processed' }, task), /did not propose/);
+});
+
+test('diffs lines and aligns replacements side by side', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc\nd').map((op) => `${op.type}:${op.text}`), [
+    'same:a', 'removed:b', 'added:x', 'same:c', 'added:d',
+  ]);
+
+  const rows = sideBySideRows('a\nb\nc', 'a\nx\ny\nc');
+  assert.deepEqual(rows.map(({ left, right }) => [left?.text ?? null, right?.text ?? null]), [
+    ['a', 'a'], ['b', 'x'], [null, 'y'], ['c', 'c'],
+  ]);
+  assert.deepEqual(sideBySideRows('', 'new'), [{ left: null, right: { type: 'added', text: 'new' } }]);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TELEGRAM_MESSAGE_LIMIT,
+  broadcastLength,
+  broadcastSchema,
+  createBroadcastHistoryStore,
+  formatBroadcast,
+} from '../src/lib/telegram-broadcast.js';
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+test('formats the emoji and title above the body', () => {
+  assert.equal(formatBroadcast({ title: ' Freeze ', emoji: '📢', message: 'No deploys on Friday.\n' }), '📢 Freeze\n\nNo deploys on Friday.');
+  assert.equal(formatBroadcast({ title: '', emoji: '', message: 'Body only' }), 'Body only');
+  assert.equal(broadcastLength({ title: 'Hi', emoji: '', message: 'there' }), 'Hi\n\nthere'.length);
+});
+
+test('rejects messages over the Telegram limit including the title', () => {
+  const heading = { title: 'Update', emoji: '📢' };
+  const fits = 'x'.repeat(TELEGRAM_MESSAGE_LIMIT - broadcastLength({ ...heading, message: '' }) - 2);
+  assert.equal(broadcastSchema.safeParse({ ...heading, message: fits }).success, true);
+
+  const result = broadcastSchema.safeParse({ ...heading, message: `${fits}x` });
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues[0].path, ['message']);
+});
+
+test('requires a title and a message', () => {
+  const result = broadcastSchema.safeParse({ title: ' ', emoji: '📢', message: '' });
+  assert.deepEqual(result.error.issues.map((issue) => issue.path[0]).sort(), ['message', 'title']);
+});
+
+test('history keeps the newest broadcasts first', () => {
+  const store = createBroadcastHistoryStore(createMemoryStorage());
+  store.add({ title: 'First', emoji: '📢', message: 'One' }, 'Dana', new Date('2026-03-01T09:00:00Z'));
+  const entries = store.add({ title: 'Second', emoji: '🚀', message: 'Two' }, null, new Date('2026-03-02T09:00:00Z'));
+
+  assert.deepEqual(entries.map((entry) => entry.title), ['Second', 'First']);
+  assert.equal(entries[1].sentBy, 'Dana');
+  assert.equal(entries[1].sentAt, '2026-03-01T09:00:00.000Z');
+  assert.deepEqual(store.remove(entries[0].id).map((entry) => entry.title), ['First']);
+  assert.throws(() => store.add({ title: 'Empty', message: ' ' }), /Write a message/);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeTelegramStatus,
+  normalizeTelegramTest,
+  telegramFailureGuidance,
+} from '../src/lib/telegram.js';
+
+test('reads a configured and connected bot', () => {
+  assert.deepEqual(normalizeTelegramStatus({
+    status: 'success',
+    telegram: { configured: true, connected: true, bot_info: { username: 'team_bot' }, chat_id: -100123 },
+  }), {
+    state: 'connected',
+    configured: true,
+    botTokenSet: null,
+    chatIdSet: null,
+    botUsername: '@team_bot',
+    chatId: '-100123',
+    lastError: '',
+  });
+});
+
+test('reports missing settings as not configured', () => {
+  const status = normalizeTelegramStatus({ status: 'success', bot_token_set: true, chat_id_set: false });
+  assert.equal(status.state, 'not_configured');
+  assert.equal(status.configured, false);
+});
+
+test('surfaces backend errors and unverified configurations', () => {
+  assert.equal(normalizeTelegramStatus({ configured: true, last_error: 'Unauthorized' }).state, 'error');
+  assert.equal(normalizeTelegramStatus({ configured: 'enabled' }).state, 'configured');
+  assert.equal(normalizeTelegramStatus({}).state, 'unknown');
+});
+
+test('reads test results', () => {
+  assert.deepEqual(normalizeTelegramTest({ status: 'success' }), { passed: true, message: 'Test message sent.' });
+  assert.deepEqual(normalizeTelegramTest({ status: 'success', success: false, error: 'chat not found' }), { passed: false, message: 'chat not found' });
+  assert.equal(normalizeTelegramTest({ status: 'error', message: 'Bot disabled' }).passed, false);
+});
+
+test('maps failures to likely causes', () => {
+  assert.equal(telegramFailureGuidance({ status: 0, message: 'timed out' }).summary, 'The backend did not answer.');
+  assert.equal(telegramFailureGuidance({ status: 401 }).summary, 'Your session has expired.');
+  assert.equal(telegramFailureGuidance({ status: 404 }).summary, 'The backend does not expose the Telegram endpoints.');
+  assert.equal(telegramFailureGuidance({ status: 422 }).summary, 'The Telegram integration is not fully configured.');
+  assert.equal(telegramFailureGuidance({ status: 500, message: 'Bad Request: chat not found' }).summary, 'Telegram could not find the configured chat.');
+  assert.equal(telegramFailureGuidance({ message: 'Forbidden: bot was blocked by the user' }).summary, 'The bot is not allowed to post in the configured chat.');
+  assert.equal(telegramFailureGuidance({ status: 502, message: 'Unauthorized' }).summary, 'Telegram rejected the bot token.');
+  assert.equal(telegramFailureGuidance({ status: 503 }).summary, 'The backend failed while talking to Telegram.');
+});